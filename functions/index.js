@@ -1,25 +1,82 @@
 /**
  * functions/index.js (Firebase Cloud Functions Gen2, Node 20)
  *
- * ✅ Hourly scheduler:
- * - Runs every 60 minutes
+ * ✅ Scheduler (syncRecentJobsHourly, name kept from when it ran hourly):
+ * - Runs every 10 minutes and enqueues one syncUserTask per user with a feed that is due
+ *   (task queue with its own concurrency / retry policy); each task owns its syncRuns doc
+ * - Feeds are due lastCheckedAt + pollIntervalMinutes (default from the feed's priority
+ *   tier: high 10 min, normal 1 h, low 1 day; lib/feedSchedule.js); scheduled runs skip
+ *   the rest (feedsNotDue), manual runs sync every feed
+ * - SYNC_TASKS_INLINE=true, or the emulator without the Cloud Tasks emulator, syncs
+ *   users inline instead (`npm run shell` -> syncRecentJobsHourly())
+ * - A redelivered task whose run already finished is a no-op (lib/syncTasks.js);
+ *   `npm run test:emulator` enqueues, de-duplicates and redelivers tasks against the emulators
+ *
+ * ✅ Per-user sync (syncUserTask / runSyncNow):
  * - Reads active feeds
- * - Fetches jobs
- * - Filters by locations (US cities/states + Remote-US strings)
- * - ONLY writes jobs updated within last 65 minutes
- * - Sets TTL field: expireAt = sourceUpdatedTs + 3 days
+ * - Fetches jobs through the source adapter registry (functions/sources)
+ * - Filters by the user's location preferences (users/{uid}/settings/locationPrefs;
+ *   defaults to US on-site + Remote US)
+ * - Filters by the user's title rules (users/{uid}/settings/titleRules: keywords, phrases,
+ *   regex, seniority, department/team); dropped jobs are counted as jobsFilteredByRules
+ * - Starts tracking jobs updated since the feed's syncCursor (firstSeenAt);
+ *   new feeds backfill INITIAL_BACKFILL_HOURS; the cursor only advances once the fetch
+ *   and every job write for the feed succeeded
+ * - Refreshes tracked jobs still listed (lastSeenAt) and marks missing ones closed (closedAt)
+ * - Sets TTL field: expireAt = last sync that touched the job + 3 days (null while pinned)
+ * - Requests time out and retry transient failures (lib/http.js); a per-feed circuit
+ *   breaker (feed.breaker) pauses feeds after repeated failures and re-probes them slowly
+ * - Conditional fetches (feed.httpCache): a 304 or an identical body skips normalization
+ *   and just refreshes the jobs the previous pass wrote (feedsUnchanged vs feedsRefreshed)
+ * - Jobs first written by a run are matched against users/{uid}/savedSearches;
+ *   matches add to each search's newMatchCount (savedSearchMatches on the run doc)
+ * - Jobs first written by a run are also queued for the user's email digest
+ *   (users/{uid}/digestQueue) when users/{uid}/settings/digest is enabled
+ * - ...and posted to the user's enabled webhooks (users/{uid}/webhooks: signed JSON, Slack
+ *   or Discord), each delivery logged in users/{uid}/webhookDeliveries
+ * - Notification center (users/{uid}/notifications, lib/notifications.js): new jobs on
+ *   high-priority feeds (feed.priority, also sent as web push to users/{uid}/pushTokens),
+ *   a feed's first failure / pause, and finished syncs (manual, or with new jobs)
+ * - Feeds with fullContent: true also store sanitized descriptions, salary and
+ *   employment type in users/{uid}/jobDetails/{jobDocId} (rewritten only when the content changes)
  *
  * ✅ Manual HTTP trigger:
  * - runSyncNow?userId=... forces a run and returns summary
+ * - Rate limited to one run per user per MANUAL_SYNC_INTERVAL_MINUTES (429 + Retry-After)
+ *
+ * ✅ Location preferences preview:
+ * - previewLocationPrefs?userId=... (POST { prefs }) counts how many recent jobs each rule keeps
+ *
+ * ✅ Job search:
+ * - Every written job carries searchTokens (title / company / location / department
+ *   prefixes + description words); searchJobs?userId=...&q=... ranks matches
+ * - locationKeys ("US-CO", "remote", "US-CO:remote") back the Jobs page state / work
+ *   mode filters with one array-contains (indexes in firestore.indexes.json)
+ *
+ * ✅ Email digest (lib/digest.js, lib/mailer.js):
+ * - Sent after a sync (frequency "sync") or by sendDigestsHourly (hourly / daily in the
+ *   user's time zone), never during quiet hours; grouped by company, HTML + plain text
+ * - MAIL_TRANSPORT=smtp | file | console (no SMTP_HOST outside the emulator: digests stay queued), APP_BASE_URL for deep links
+ * - digestUnsubscribe?uid=...&token=... turns the digest off (no sign-in needed)
+ *
+ * ✅ Webhooks (lib/webhooks.js):
+ * - testWebhook?userId=...&webhookId=... sends a sample job to one webhook
+ *
+ * ✅ HTTP endpoints require a Firebase ID token (Authorization: Bearer) for userId itself,
+ *   or an `admin` custom claim (lib/auth.js)
  *
  * ✅ Run summary saved to Firestore:
  * - users/{uid}/syncRuns/{runId}
  *   includes startedAt, finishedAt, durationMs, feedsCount
+ *   (scheduled runs use the schedule time as runId and add taskId / attempt)
  *
  * ✅ Manual admin tool:
- * - deleteSpacexJobs?userId=... deletes all SpaceX jobs for a user
+ * - purgeJobs?userId=... deletes a user's jobs matching a filter (admin claim only,
+ *   dryRun with samples, resumable by cursor, audited in adminAudit)
  *
- * ⚠️ Firestore TTL must be enabled on field "expireAt" for collection group "jobs"
+ * ⚠️ Firestore TTL must be enabled on field "expireAt" for collection groups "jobs", "jobDetails",
+ *    "webhookDeliveries" and "notifications"
+ *    (docs with expireAt = null are never deleted, which is how pinned jobs survive)
  */
 
 /* eslint-disable max-len */
@@ -27,8 +84,28 @@
 
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { onRequest } = require("firebase-functions/v2/https");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
 const { logger } = require("firebase-functions");
 const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+
+const { authorizeRequest, claimManualSyncSlot, releaseManualSyncSlot } = require("./lib/auth");
+const { fetchJson } = require("./lib/http");
+const { FeedNotModifiedError, createFeedFetcher, hashOf } = require("./lib/feedCache");
+const { breakerAfterFailure, breakerAllows } = require("./lib/circuitBreaker");
+const { compileLocationPrefs, jobMatchesLocationPrefs, normalizeLocationPrefs, previewLocationPrefs } = require("./lib/locationPrefs");
+const { escapeHtml, loadDigestSettings, queueDigestJobs, sendUserDigest, unsubscribeDigest } = require("./lib/digest");
+const { getMailTransport } = require("./lib/mailer");
+const { deliverWebhook, dispatchJobWebhooks, sampleWebhookJob } = require("./lib/webhooks");
+const { TICK_MINUTES, feedIsDue, isPriorityFeed } = require("./lib/feedSchedule");
+const { feedFailureNotification, newJobsNotification, notificationRecord, sendPushToUser, shouldNotifyFeedFailure, syncNotification, writeNotification } = require("./lib/notifications");
+const { PurgeFilterError, describePurgeFilter, normalizePurgeFilter, purgeUserJobs } = require("./lib/purge");
+const { loadSavedSearches, matchSavedSearches } = require("./lib/savedSearches");
+const { isFinishedRun, shouldRunTasksInline, syncTaskId } = require("./lib/syncTasks");
+const { buildSearchTokens, parseSearchQuery, pivotToken, rankSearchResults, serializeSearchHit } = require("./lib/search");
+const { compileTitleRules, jobMatchesTitleRules, normalizeTitleRules } = require("./lib/titleRules");
+const { addDaysTs, simpleChecksum, toTimestampOrNull } = require("./lib/util");
+const sources = require("./sources");
 
 // p-limit CommonJS import fix
 const pLimitPkg = require("p-limit");
@@ -45,151 +122,116 @@ const db = admin.firestore();
 const REGION = "us-central1";
 const FEED_CONCURRENCY = 15;
 
-const RECENT_WINDOW_MINUTES = 65;
+// Upper bounds per feed for paginated sources (Workday, SmartRecruiters): API pages, and
+// wall time across those pages (each page may retry with backoff, lib/http.js)
+const MAX_PAGES_PER_FEED = Number(process.env.MAX_PAGES_PER_FEED || 25);
+const PAGINATION_BUDGET_MS = Number(process.env.PAGINATION_BUDGET_SECONDS || 180) * 1000;
+
+// Per-feed watermark: each sync keeps jobs updated after the feed's syncCursor
+// (minus the overlap, to absorb clock skew between us and the ATS).
+// A feed with no cursor yet backfills INITIAL_BACKFILL_HOURS.
+const SYNC_CURSOR_OVERLAP_MINUTES = 10;
+// Day-granular relative dates ("Posted Yesterday", adapter.relativeDates) are pinned to
+// UTC days, not the tenant's: near midnight a new job can land up to a day before the
+// cursor, so those feeds look back a full day (plus an hour of slack)
+const RELATIVE_DATES_CURSOR_OVERLAP_MINUTES = 25 * 60;
+const INITIAL_BACKFILL_HOURS = Number(process.env.INITIAL_BACKFILL_HOURS || 72);
 const TTL_DAYS = 3;
 
+// Part of every feed's httpCache key: bump when normalization / filtering changes
+// so the next sync re-processes feeds whose responses haven't changed
+const FEED_CACHE_VERSION = 3; // 2: searchTokens, 3: locationKeys
+
 const ONLY_USER_ID = process.env.ONLY_USER_ID || "";
 
-/**
- * ----------------------------
- * LOCATION FILTER CONSTANTS
- * ----------------------------
- */
-const US_STATES = [
-  "Alabama","Arizona","Arkansas","California","Colorado","Connecticut","District of Columbia","Florida","Georgia",
-  "Idaho","Illinois","Indiana","Iowa","Kansas","Kentucky","Louisiana","Maryland","Massachusetts","Michigan","Minnesota",
-  "Missouri","Nebraska","Nevada","New Hampshire","New Jersey","New Mexico","New York","North Carolina","Oklahoma",
-  "Pennsylvania","Rhode Island","Tennessee","Texas","Utah","Virginia","Washington","Wisconsin",
-];
-
-const US_STATE_ABBREVIATIONS = [
-  "AL","AZ","AR","CA","CO","CT","DC","FL","GA","ID","IL","IN","IA","KS","KY","LA",
-  "MD","MA","MI","MN","MO","NE","NV","NH","NJ","NM","NY","NC","OK","PA","RI","TN",
-  "TX","UT","VA","WA","WI",
-];
-
-const US_CITIES = [
-  "Albuquerque","Anaheim","Ann Arbor","Arlington","Atlanta","Austin","Bakersfield","Baltimore","Baton Rouge","Bellevue",
-  "Birmingham","Boise","Boston","Boulder","Brooklyn","Buffalo","Burbank","Cambridge","Charlotte","Chicago","Cincinnati",
-  "Cleveland","Colorado Springs","Columbus","Dallas","Dayton","Denver","Des Moines","Detroit","Durham","El Paso",
-  "Fort Collins","Fort Lauderdale","Fort Myers","Fort Worth","Fresno","Grand Rapids","Greensboro","Greenville",
-  "Hartford","Henderson","Hoboken","Houston","Huntsville","Indianapolis","Irvine","Jacksonville","Jersey City",
-  "Kansas City","Las Vegas","Lincoln","Little Rock","Long Beach","Los Angeles","Louisville","Madison","Memphis","Mesa",
-  "Miami","Milwaukee","Minneapolis","Mountain View","Nashville","Naples","New Haven","New Orleans","New York","Newark",
-  "Norfolk","Oakland","Oklahoma City","Omaha","Orlando","Palo Alto","Panama City","Pensacola","Philadelphia","Phoenix",
-  "Pittsburgh","Plano","Portland","Providence","Provo","Raleigh","Redmond","Reston","Richmond","Riverside","Rochester",
-  "Round Rock","Sacramento","Salt Lake City","San Antonio","San Diego","San Francisco","San Jose","San Mateo","Santa Ana",
-  "Santa Clara","Santa Fe","Sarasota","Scottsdale","Seattle","Silver Spring","Spokane","St. Louis","St. Paul",
-  "St. Petersburg","Sugar Land","Sunnyvale","Syracuse","Tallahassee","Tampa","Tempe","The Woodlands","Tucson","Tulsa",
-  "Tysons","Virginia Beach","Washington","West Palm Beach","Wichita",
-];
-
-const REMOTE_US_ONLY = [
-  "US-Remote","US Remote","US (Remote)","United States - Remote","Remote US","Remote USA","Remote-USA",
-  "Remote in United States","Remote in the US","Remote - USA","Remote - US: All locations","Remote - US: Select locations",
-  "Anywhere in the United States",
-];
-
-const NORM = {
-  states: new Set(US_STATES.map((s) => normalizeText(s))),
-  cities: new Set(US_CITIES.map((s) => normalizeText(s))),
-  remote: new Set(REMOTE_US_ONLY.map((s) => normalizeText(s))),
-  abbr: new Set(US_STATE_ABBREVIATIONS.map((s) => s.toUpperCase())),
-};
-
-const LOCATION_SPLIT_REGEX = /[;|/]+|(?:\s*,\s*)/g;
+// Scheduled fan-out: one syncUserTask per user (see dispatchUserSyncs)
+const SYNC_TASK_CONCURRENCY = Number(process.env.SYNC_TASK_CONCURRENCY || 10);
+const SYNC_TASK_MAX_ATTEMPTS = Number(process.env.SYNC_TASK_MAX_ATTEMPTS || 3);
+const ENQUEUE_CONCURRENCY = 20;
+// SYNC_TASKS_INLINE=true: the scheduler syncs users itself instead of enqueueing tasks (lib/syncTasks.js)
 
 /**
  * =====================================================================================
- * 1) SCHEDULED: Every 1 hour sync
+ * 1) SCHEDULED: Every TICK_MINUTES, fan out one syncUserTask per user with due feeds
  * =====================================================================================
+ *
+ * The scheduler only lists users and enqueues tasks; each task syncs one user in
+ * its own invocation (own timeout, retries and syncRuns doc), so a slow user can't
+ * starve the ones after it. Users whose feeds are all within their poll interval
+ * (or paused by the circuit breaker) are left alone until a later tick.
+ * See dispatchUserSyncs for the emulator / inline path.
  */
 exports.syncRecentJobsHourly = onSchedule(
   {
     region: REGION,
-    schedule: "every 60 minutes",
+    schedule: `every ${TICK_MINUTES} minutes`,
     timeZone: "America/Los_Angeles",
-    timeoutSeconds: 540,
-    memory: "1GiB",
+    timeoutSeconds: 300,
+    memory: "256MiB",
   },
   async () => {
-    const now = admin.firestore.Timestamp.now();
-    const recentCutoff = admin.firestore.Timestamp.fromDate(
-      new Date(Date.now() - RECENT_WINDOW_MINUTES * 60 * 1000)
+    const scheduledAt = admin.firestore.Timestamp.now();
+    const allUserIds = await listUserIdsToProcess();
+    const userIds = await filterUsersWithDueFeeds(allUserIds, scheduledAt);
+
+    const result = await dispatchUserSyncs(userIds, scheduledAt);
+    logger.info(
+      `Scheduled sync for ${userIds.length} of ${allUserIds.length} users with due feeds: ${result.enqueued} enqueued, ${result.duplicates} already queued, ` +
+        `${result.inline} run inline, ${result.failed} failed`
     );
+  }
+);
 
-    const userIds = await listUserIdsToProcess();
+/**
+ * =====================================================================================
+ * 1b) TASK QUEUE: Sync one user
+ * =====================================================================================
+ *
+ * Enqueued by syncRecentJobsHourly with { userId, runId }. A thrown error makes
+ * Cloud Tasks retry the task (same runId, so the attempt updates the same run doc);
+ * a redelivery of a task whose run already finished is acknowledged as a no-op.
+ */
+exports.syncUserTask = onTaskDispatched(
+  {
+    region: REGION,
+    timeoutSeconds: 540,
+    memory: "1GiB",
+    retryConfig: {
+      maxAttempts: SYNC_TASK_MAX_ATTEMPTS,
+      minBackoffSeconds: 120,
+      maxBackoffSeconds: 1800,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: SYNC_TASK_CONCURRENCY,
+      maxDispatchesPerSecond: 5,
+    },
+  },
+  async (req) => {
+    const userId = String(req.data?.userId || "").trim();
+    if (!userId) {
+      // Nothing a retry could fix
+      logger.warn(`syncUserTask ${req.id} without userId, dropping`);
+      return;
+    }
 
-    for (const userId of userIds) {
-      const startedAt = admin.firestore.Timestamp.now();
-      const runId = String(startedAt.toMillis());
+    const runId = req.data.runId ? String(req.data.runId) : null;
+    if (runId) {
       const runRef = db.collection("users").doc(userId).collection("syncRuns").doc(runId);
-
-      await runRef.set(
-        {
-          ok: true,
-          userId,
-          source: "syncRecentJobsHourly",
-          runType: "scheduled",
-          status: "RUNNING",
-          startedAt,
-          ranAt: startedAt,
-          recentCutoffIso: recentCutoff.toDate().toISOString(),
-          
-        },
-        { merge: true }
-      );
-
-      try {
-        const summary = await syncUserRecentJobs({ userId, now, recentCutoff });
-
-        const finishedAt = admin.firestore.Timestamp.now();
-        const durationMs = finishedAt.toMillis() - startedAt.toMillis();
-
-        await runRef.set(
-          {
-            status: "DONE",
-            finishedAt,
-            durationMs,
-
-            ok: true,
-            scanned: summary.jobsFetched,
-            updated: summary.jobsWritten,
-            jobsWritten: summary.jobsWritten,
-
-            // ✅ NEW
-            feedsCount: summary.feedsCount,
-
-            // extra breakdown (optional)
-            feedsProcessed: summary.feedsProcessed,
-            failedFeeds: summary.failedFeeds,
-            jobsFetched: summary.jobsFetched,
-            jobsKeptRecent: summary.jobsKeptRecent,
-          },
-          { merge: true }
-        );
-      } catch (e) {
-        const msg = e instanceof Error ? e.message : String(e);
-        logger.error(`Scheduled user sync failed userId=${userId}: ${msg}`);
-
-        const finishedAt = admin.firestore.Timestamp.now();
-        const durationMs = finishedAt.toMillis() - startedAt.toMillis();
-
-        await runRef.set(
-          {
-            ok: false,
-            status: "FAILED",
-            error: msg,
-            finishedAt,
-            durationMs,
-
-            // ✅ NEW (still set something predictable)
-            feedsCount: 0,
-          },
-          { merge: true }
-        );
+      const run = await runRef.get();
+      if (isFinishedRun(run.data())) {
+        logger.info(`syncUserTask ${req.id}: run ${runId} of userId=${userId} already finished, skipping redelivery`);
+        await runRef.update({ redeliveries: admin.firestore.FieldValue.increment(1) });
+        return;
       }
     }
+
+    await runUserSync({
+      userId,
+      runId,
+      source: "syncUserTask",
+      runType: "scheduled",
+      extra: { taskId: req.id || null, attempt: Number(req.retryCount || 0) + 1 },
+    });
   }
 );
 
@@ -198,7 +240,7 @@ exports.syncRecentJobsHourly = onSchedule(
  * 2) MANUAL HTTP: Run sync now for one user
  * =====================================================================================
  *
- * Trigger:
+ * Trigger (Authorization: Bearer <ID token of UID, or of an admin>):
  * https://us-central1-<PROJECT_ID>.cloudfunctions.net/runSyncNow?userId=<UID>
  */
 exports.runSyncNow = onRequest(
@@ -207,98 +249,331 @@ exports.runSyncNow = onRequest(
     const userId = String(req.query.userId || "").trim();
     if (!userId) return res.status(400).json({ error: "Missing userId query param." });
 
-    const startedAt = admin.firestore.Timestamp.now();
-    const runId = String(startedAt.toMillis());
-    const runRef = db.collection("users").doc(userId).collection("syncRuns").doc(runId);
-
-    const now = admin.firestore.Timestamp.now();
-    const recentCutoff = admin.firestore.Timestamp.fromDate(
-      new Date(Date.now() - RECENT_WINDOW_MINUTES * 60 * 1000)
-    );
-
-    await runRef.set(
-      {
-        ok: true,
-        userId,
-        source: "runSyncNow",
-        runType: "manual",
-        status: "RUNNING",
-        startedAt,
-        ranAt: startedAt,
-        recentCutoffIso: recentCutoff.toDate().toISOString(),
-        
-      },
-      { merge: true }
-    );
+    const caller = await authorizeRequest(req, res, { userId });
+    if (!caller) return;
 
     try {
-      const summary = await syncUserRecentJobs({ userId, now, recentCutoff });
+      // Admins aren't rate limited (backfills, support)
+      const slot = caller.admin ? null : await claimManualSyncSlot(db, userId, admin.firestore.Timestamp.now());
+      if (slot && !slot.allowed) {
+        res.set("Retry-After", String(slot.retryAfterSeconds));
+        return res.status(429).json({
+          error: `A manual sync ran recently. Try again in ${Math.ceil(slot.retryAfterSeconds / 60)} min.`,
+          retryAfterSeconds: slot.retryAfterSeconds,
+        });
+      }
 
-      const finishedAt = admin.firestore.Timestamp.now();
-      const durationMs = finishedAt.toMillis() - startedAt.toMillis();
+      let run;
+      try {
+        run = await runUserSync({ userId, source: "runSyncNow", runType: "manual" });
+      } catch (e) {
+        // A failed run shouldn't lock the user out of retrying it
+        if (slot) await releaseManualSyncSlot(db, userId, slot).catch((err) => logger.warn(`Releasing the manual sync slot failed userId=${userId}:`, err));
+        throw e;
+      }
+      const { summary } = run;
 
-      const response = {
+      return res.json({
         ok: true,
         userId,
+        runId: run.runId,
         dryRun: false,
         scanned: summary.jobsFetched,
         updated: summary.jobsWritten,
-        
-
-        // ✅ NEW
         feedsCount: summary.feedsCount,
-
-        ranAt: startedAt,
-        recentCutoffIso: recentCutoff.toDate().toISOString(),
-        finishedAt,
-        durationMs,
+        ranAt: run.startedAt,
+        ...cursorRangeSummary(summary.cursorRanges),
+        finishedAt: run.finishedAt,
+        durationMs: run.durationMs,
         ...summary,
-      };
-
-      await runRef.set(
-        {
-          status: "DONE",
-          finishedAt,
-          durationMs,
-
-          ok: true,
-          scanned: summary.jobsFetched,
-          updated: summary.jobsWritten,
-          jobsWritten: summary.jobsWritten,
-
-          // ✅ NEW
-          feedsCount: summary.feedsCount,
-
-          feedsProcessed: summary.feedsProcessed,
-          failedFeeds: summary.failedFeeds,
-          jobsFetched: summary.jobsFetched,
-          jobsKeptRecent: summary.jobsKeptRecent,
-        },
-        { merge: true }
-      );
-
-      return res.json(response);
+      });
     } catch (e) {
       const msg = e instanceof Error ? e.message : String(e);
       logger.error("runSyncNow failed:", e);
+      return res.status(500).json({ error: msg });
+    }
+  }
+);
+
+/**
+ * =====================================================================================
+ * 3) MANUAL HTTP: Preview location preferences
+ * =====================================================================================
+ *
+ * POST https://us-central1-<PROJECT_ID>.cloudfunctions.net/previewLocationPrefs?userId=<UID>
+ *   body: { prefs }   (omit prefs to preview the saved ones)
+ *   Authorization: Bearer <ID token of UID, or of an admin>
+ *
+ * Fetches the user's active feeds live (the jobs collection is already filtered
+ * by the current prefs, so it can't show what a new rule would add) and counts
+ * jobs updated in the last PREVIEW_LOOKBACK_HOURS per rule.
+ */
+const PREVIEW_LOOKBACK_HOURS = 72;
 
-      const finishedAt = admin.firestore.Timestamp.now();
-      const durationMs = finishedAt.toMillis() - startedAt.toMillis();
-
-      await runRef.set(
-        {
-          ok: false,
-          status: "FAILED",
-          error: msg,
-          finishedAt,
-          durationMs,
-
-          // ✅ NEW
-          feedsCount: 0,
-        },
-        { merge: true }
+exports.previewLocationPrefs = onRequest(
+  { region: REGION, timeoutSeconds: 300, memory: "1GiB", cors: true },
+  async (req, res) => {
+    const userId = String(req.query.userId || "").trim();
+    if (!userId) return res.status(400).json({ error: "Missing userId query param." });
+
+    const caller = await authorizeRequest(req, res, { userId });
+    if (!caller) return;
+
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const prefs = body.prefs ? normalizeLocationPrefs(body.prefs) : await loadLocationPrefs(userId);
+
+      const now = admin.firestore.Timestamp.now();
+      const cutoffMs = now.toMillis() - PREVIEW_LOOKBACK_HOURS * 60 * 60 * 1000;
+
+      const feedsSnap = await db
+        .collection("users")
+        .doc(userId)
+        .collection("feeds")
+        .where("archivedAt", "==", null)
+        .get();
+
+      const limiter = pLimit(FEED_CONCURRENCY);
+      let failedFeeds = 0;
+
+      const perFeed = await Promise.all(
+        feedsSnap.docs.map((d) =>
+          limiter(async () => {
+            const feed = d.data();
+            const url = String(feed.url || "").trim();
+            const adapter = sources.getAdapter(feed.source) || sources.getAdapter(sources.detectSourceFromUrl(url));
+            if (!url || !adapter) return [];
+
+            try {
+              const rawJobs = await adapter.fetchJobs(url, { fetchJson, maxPages: MAX_PAGES_PER_FEED, timeBudgetMs: PAGINATION_BUDGET_MS });
+              const companyName = String(feed.companyName || feed.company || "Unknown");
+              return rawJobs
+                .map((j) => sources.normalizeJob(j, { adapter, companyName, companyKey: d.id, now }))
+                .filter((j) => j && j.sourceUpdatedTs && j.sourceUpdatedTs.toMillis() >= cutoffMs);
+            } catch (e) {
+              failedFeeds += 1;
+              logger.warn(`previewLocationPrefs feed failed userId=${userId} feedId=${d.id}: ${e instanceof Error ? e.message : String(e)}`);
+              return [];
+            }
+          })
+        )
       );
 
+      const preview = previewLocationPrefs(perFeed.flat(), prefs);
+
+      return res.json({
+        ok: true,
+        userId,
+        lookbackHours: PREVIEW_LOOKBACK_HOURS,
+        feedsCount: feedsSnap.size,
+        failedFeeds,
+        prefs,
+        ...preview,
+      });
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      logger.error("previewLocationPrefs failed:", e);
+      return res.status(500).json({ error: msg });
+    }
+  }
+);
+
+/**
+ * =====================================================================================
+ * 4) MANUAL HTTP: Search jobs
+ * =====================================================================================
+ *
+ * GET https://us-central1-<PROJECT_ID>.cloudfunctions.net/searchJobs?userId=<UID>&q=<query>
+ *   optional: updatedAfter=<ISO>, companyKeys=<key,key,...>, locationKey=<"US-CO:remote", see
+ *             locationKeys in lib/locations.js>, limit=<n>, cursor=<nextCursor>
+ *   Authorization: Bearer <ID token of UID, or of an admin>
+ *
+ * Every term must match (prefix match on title / company / location / department,
+ * whole word on descriptions). Results are ranked (lib/search.js) over the
+ * SEARCH_SCAN_LIMIT most recent candidates; cursor is an offset into that ranking.
+ */
+const SEARCH_SCAN_LIMIT = 1000;
+const SEARCH_PAGE_SIZE = 25;
+const SEARCH_MAX_PAGE_SIZE = 100;
+
+exports.searchJobs = onRequest(
+  { region: REGION, timeoutSeconds: 60, memory: "512MiB", cors: true },
+  async (req, res) => {
+    const userId = String(req.query.userId || "").trim();
+    if (!userId) return res.status(400).json({ error: "Missing userId query param." });
+
+    const caller = await authorizeRequest(req, res, { userId });
+    if (!caller) return;
+
+    const q = String(req.query.q || "").trim();
+    const terms = parseSearchQuery(q);
+    if (terms.length === 0) return res.status(400).json({ error: "Missing search query (q)." });
+
+    const pageSize = Math.min(SEARCH_MAX_PAGE_SIZE, Math.max(1, Number(req.query.limit) || SEARCH_PAGE_SIZE));
+    const offset = Math.max(0, Number(req.query.cursor) || 0);
+    const updatedAfter = toTimestampOrNull(req.query.updatedAfter);
+    const companyKeys = new Set(String(req.query.companyKeys || "").split(",").map((k) => k.trim()).filter(Boolean));
+    const locationKey = String(req.query.locationKey || "").trim();
+
+    try {
+      let candidates = db
+        .collection("users")
+        .doc(userId)
+        .collection("jobs")
+        .where("searchTokens", "array-contains", pivotToken(terms));
+      if (updatedAfter) candidates = candidates.where("sourceUpdatedTs", ">=", updatedAfter);
+      candidates = candidates.orderBy("sourceUpdatedTs", "desc").limit(SEARCH_SCAN_LIMIT);
+
+      const snap = await candidates.get();
+      const docs = snap.docs.filter((d) => {
+        if (companyKeys.size > 0 && !companyKeys.has(d.get("companyKey"))) return false;
+        if (locationKey && !(d.get("locationKeys") || []).includes(locationKey)) return false;
+        return true;
+      });
+
+      const ranked = rankSearchResults(docs, terms);
+      const page = ranked.slice(offset, offset + pageSize);
+      const nextOffset = offset + page.length;
+
+      return res.json({
+        ok: true,
+        userId,
+        q,
+        terms,
+        total: ranked.length,
+        // The ranking only covers the newest SEARCH_SCAN_LIMIT candidates
+        truncated: snap.size === SEARCH_SCAN_LIMIT,
+        results: page.map(serializeSearchHit),
+        nextCursor: nextOffset < ranked.length ? String(nextOffset) : null,
+      });
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      logger.error("searchJobs failed:", e);
+      return res.status(500).json({ error: msg });
+    }
+  }
+);
+
+/**
+ * =====================================================================================
+ * 5) SCHEDULED: Email digests
+ * =====================================================================================
+ *
+ * Hourly pass over every user with a digest queue: sends hourly / daily digests when
+ * due, and "sync" digests held back by quiet hours. "sync" digests are otherwise sent
+ * right after the run that queued them (runUserSync).
+ */
+const DIGEST_CONCURRENCY = 10;
+
+exports.sendDigestsHourly = onSchedule(
+  {
+    region: REGION,
+    schedule: "every 60 minutes",
+    timeZone: "America/Los_Angeles",
+    timeoutSeconds: 540,
+    memory: "256MiB",
+  },
+  async () => {
+    // Throws when no transport is configured, before any queue is touched
+    const transport = getMailTransport();
+    const now = admin.firestore.Timestamp.now();
+    const userIds = await listUserIdsToProcess();
+    const limit = pLimit(DIGEST_CONCURRENCY);
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    await Promise.all(
+      userIds.map((userId) =>
+        limit(async () => {
+          try {
+            const digest = await sendUserDigest(db, userId, { now, transport, unsubscribeUrl: (token) => digestUnsubscribeUrl(userId, token) });
+            if (digest.sent) result.sent += 1;
+            else result.skipped += 1;
+          } catch (e) {
+            result.failed += 1;
+            logger.error(`Digest failed userId=${userId}: ${e instanceof Error ? e.message : String(e)}`);
+          }
+        })
+      )
+    );
+
+    logger.info(`Digests for ${userIds.length} users: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+  }
+);
+
+/**
+ * =====================================================================================
+ * 6) PUBLIC HTTP: Unsubscribe from the digest
+ * =====================================================================================
+ *
+ * Linked from every digest (and its List-Unsubscribe header):
+ * https://us-central1-<PROJECT_ID>.cloudfunctions.net/digestUnsubscribe?uid=<UID>&token=<TOKEN>
+ * The token (settings/digest.unsubscribeToken) stands in for sign-in.
+ */
+function digestUnsubscribeUrl(userId, token) {
+  const projectId = process.env.GCLOUD_PROJECT || admin.app().options.projectId;
+  const qs = new URLSearchParams({ uid: userId, token }).toString();
+  return `https://${REGION}-${projectId}.cloudfunctions.net/digestUnsubscribe?${qs}`;
+}
+
+exports.digestUnsubscribe = onRequest(
+  { region: REGION, timeoutSeconds: 30, memory: "256MiB" },
+  async (req, res) => {
+    const userId = String(req.query.uid || "").trim();
+    const token = String(req.query.token || "").trim();
+    const page = (title, body) =>
+      `<!doctype html><html><body style="font-family:Ubuntu,Helvetica,Arial,sans-serif;padding:48px;text-align:center;color:#111827">` +
+      `<h1 style="font-size:20px">${escapeHtml(title)}</h1><p style="color:#6b7280">${escapeHtml(body)}</p></body></html>`;
+
+    if (!userId || !token) return res.status(400).send(page("Invalid link", "This unsubscribe link is incomplete."));
+
+    try {
+      const ok = await unsubscribeDigest(db, userId, token);
+      if (!ok) return res.status(404).send(page("Link expired", "This unsubscribe link is no longer valid. Turn the digest off in Settings instead."));
+      return res.send(page("Unsubscribed", "You won't get JobWatch digests anymore. You can turn them back on in Settings."));
+    } catch (e) {
+      logger.error("digestUnsubscribe failed:", e);
+      return res.status(500).send(page("Something went wrong", "Please try again later."));
+    }
+  }
+);
+
+/**
+ * =====================================================================================
+ * 7) MANUAL HTTP: Send a test webhook
+ * =====================================================================================
+ *
+ * POST https://us-central1-<PROJECT_ID>.cloudfunctions.net/testWebhook?userId=<UID>&webhookId=<ID>
+ * Sends one sample job (event "test") even if the webhook is disabled; the delivery is
+ * logged like any other and returned.
+ */
+exports.testWebhook = onRequest(
+  { region: REGION, timeoutSeconds: 120, memory: "256MiB", cors: true },
+  async (req, res) => {
+    const userId = String(req.query.userId || "").trim();
+    const webhookId = String(req.query.webhookId || "").trim();
+    if (!userId || !webhookId) return res.status(400).json({ error: "Missing userId or webhookId query param." });
+
+    const caller = await authorizeRequest(req, res, { userId });
+    if (!caller) return;
+
+    try {
+      const snap = await db.collection("users").doc(userId).collection("webhooks").doc(webhookId).get();
+      if (!snap.exists) return res.status(404).json({ error: "Webhook not found." });
+
+      const now = admin.firestore.Timestamp.now();
+      const delivery = await deliverWebhook(db, userId, { id: snap.id, ...snap.data() }, { event: "test", jobs: [sampleWebhookJob(now)], now });
+
+      return res.json({
+        ok: delivery.ok,
+        deliveryId: delivery.id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        error: delivery.error,
+        durationMs: delivery.durationMs,
+      });
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      logger.error("testWebhook failed:", e);
       return res.status(500).json({ error: msg });
     }
   }
@@ -309,7 +584,10 @@ exports.runSyncNow = onRequest(
  * USER SYNC CORE
  * ----------------------------
  */
-async function syncUserRecentJobs({ userId, now, recentCutoff }) {
+/**
+ * dueOnly: skip feeds still within their poll interval (scheduled runs)
+ */
+async function syncUserRecentJobs({ userId, now, dueOnly = false }) {
   const feedsSnap = await db
     .collection("users")
     .doc(userId)
@@ -325,13 +603,40 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
       ok: true,
       feedsCount,
       feedsProcessed: 0,
+      feedsUnchanged: 0,
+      feedsRefreshed: 0,
+      feedsPaused: 0,
+      feedsNotDue: 0,
       failedFeeds: 0,
       jobsFetched: 0,
       jobsKeptRecent: 0,
       jobsWritten: 0,
+      jobsNew: 0,
+      jobsRefreshed: 0,
+      jobsClosed: 0,
+      jobsFilteredByRules: 0,
+      jobDetailsWritten: 0,
+      savedSearchMatches: 0,
+      digestQueued: 0,
+      webhooksDelivered: 0,
+      webhooksFailed: 0,
+      priorityAlerts: 0,
+      pushesSent: 0,
+      cursorRanges: {},
     };
   }
 
+  const locationPrefs = await loadLocationPrefs(userId);
+  const titleRuleSet = await loadTitleRules(userId);
+  const locationRules = compileLocationPrefs(locationPrefs);
+  const titleRules = compileTitleRules(titleRuleSet);
+  const userRulesKey = hashOf({ locationPrefs, titleRuleSet, version: FEED_CACHE_VERSION });
+  const savedSearches = await loadSavedSearches(db.collection("users").doc(userId));
+  const { settings: digestSettings } = await loadDigestSettings(db.collection("users").doc(userId));
+  for (const err of titleRules.errors) {
+    logger.warn(`Skipping invalid title rule userId=${userId} ${err.id}: ${err.error}`);
+  }
+
   const limiter = pLimit(FEED_CONCURRENCY);
   const bw = db.bulkWriter();
 
@@ -341,16 +646,46 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
   });
 
   let feedsProcessed = 0;
+  let feedsUnchanged = 0;
+  let feedsRefreshed = 0;
+  let feedsPaused = 0;
+  let feedsNotDue = 0;
   let failedFeeds = 0;
 
   let jobsFetched = 0;
   let jobsKeptRecent = 0;
   let jobsWritten = 0;
+  let jobsNew = 0;
+  let jobsRefreshed = 0;
+  let jobsClosed = 0;
+  let jobsFilteredByRules = 0;
+  let jobDetailsWritten = 0;
+
+  const cursorRanges = {};
+  // Jobs first written this run, checked against saved searches at the end
+  const newJobs = [];
+  // Feed doc updates of successful feeds, applied once their writes are flushed
+  const feedUpdates = new Map();
+  const feedsWithFailedWrites = new Set();
 
   const tasks = feeds.map((feed) =>
     limiter(async () => {
       const feedId = feed.id;
       const feedRef = db.collection("users").doc(userId).collection("feeds").doc(feedId);
+      const feedBw = trackedBulkWriter(bw, () => feedsWithFailedWrites.add(feedId));
+
+      if (dueOnly && !feedIsDue(feed, now)) {
+        feedsNotDue += 1;
+        return;
+      }
+
+      // Open breaker: skip until the next probe is due
+      const gate = breakerAllows(feed.breaker, now);
+      if (!gate.allowed) {
+        feedsPaused += 1;
+        return;
+      }
+      if (gate.probe) logger.info(`Probing paused feed userId=${userId} feedId=${feedId}`);
 
       try {
         const url = String(feed.url || "").trim();
@@ -359,11 +694,14 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
         const source = String(feed.source || "").toLowerCase();
         const companyName = String(feed.companyName || feed.company || "Unknown");
 
+        const adapter = sources.getAdapter(source) || sources.getAdapter(sources.detectSourceFromUrl(url));
+        if (!adapter) throw new Error(`Unsupported feed source "${source || "unknown"}"`);
+
         feedsProcessed += 1;
 
         // Upsert companies doc (for UI filter)
         const companyRef = db.collection("users").doc(userId).collection("companies").doc(feedId);
-        bw.set(
+        feedBw.set(
           companyRef,
           {
             companyName,
@@ -375,14 +713,68 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
           { merge: true }
         );
 
-        const rawJobs = await fetchJobsFromFeed(url, source);
+        // Opt-in per feed, and only for sources whose adapter implements details()
+        const fullContent = feed.fullContent === true && adapter.urlRule.fullContent === true;
+
+        const fetcher = createFeedFetcher(feed.httpCache, hashOf([userRulesKey, fullContent]));
+        const jobsCol = db.collection("users").doc(userId).collection("jobs");
+        const detailsCol = db.collection("users").doc(userId).collection("jobDetails");
+
+        let truncated = false;
+        let rawJobs = null;
+        try {
+          rawJobs = await adapter.fetchJobs(url, {
+            fetchJson: fetcher.fetchJson,
+            maxPages: MAX_PAGES_PER_FEED,
+            timeBudgetMs: PAGINATION_BUDGET_MS,
+            fullContent,
+            onTruncated: () => {
+              truncated = true;
+            },
+          });
+        } catch (e) {
+          if (!(e instanceof FeedNotModifiedError)) throw e;
+        }
+
+        // 304 or the same bytes as last time: nothing to normalize, but the jobs the
+        // previous pass wrote are still listed, so keep them alive
+        if (rawJobs === null || fetcher.bodyUnchanged()) {
+          const tracked = await loadTrackedJobs(jobsCol, feedId);
+          const refreshed = refreshUnchangedFeedJobs({ bw: feedBw, jobsCol, detailsCol, tracked, feed, now });
+          jobsWritten += refreshed;
+          jobsRefreshed += refreshed;
+          feedsUnchanged += 1;
+
+          feedUpdates.set(feedId, {
+            lastCheckedAt: now,
+            lastError: null,
+            syncCursor: now,
+            httpCache: fetcher.nextCache(now),
+            breaker: null,
+          });
+          return;
+        }
+
+        feedsRefreshed += 1;
         jobsFetched += rawJobs.length;
 
+        const detailsById = new Map();
         const normalized = rawJobs
-          .map((j) => normalizeJobMinimal(j, { source, companyName, companyKey: feedId, now }))
+          .map((raw) => {
+            const job = sources.normalizeJob(raw, { adapter, companyName, companyKey: feedId, now });
+            if (job && fullContent) detailsById.set(job.jobDocId, sources.extractJobDetails(raw, { adapter }));
+            return job;
+          })
           .filter(Boolean);
 
-        const locationFiltered = normalized.filter(jobMatchesLocationFilter);
+        const locationFiltered = normalized.filter((j) => jobMatchesLocationPrefs(j, locationRules));
+
+        const recentCutoff = cursorCutoffForFeed(feed, now, adapter);
+        cursorRanges[feedId] = {
+          fromIso: recentCutoff.toDate().toISOString(),
+          toIso: now.toDate().toISOString(),
+          backfill: !feed.syncCursor,
+        };
 
         const recentOnly = locationFiltered.filter(
           (j) => j.sourceUpdatedTs && j.sourceUpdatedTs.toMillis() >= recentCutoff.toMillis()
@@ -390,42 +782,103 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
 
         jobsKeptRecent += recentOnly.length;
 
-        for (const job of recentOnly) {
-          const jobRef = db.collection("users").doc(userId).collection("jobs").doc(job.jobDocId);
+        const tracked = await loadTrackedJobs(jobsCol, feedId);
+        const recentIds = new Set(recentOnly.map((j) => j.jobDocId));
+
+        // Already-tracked jobs are refreshed on every sync; untracked ones only start being tracked when recent
+        for (const job of locationFiltered) {
+          const prev = tracked.get(job.jobDocId);
+          if (!prev && !recentIds.has(job.jobDocId)) continue;
+
+          // Counted only for jobs that would otherwise have been written
+          if (!jobMatchesTitleRules(job, titleRules)) {
+            jobsFilteredByRules += 1;
+            continue;
+          }
+
+          const saved = prev?.saved === true;
+          const expireAt = saved ? null : addDaysTs(now, TTL_DAYS);
+          const details = detailsById.get(job.jobDocId) || null;
+          const contentHash = details ? simpleChecksum(JSON.stringify(details)) : null;
 
-          const baseTs = job.sourceUpdatedTs || now;
-          const expireAt = addDaysTs(baseTs, TTL_DAYS);
+          const searchTokens = buildSearchTokens(job, details?.descriptionText);
+          // Relative "Posted N Days Ago" dates: the first value stored stays put
+          const keepPostedDate = adapter.relativeDates === true && !!prev?.sourceUpdatedTs;
 
-          bw.set(
-            jobRef,
+          feedBw.set(
+            jobsCol.doc(job.jobDocId),
             {
               ...job,
+              ...(keepPostedDate ? { sourceUpdatedTs: prev.sourceUpdatedTs, sourceUpdatedIso: prev.sourceUpdatedIso ?? job.sourceUpdatedIso } : {}),
+              searchTokens,
+              hasDetails: !!details,
+              contentHash,
               fetchedAt: now,
+              firstSeenAt: prev ? (prev.firstSeenAt || prev.fetchedAt || now) : now,
+              lastSeenAt: now,
+              closedAt: null,
               expireAt,
             },
             { merge: true }
           );
 
+          // Details follow the job's TTL; the body is only rewritten when it changed
+          if (details) {
+            const changed = !prev || prev.contentHash !== contentHash;
+            feedBw.set(
+              detailsCol.doc(job.jobDocId),
+              changed ? { ...details, jobDocId: job.jobDocId, companyKey: feedId, updatedAt: now, expireAt } : { expireAt },
+              { merge: true }
+            );
+            if (changed) jobDetailsWritten += 1;
+          }
+
           jobsWritten += 1;
+          if (prev) jobsRefreshed += 1;
+          else {
+            jobsNew += 1;
+            newJobs.push({ ...job, searchTokens });
+          }
         }
 
-        await feedRef.set(
-          {
-            lastCheckedAt: now,
-            lastError: null,
-            lastJobCount: recentOnly.length,
-          },
-          { merge: true }
-        );
+        // A tracked job missing from a complete listing was taken down
+        if (!truncated) {
+          const listedIds = new Set(normalized.map((j) => j.jobDocId));
+
+          for (const [jobDocId, prev] of tracked) {
+            if (listedIds.has(jobDocId) || prev.closedAt) continue;
+
+            const expireAt = prev.saved === true ? null : addDaysTs(now, TTL_DAYS);
+            feedBw.set(jobsCol.doc(jobDocId), { closedAt: now, expireAt }, { merge: true });
+            if (prev.hasDetails) feedBw.set(detailsCol.doc(jobDocId), { expireAt }, { merge: true });
+
+            jobsClosed += 1;
+          }
+        }
+
+        // Applied after bw.close(), and only if every write above went through
+        feedUpdates.set(feedId, {
+          lastCheckedAt: now,
+          lastError: null,
+          lastJobCount: recentOnly.length,
+          syncCursor: now,
+          httpCache: fetcher.nextCache(now),
+          breaker: null,
+        });
       } catch (e) {
         failedFeeds += 1;
         const msg = e instanceof Error ? e.message : String(e);
-        logger.error(`Feed failed userId=${userId} feedId=${feed.id}: ${msg}`);
+        const breaker = breakerAfterFailure(feed.breaker, { now, status: Number.isFinite(e?.status) ? e.status : null });
+        logger.error(`Feed failed userId=${userId} feedId=${feed.id} (${breaker.consecutiveFailures} in a row, breaker ${breaker.state}): ${msg}`);
+        if (shouldNotifyFeedFailure(feed.breaker, breaker)) {
+          writeNotification(bw, db.collection("users").doc(userId), feedFailureNotification(feed, msg, breaker), now);
+        }
 
         await feedRef.set(
           {
             lastCheckedAt: now,
             lastError: msg,
+            breaker,
           },
           { merge: true }
         );
@@ -434,377 +887,508 @@ async function syncUserRecentJobs({ userId, now, recentCutoff }) {
   );
 
   await Promise.all(tasks);
+
+  // Saved search alerts: new matches add up until the Jobs page marks them seen
+  const savedSearchHits = matchSavedSearches(savedSearches, newJobs);
+  for (const hit of savedSearchHits) {
+    bw.set(
+      db.collection("users").doc(userId).collection("savedSearches").doc(hit.id),
+      {
+        newMatchCount: admin.firestore.FieldValue.increment(hit.jobIds.length),
+        lastMatchedAt: now,
+      },
+      { merge: true }
+    );
+  }
+  const savedSearchMatches = savedSearchHits.reduce((n, hit) => n + hit.jobIds.length, 0);
+
+  const matchedIds = new Set(savedSearchHits.flatMap((hit) => hit.jobIds));
+
+  let digestJobs = [];
+  if (digestSettings.enabled) {
+    digestJobs = digestSettings.onlySavedSearches ? newJobs.filter((job) => matchedIds.has(job.jobDocId)) : newJobs;
+    queueDigestJobs(bw, db.collection("users").doc(userId), digestJobs, now);
+  }
+
+  // Priority feeds: one notification per company with new jobs, pushed after the write
+  const priorityAlerts = feeds
+    .filter((feed) => isPriorityFeed(feed))
+    .map((feed) => ({ feed, jobs: newJobs.filter((job) => job.companyKey === feed.id) }))
+    .filter((a) => a.jobs.length > 0)
+    .map((a) => newJobsNotification(a.feed.companyName || a.feed.company || "Unknown", a.feed.id, a.jobs));
+  for (const alert of priorityAlerts) writeNotification(bw, db.collection("users").doc(userId), alert, now);
+
   await bw.close();
 
+  // The cursor (and HTTP cache) of a feed only moves once its job writes are in. A feed
+  // with failed writes keeps its old cursor and drops the cache, so the next run does a
+  // full pass over the same window and picks the missing jobs up again.
+  await Promise.all(
+    Array.from(feedUpdates, ([feedId, update]) => {
+      const feedRef = db.collection("users").doc(userId).collection("feeds").doc(feedId);
+      if (!feedsWithFailedWrites.has(feedId)) return feedRef.set(update, { merge: true });
+
+      failedFeeds += 1;
+      logger.error(`Feed writes failed userId=${userId} feedId=${feedId}: cursor not advanced`);
+      return feedRef.set({ lastCheckedAt: now, lastError: "Some job writes failed; retrying next sync", httpCache: null }, { merge: true });
+    })
+  );
+
+  let pushesSent = 0;
+  for (const alert of priorityAlerts) {
+    try {
+      const push = await sendPushToUser(db, userId, { ...alert, tag: alert.path });
+      pushesSent += push.sent;
+    } catch (e) {
+      logger.error(`Push failed userId=${userId}: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  // Webhooks go out once the jobs they announce are written; a failing endpoint never fails the sync
+  let webhooks = { delivered: 0, failed: 0 };
+  try {
+    webhooks = await dispatchJobWebhooks(db, userId, newJobs, { now, matchedIds });
+  } catch (e) {
+    logger.error(`Webhooks failed userId=${userId}: ${e instanceof Error ? e.message : String(e)}`);
+  }
+
   return {
     ok: true,
     feedsCount,
     feedsProcessed,
+    feedsUnchanged,
+    feedsRefreshed,
+    feedsPaused,
+    feedsNotDue,
     failedFeeds,
     jobsFetched,
     jobsKeptRecent,
     jobsWritten,
+    jobsNew,
+    jobsRefreshed,
+    jobsClosed,
+    jobsFilteredByRules,
+    jobDetailsWritten,
+    savedSearchMatches,
+    digestQueued: digestJobs.length,
+    webhooksDelivered: webhooks.delivered,
+    webhooksFailed: webhooks.failed,
+    priorityAlerts: priorityAlerts.length,
+    pushesSent,
+    cursorRanges,
   };
 }
 
 /**
  * ----------------------------
- * LIST USERS TO PROCESS
+ * LOCATION PREFERENCES
  * ----------------------------
  */
-async function listUserIdsToProcess() {
-  if (ONLY_USER_ID) return [ONLY_USER_ID];
-
-  const users = [];
-  let last = null;
-
-  while (true) {
-    let q = db.collection("users").orderBy(admin.firestore.FieldPath.documentId()).limit(500);
-    if (last) q = q.startAfter(last);
-
-    const snap = await q.get();
-    if (snap.empty) break;
+function locationPrefsRef(userId) {
+  return db.collection("users").doc(userId).collection("settings").doc("locationPrefs");
+}
 
-    for (const d of snap.docs) users.push(d.id);
-    last = snap.docs[snap.docs.length - 1].id;
-  }
+async function loadLocationPrefs(userId) {
+  const snap = await locationPrefsRef(userId).get();
+  return normalizeLocationPrefs(snap.exists ? snap.data() : null);
+}
 
-  return users;
+/**
+ * ----------------------------
+ * TITLE RULES
+ * ----------------------------
+ */
+async function loadTitleRules(userId) {
+  const snap = await db.collection("users").doc(userId).collection("settings").doc("titleRules").get();
+  return normalizeTitleRules(snap.exists ? snap.data() : null);
 }
 
 /**
  * ----------------------------
- * FETCHING
+ * SYNC CURSOR (WATERMARK)
  * ----------------------------
  */
-async function fetchJobsFromFeed(url, source) {
-  const json = await fetchJson(url);
+function cursorCutoffForFeed(feed, now, adapter) {
+  const cursor = feed.syncCursor && feed.syncCursor.toMillis ? feed.syncCursor : null;
+  const overlapMinutes = adapter && adapter.relativeDates ? RELATIVE_DATES_CURSOR_OVERLAP_MINUTES : SYNC_CURSOR_OVERLAP_MINUTES;
+  const fromMs = cursor
+    ? cursor.toMillis() - overlapMinutes * 60 * 1000
+    : now.toMillis() - INITIAL_BACKFILL_HOURS * 60 * 60 * 1000;
+  return admin.firestore.Timestamp.fromMillis(fromMs);
+}
 
-  if (source.includes("greenhouse")) {
-    return Array.isArray(json?.jobs) ? json.jobs : [];
-  }
+/**
+ * Run-doc fields for the cursor ranges covered by a sync:
+ * the per-feed map plus the overall earliest cutoff for the history list.
+ */
+function cursorRangeSummary(cursorRanges) {
+  const ranges = cursorRanges || {};
+  const froms = Object.values(ranges).map((r) => r.fromIso).sort();
+  return {
+    cursorRanges: ranges,
+    recentCutoffIso: froms[0] || null,
+    backfilledFeeds: Object.values(ranges).filter((r) => r.backfill).length,
+  };
+}
 
-  if (source.includes("ashby")) {
-    if (Array.isArray(json)) return json;
-    if (Array.isArray(json?.jobs)) return json.jobs;
-    if (Array.isArray(json?.results)) return json.results;
-    if (Array.isArray(json?.data?.jobs)) return json.data.jobs;
-    if (Array.isArray(json?.postings)) return json.postings;
-    return [];
-  }
+/**
+ * Lifecycle fields of every job already stored for a feed, keyed by job doc id.
+ */
+async function loadTrackedJobs(jobsCol, feedId) {
+  const snap = await jobsCol
+    .where("companyKey", "==", feedId)
+    .select("saved", "firstSeenAt", "fetchedAt", "lastSeenAt", "closedAt", "hasDetails", "contentHash", "sourceUpdatedTs", "sourceUpdatedIso")
+    .get();
 
-  if (Array.isArray(json?.jobs)) return json.jobs;
-  if (Array.isArray(json)) return json;
-  return [];
+  return new Map(snap.docs.map((d) => [d.id, d.data()]));
 }
 
-async function fetchJson(url) {
-  const resp = await fetch(url, {
-    method: "GET",
-    headers: {
-      accept: "application/json,text/plain,*/*",
-      "user-agent": "firebase-functions-job-sync/6.0",
+/**
+ * BulkWriter facade for one feed's writes: onFailure() runs when any of them
+ * fails for good (bw.onWriteError gave up), so the sync can hold that feed's cursor.
+ */
+function trackedBulkWriter(bw, onFailure) {
+  return {
+    set(ref, data, options) {
+      const write = bw.set(ref, data, options);
+      write.catch(onFailure);
+      return write;
     },
-  });
-
-  if (!resp.ok) {
-    const body = await safeReadText(resp);
-    throw new Error(`HTTP ${resp.status} ${resp.statusText} for ${url}. Body: ${(body || "").slice(0, 400)}`);
-  }
-
-  return await resp.json();
+  };
 }
 
-async function safeReadText(resp) {
-  try {
-    return await resp.text();
-  } catch {
-    return "";
+/**
+ * Unchanged listing: the jobs written by the previous successful pass (their
+ * lastSeenAt equals the feed's syncCursor) are still listed and still pass the
+ * same filters, so only their lifecycle / TTL fields move forward.
+ */
+function refreshUnchangedFeedJobs({ bw, jobsCol, detailsCol, tracked, feed, now }) {
+  const lastPassMs = feed.syncCursor && feed.syncCursor.toMillis ? feed.syncCursor.toMillis() : null;
+  if (lastPassMs == null) return 0;
+
+  let refreshed = 0;
+  for (const [jobDocId, prev] of tracked) {
+    if (prev.closedAt || !prev.lastSeenAt || prev.lastSeenAt.toMillis() !== lastPassMs) continue;
+
+    const expireAt = prev.saved === true ? null : addDaysTs(now, TTL_DAYS);
+    bw.set(jobsCol.doc(jobDocId), { fetchedAt: now, lastSeenAt: now, expireAt }, { merge: true });
+    if (prev.hasDetails) bw.set(detailsCol.doc(jobDocId), { expireAt }, { merge: true });
+    refreshed += 1;
   }
+  return refreshed;
 }
 
 /**
  * ----------------------------
- * NORMALIZATION (MINIMAL)
- * - NO contentHtml, NO isRemote, NO applyUrl
+ * SYNC RUNS
  * ----------------------------
  */
-function normalizeJobMinimal(rawJob, ctx) {
-  const { source, companyName, companyKey, now } = ctx;
-  if (!rawJob || typeof rawJob !== "object") return null;
 
-  if (source.includes("greenhouse")) {
-    const externalId =
-      rawJob.id != null ? String(rawJob.id)
-        : (rawJob.internal_job_id != null ? String(rawJob.internal_job_id) : null);
-
-    const jobUrl = rawJob.absolute_url ? String(rawJob.absolute_url) : null;
-    if (!externalId && !jobUrl) return null;
-
-    const title = rawJob.title ? String(rawJob.title) : null;
-    const locationName = rawJob?.location?.name ? String(rawJob.location.name) : null;
-
-    const sourceUpdatedIso = rawJob.updated_at ? String(rawJob.updated_at) : null;
-    const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
-
-    const locationTokens = extractLocationTokens(locationName || "");
-    const stateCodes = extractStateCodes(locationTokens);
+/**
+ * Runs one user's sync and records it in users/{uid}/syncRuns/{runId}
+ * (RUNNING -> DONE / FAILED). Shared by syncUserTask, runSyncNow and the inline path.
+ * Rethrows after recording FAILED so task retries and HTTP errors still happen.
+ */
+async function runUserSync({ userId, runId = null, source, runType, extra = {} }) {
+  const startedAt = admin.firestore.Timestamp.now();
+  const runRef = db.collection("users").doc(userId).collection("syncRuns").doc(runId || String(startedAt.toMillis()));
 
-    const meta = simplifyMetadataArray(rawJob.metadata);
+  await runRef.set(
+    {
+      ok: true,
+      userId,
+      source,
+      runType,
+      status: "RUNNING",
+      error: null,
+      startedAt,
+      ranAt: startedAt,
+      ...extra,
+    },
+    { merge: true }
+  );
 
-    const jobDocId = makeJobDocId({
-      source: "greenhouse",
-      companyKey,
-      externalId: externalId || jobUrl,
-    });
+  try {
+    const summary = await syncUserRecentJobs({ userId, now: startedAt, dueOnly: runType === "scheduled" });
 
-    return {
-      jobDocId,
-      source: "greenhouse",
-      companyKey,
-      companyName,
-      externalId,
-      title,
-      jobUrl,
-      locationName,
-      locationTokens,
-      stateCodes,
-      sourceUpdatedTs,
-      sourceUpdatedIso,
-      meta,
-    };
-  }
+    const finishedAt = admin.firestore.Timestamp.now();
+    const durationMs = finishedAt.toMillis() - startedAt.toMillis();
 
-  if (source.includes("ashby")) {
-    const externalId =
-      rawJob.id != null ? String(rawJob.id)
-        : (rawJob.jobId != null ? String(rawJob.jobId) : null);
+    await runRef.set(
+      {
+        status: "DONE",
+        finishedAt,
+        durationMs,
 
-    const jobUrl = rawJob.jobUrl ? String(rawJob.jobUrl) : (rawJob.url ? String(rawJob.url) : null);
-    if (!externalId && !jobUrl) return null;
+        ok: true,
+        scanned: summary.jobsFetched,
+        updated: summary.jobsWritten,
+        jobsWritten: summary.jobsWritten,
+        feedsCount: summary.feedsCount,
 
-    const title = rawJob.title ? String(rawJob.title) : null;
+        feedsProcessed: summary.feedsProcessed,
+        feedsUnchanged: summary.feedsUnchanged,
+        feedsRefreshed: summary.feedsRefreshed,
+        feedsPaused: summary.feedsPaused,
+        feedsNotDue: summary.feedsNotDue,
+        failedFeeds: summary.failedFeeds,
+        jobsFetched: summary.jobsFetched,
+        jobsKeptRecent: summary.jobsKeptRecent,
+        jobsNew: summary.jobsNew,
+        jobsClosed: summary.jobsClosed,
+        jobsFilteredByRules: summary.jobsFilteredByRules,
+        jobDetailsWritten: summary.jobDetailsWritten,
+        savedSearchMatches: summary.savedSearchMatches,
+        digestQueued: summary.digestQueued,
+        webhooksDelivered: summary.webhooksDelivered,
+        webhooksFailed: summary.webhooksFailed,
+        priorityAlerts: summary.priorityAlerts,
+        pushesSent: summary.pushesSent,
+        ...cursorRangeSummary(summary.cursorRanges),
+      },
+      { merge: true }
+    );
 
-    const primaryLoc = rawJob.location ? String(rawJob.location) : null;
-    const secondary = Array.isArray(rawJob.secondaryLocations)
-      ? rawJob.secondaryLocations.filter(Boolean).map(String)
-      : [];
-    const combinedLocation = [primaryLoc, ...secondary].filter(Boolean).join("; ");
+    if (runType === "manual" || summary.jobsNew > 0) {
+      await recordNotification(userId, syncNotification({ summary, runType }), finishedAt);
+    }
 
-    const sourceUpdatedIso = rawJob.publishedAt ? String(rawJob.publishedAt) : null;
-    const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
+    // Digest delivery problems are recorded on settings/digest, not on the run
+    if (summary.digestQueued > 0) {
+      try {
+        const digest = await sendUserDigest(db, userId, { now: finishedAt, transport: getMailTransport(), unsubscribeUrl: (token) => digestUnsubscribeUrl(userId, token) });
+        if (digest.sent) logger.info(`Digest sent userId=${userId} jobs=${digest.count}`);
+      } catch (e) {
+        logger.error(`Digest failed userId=${userId}: ${e instanceof Error ? e.message : String(e)}`);
+      }
+    }
 
-    const locationTokens = extractLocationTokens(combinedLocation || "");
-    const stateCodes = extractStateCodes(locationTokens);
+    return { runId: runRef.id, startedAt, finishedAt, durationMs, summary };
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    logger.error(`User sync failed userId=${userId} source=${source}: ${msg}`);
 
-    const meta = {};
-    if (rawJob.employmentType != null) meta["Employment Type"] = rawJob.employmentType;
-    if (rawJob.department != null) meta["Department"] = rawJob.department;
-    if (rawJob.team != null) meta["Team"] = rawJob.team;
+    const finishedAt = admin.firestore.Timestamp.now();
+    const durationMs = finishedAt.toMillis() - startedAt.toMillis();
 
-    const jobDocId = makeJobDocId({
-      source: "ashbyhq",
-      companyKey,
-      externalId: externalId || jobUrl,
-    });
+    await runRef.set(
+      {
+        ok: false,
+        status: "FAILED",
+        error: msg,
+        finishedAt,
+        durationMs,
+        feedsCount: 0,
+      },
+      { merge: true }
+    );
+    await recordNotification(userId, syncNotification({ error: msg, runType }), finishedAt);
 
-    return {
-      jobDocId,
-      source: "ashbyhq",
-      companyKey,
-      companyName,
-      externalId,
-      title,
-      jobUrl,
-      locationName: combinedLocation || primaryLoc || null,
-      locationTokens,
-      stateCodes,
-      sourceUpdatedTs,
-      sourceUpdatedIso,
-      meta,
-    };
+    throw e;
   }
-
-  return null;
 }
 
-function simplifyMetadataArray(metadata) {
-  if (!Array.isArray(metadata)) return {};
-  const out = {};
-  for (const m of metadata) {
-    if (!m || typeof m !== "object") continue;
-    const name = m.name != null ? String(m.name) : null;
-    if (!name) continue;
-    out[name] = m.value ?? null;
+// Best effort: a notification that can't be written never changes the run's outcome
+async function recordNotification(userId, notification, now) {
+  try {
+    await db.collection("users").doc(userId).collection("notifications").doc().set(notificationRecord(notification, now));
+  } catch (e) {
+    logger.warn(`Notification write failed userId=${userId}: ${e instanceof Error ? e.message : String(e)}`);
   }
-  return out;
 }
 
 /**
- * ----------------------------
- * LOCATION FILTERING
- * ----------------------------
+ * Enqueues one syncUserTask per user. Task ids are derived from the schedule
+ * time, so a retried scheduler invocation doesn't queue a user twice
+ * (lib/syncTasks.js, exercised against the emulator by test/emulator).
  */
-function normalizeText(s) {
-  return String(s)
-    .toLowerCase()
-    .replace(/[().]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
+async function dispatchUserSyncs(userIds, scheduledAt) {
+  const runId = String(scheduledAt.toMillis());
+  const result = { enqueued: 0, duplicates: 0, inline: 0, failed: 0 };
 
-function extractLocationTokens(locationString) {
-  const raw = String(locationString || "").trim();
-  if (!raw) return [];
-  const pieces = raw
-    .split(LOCATION_SPLIT_REGEX)
-    .map((p) => p.trim())
-    .filter(Boolean);
-
-  const tokens = new Set([raw, ...pieces]);
-  return Array.from(tokens);
-}
-
-function extractStateCodes(tokens) {
-  const found = new Set();
-  for (const t of tokens || []) {
-    const upper = String(t).toUpperCase();
-    const matches = upper.match(/\b[A-Z]{2}\b/g) || [];
-    for (const code of matches) {
-      if (NORM.abbr.has(code)) found.add(code);
+  if (shouldRunTasksInline()) {
+    for (const userId of userIds) {
+      try {
+        await runUserSync({ userId, runId, source: "syncRecentJobsHourly", runType: "scheduled", extra: { inline: true } });
+        result.inline += 1;
+      } catch {
+        // Already recorded on the run doc
+        result.failed += 1;
+      }
     }
+    return result;
   }
-  return Array.from(found);
-}
-
-function jobMatchesLocationFilter(job) {
-  const tokens = Array.isArray(job.locationTokens) ? job.locationTokens : [];
-  if (tokens.length === 0) return false;
-  for (const t of tokens) {
-    if (locationTokenMatches(t)) return true;
-  }
-  return false;
-}
-
-function locationTokenMatches(token) {
-  const raw = String(token || "");
-  if (!raw) return false;
-  const n = normalizeText(raw);
-
-  if (NORM.remote.has(n)) return true;
 
-  for (const city of NORM.cities) {
-    if (n.includes(city)) return true;
-  }
-
-  for (const st of NORM.states) {
-    if (n.includes(st)) return true;
-  }
-
-  const abbrMatches = raw.toUpperCase().match(/\b[A-Z]{2}\b/g) || [];
-  for (const abbr of abbrMatches) {
-    if (NORM.abbr.has(abbr)) return true;
-  }
+  const queue = getFunctions().taskQueue(`locations/${REGION}/functions/syncUserTask`);
+  const limit = pLimit(ENQUEUE_CONCURRENCY);
+
+  await Promise.all(
+    userIds.map((userId) =>
+      limit(async () => {
+        try {
+          await queue.enqueue({ userId, runId }, { id: syncTaskId(userId, runId) });
+          result.enqueued += 1;
+        } catch (e) {
+          if (e?.code === "functions/task-already-exists") {
+            result.duplicates += 1;
+            return;
+          }
+          result.failed += 1;
+          const msg = e instanceof Error ? e.message : String(e);
+          logger.error(`Enqueue failed userId=${userId}: ${msg}`);
+        }
+      })
+    )
+  );
 
-  return false;
+  return result;
 }
 
 /**
  * ----------------------------
- * TIME + IDS + TTL
+ * LIST USERS TO PROCESS
  * ----------------------------
  */
-function toTimestampOrNull(isoOrDateString) {
-  if (!isoOrDateString) return null;
-  try {
-    const d = new Date(isoOrDateString);
-    if (Number.isNaN(d.getTime())) return null;
-    return admin.firestore.Timestamp.fromDate(d);
-  } catch {
-    return null;
-  }
-}
 
-function addDaysTs(ts, days) {
-  const d = ts.toDate ? ts.toDate() : new Date();
-  return admin.firestore.Timestamp.fromDate(new Date(d.getTime() + days * 24 * 60 * 60 * 1000));
+// Users with at least one active feed that is due and not held back by its breaker
+async function filterUsersWithDueFeeds(userIds, now) {
+  const limit = pLimit(ENQUEUE_CONCURRENCY);
+  const due = await Promise.all(
+    userIds.map((userId) =>
+      limit(async () => {
+        const snap = await db
+          .collection("users")
+          .doc(userId)
+          .collection("feeds")
+          .where("archivedAt", "==", null)
+          .select("lastCheckedAt", "lastError", "pollIntervalMinutes", "priority", "breaker")
+          .get();
+        return snap.docs.some((d) => {
+          const feed = d.data();
+          return feedIsDue(feed, now) && breakerAllows(feed.breaker, now).allowed;
+        });
+      })
+    )
+  );
+  return userIds.filter((_, i) => due[i]);
 }
+async function listUserIdsToProcess() {
+  if (ONLY_USER_ID) return [ONLY_USER_ID];
 
-function makeJobDocId({ source, companyKey, externalId }) {
-  const base = `${String(source)}|${String(companyKey)}|${String(externalId)}`;
-  return sanitizeId(base);
-}
+  const users = [];
+  let last = null;
 
-function sanitizeId(s) {
-  const clean = s
-    .toLowerCase()
-    .replace(/https?:\/\//g, "")
-    .replace(/[^\w|.-]+/g, "_")
-    .replace(/\|+/g, "|")
-    .slice(0, 150);
+  while (true) {
+    let q = db.collection("users").orderBy(admin.firestore.FieldPath.documentId()).limit(500);
+    if (last) q = q.startAfter(last);
 
-  const checksum = simpleChecksum(s);
-  return `${clean}_${checksum}`;
-}
+    const snap = await q.get();
+    if (snap.empty) break;
 
-function simpleChecksum(s) {
-  let h = 0;
-  for (let i = 0; i < s.length; i++) {
-    h = (h * 31 + s.charCodeAt(i)) >>> 0;
+    for (const d of snap.docs) users.push(d.id);
+    last = snap.docs[snap.docs.length - 1].id;
   }
-  return h.toString(16);
+
+  return users;
 }
 
 /**
  * =====================================================================================
- * 🔥 MANUAL ADMIN TOOL: Delete all SpaceX jobs for a specific user
+ * 🔥 MANUAL ADMIN TOOL: Purge jobs matching a filter for a specific user
  * =====================================================================================
  *
- * Usage:
- *   https://us-central1-<PROJECT_ID>.cloudfunctions.net/deleteSpacexJobs?userId=<UID>
- *   https://us-central1-<PROJECT_ID>.cloudfunctions.net/deleteSpacexJobs?userId=<UID>&dryRun=true
+ * Usage (Authorization: Bearer <ID token with the admin claim>):
+ *   POST https://us-central1-<PROJECT_ID>.cloudfunctions.net/purgeJobs?userId=<UID>
+ *     body: {
+ *       filter: { companyKey, companyName, source, titleRegex, updatedAfter, updatedBefore, saved },
+ *       dryRun: true,        // count + sample only
+ *       cursor: "<docId>",   // nextCursor from a previous call that returned done: false
+ *     }
+ *
+ *   e.g. the old deleteSpacexJobs: { "filter": { "companyName": "SpaceX" } }
+ *
+ * Stops paging before the function timeout and returns done: false + nextCursor;
+ * call again with that cursor to continue. Deletes that fail after retries come back as
+ * failed > 0 with the cursor left before their page, so calling again retries them.
+ * Every call that deletes writes an adminAudit/{auditId} record (filter, counts,
+ * removed ids, requestedBy).
  */
-exports.deleteSpacexJobs = onRequest(
+const PURGE_TIME_BUDGET_MS = 420 * 1000;
+
+exports.purgeJobs = onRequest(
   { region: REGION, timeoutSeconds: 540, memory: "1GiB", cors: true },
   async (req, res) => {
-    try {
-      const userId = String(req.query.userId || "").trim();
-      if (!userId) {
-        return res.status(400).json({ error: "Missing userId query param." });
-      }
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const userId = String(req.query.userId || body.userId || "").trim();
+    if (!userId) return res.status(400).json({ error: "Missing userId query param." });
 
-      const dryRun = String(req.query.dryRun || "").toLowerCase() === "true";
+    const caller = await authorizeRequest(req, res, { adminOnly: true });
+    if (!caller) return;
 
-      const jobsRef = db
-        .collection("users")
-        .doc(userId)
-        .collection("jobs")
-        .where("companyName", "==", "SpaceX");
+    let filter;
+    try {
+      filter = normalizePurgeFilter(body.filter || req.query);
+    } catch (e) {
+      if (e instanceof PurgeFilterError) return res.status(400).json({ error: e.message });
+      const msg = e instanceof Error ? e.message : String(e);
+      logger.error("purgeJobs filter failed:", e);
+      return res.status(500).json({ error: msg });
+    }
 
-      const snap = await jobsRef.get();
+    const dryRun = String(body.dryRun ?? req.query.dryRun ?? "").toLowerCase() === "true";
+    const cursor = String(body.cursor || req.query.cursor || "").trim() || null;
 
-      const scanned = snap.size;
-      let deleted = 0;
+    try {
+      const startedAt = admin.firestore.Timestamp.now();
+      const result = await purgeUserJobs(db, {
+        userId,
+        filter,
+        dryRun,
+        cursor,
+        deadlineMs: startedAt.toMillis() + PURGE_TIME_BUDGET_MS,
+      });
 
+      let auditId = null;
       if (!dryRun) {
-        const bw = db.bulkWriter();
-        for (const docSnap of snap.docs) {
-          bw.delete(docSnap.ref);
-          deleted += 1;
-        }
-        await bw.close();
+        const auditRef = db.collection("adminAudit").doc();
+        await auditRef.set({
+          action: "purgeJobs",
+          userId,
+          requestedBy: caller.uid,
+          filter: describePurgeFilter(filter),
+          cursor,
+          startedAt,
+          finishedAt: admin.firestore.Timestamp.now(),
+          scanned: result.scanned,
+          deleted: result.deleted,
+          failed: result.failed,
+          removed: result.removed,
+          removedTruncated: result.deleted > result.removed.length,
+          done: result.done,
+          nextCursor: result.nextCursor,
+        });
+        auditId = auditRef.id;
       }
 
+      logger.info(`purgeJobs userId=${userId} by=${caller.uid} dryRun=${dryRun} matched=${result.matched} deleted=${result.deleted} failed=${result.failed} done=${result.done}`);
+
       return res.json({
         ok: true,
         userId,
         dryRun,
-        scanned,
-        deleted,
+        filter: describePurgeFilter(filter),
+        scanned: result.scanned,
+        matched: result.matched,
+        deleted: result.deleted,
+        failed: result.failed,
+        sample: result.sample,
+        done: result.done,
+        nextCursor: result.nextCursor,
+        auditId,
       });
     } catch (e) {
       const msg = e instanceof Error ? e.message : String(e);
-      logger.error("deleteSpacexJobs failed:", e);
+      logger.error("purgeJobs failed:", e);
       return res.status(500).json({ error: msg });
     }
   }
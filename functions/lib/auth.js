@@ -0,0 +1,103 @@
+/**
+ * functions/lib/auth.js
+ *
+ * Auth for the onRequest endpoints (they keep cors: true, so anyone can call them):
+ *
+ * ✅ Callers send a Firebase ID token: `Authorization: Bearer <idToken>`
+ * ✅ A caller may act on their own userId; an `admin: true` custom claim may act on any
+ * ✅ Manual syncs are rate limited per target user (users/{uid}/private/rateLimits);
+ *    a sync that fails gives its slot back (releaseManualSyncSlot)
+ *
+ * Set the claim with the Admin SDK: admin.auth().setCustomUserClaims(uid, { admin: true })
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const admin = require("firebase-admin");
+
+const MANUAL_SYNC_INTERVAL_MS = Number(process.env.MANUAL_SYNC_INTERVAL_MINUTES || 5) * 60 * 1000;
+
+function bearerToken(req) {
+  const header = String(req.get("authorization") || "");
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
+
+function isAdmin(decoded) {
+  return decoded?.admin === true;
+}
+
+/**
+ * Verifies the caller's ID token and checks they may act on `userId`
+ * (omit userId and pass adminOnly for admin tools).
+ * -> { uid, admin } or null after sending 401 / 403
+ */
+async function authorizeRequest(req, res, { userId = null, adminOnly = false } = {}) {
+  const token = bearerToken(req);
+  if (!token) {
+    res.status(401).json({ error: "Missing Authorization: Bearer <Firebase ID token>." });
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(token);
+  } catch {
+    res.status(401).json({ error: "Invalid or expired ID token." });
+    return null;
+  }
+
+  const caller = { uid: decoded.uid, admin: isAdmin(decoded) };
+  if (caller.admin) return caller;
+
+  if (adminOnly || !userId || userId !== caller.uid) {
+    res.status(403).json({ error: adminOnly ? "Admin only." : "Not allowed to act on this user." });
+    return null;
+  }
+
+  return caller;
+}
+
+/**
+ * Claims a manual sync slot for userId.
+ * -> { allowed: true, claimedAt, previous } or { allowed: false, retryAfterSeconds }
+ */
+async function claimManualSyncSlot(db, userId, now) {
+  const ref = db.collection("users").doc(userId).collection("private").doc("rateLimits");
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const last = snap.exists ? snap.get("manualSyncAt") : null;
+    const lastMs = last && last.toMillis ? last.toMillis() : 0;
+    const waitMs = lastMs + MANUAL_SYNC_INTERVAL_MS - now.toMillis();
+
+    if (waitMs > 0) return { allowed: false, retryAfterSeconds: Math.ceil(waitMs / 1000) };
+
+    tx.set(ref, { manualSyncAt: now }, { merge: true });
+    return { allowed: true, claimedAt: now, previous: last || null };
+  });
+}
+
+/**
+ * Gives back a slot from claimManualSyncSlot after a failed sync, unless a
+ * later claim has replaced it since.
+ */
+async function releaseManualSyncSlot(db, userId, slot) {
+  const ref = db.collection("users").doc(userId).collection("private").doc("rateLimits");
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const current = snap.exists ? snap.get("manualSyncAt") : null;
+    if (!current || !current.isEqual || !current.isEqual(slot.claimedAt)) return;
+    tx.set(ref, { manualSyncAt: slot.previous || admin.firestore.FieldValue.delete() }, { merge: true });
+  });
+}
+
+module.exports = {
+  MANUAL_SYNC_INTERVAL_MS,
+  authorizeRequest,
+  claimManualSyncSlot,
+  isAdmin,
+  releaseManualSyncSlot,
+};
@@ -0,0 +1,64 @@
+/**
+ * functions/lib/circuitBreaker.js
+ *
+ * Per-feed circuit breaker, stored on the feed doc as `breaker`:
+ *
+ *   { state: "open", consecutiveFailures, openedAt, lastFailureAt, lastStatus, nextProbeAt }
+ *
+ * ✅ Each failed sync of a feed counts one failure; a success clears the field (null)
+ * ✅ BREAKER_THRESHOLD consecutive failures open the breaker: the feed is skipped
+ * ✅ An open feed is re-probed once nextProbeAt passes; every failed probe doubles
+ *    the wait (BREAKER_PROBE_BASE_HOURS .. BREAKER_PROBE_MAX_HOURS)
+ * ✅ Clearing the field by hand (Home "Resume") closes it immediately
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const admin = require("firebase-admin");
+
+const BREAKER_THRESHOLD = Number(process.env.BREAKER_THRESHOLD || 5);
+const BREAKER_PROBE_BASE_HOURS = 3;
+const BREAKER_PROBE_MAX_HOURS = 24;
+
+/**
+ * -> { allowed, probe } for this sync run
+ */
+function breakerAllows(breaker, now) {
+  if (!breaker || breaker.state !== "open") return { allowed: true, probe: false };
+  const nextMs = breaker.nextProbeAt && breaker.nextProbeAt.toMillis ? breaker.nextProbeAt.toMillis() : 0;
+  return nextMs <= now.toMillis() ? { allowed: true, probe: true } : { allowed: false, probe: false };
+}
+
+/**
+ * Breaker state after a failed sync of the feed (status: HTTP status when known)
+ */
+function breakerAfterFailure(breaker, { now, status = null }) {
+  const consecutiveFailures = Number(breaker?.consecutiveFailures || 0) + 1;
+  const base = {
+    consecutiveFailures,
+    lastFailureAt: now,
+    lastStatus: status,
+  };
+
+  if (consecutiveFailures < BREAKER_THRESHOLD) {
+    return { ...base, state: "closed", openedAt: null, nextProbeAt: null };
+  }
+
+  // 3h after opening, then 6h, 12h, 24h, 24h... per failed probe
+  const failedProbes = consecutiveFailures - BREAKER_THRESHOLD;
+  const waitHours = Math.min(BREAKER_PROBE_MAX_HOURS, BREAKER_PROBE_BASE_HOURS * 2 ** failedProbes);
+
+  return {
+    ...base,
+    state: "open",
+    openedAt: breaker?.state === "open" && breaker.openedAt ? breaker.openedAt : now,
+    nextProbeAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + waitHours * 60 * 60 * 1000),
+  };
+}
+
+module.exports = {
+  BREAKER_THRESHOLD,
+  breakerAllows,
+  breakerAfterFailure,
+};
@@ -0,0 +1,280 @@
+/**
+ * functions/lib/digest.js
+ *
+ * Email digest of newly written jobs (users/{uid}/settings/digest):
+ *
+ *   {
+ *     enabled: true,
+ *     frequency: "sync" | "hourly" | "daily",
+ *     dailyHour: 8,                        // local hour for "daily"
+ *     timeZone: "America/New_York",
+ *     quietHours: { start: 22, end: 7 },   // local hours, may wrap midnight; null = off
+ *     onlySavedSearches: false,            // only jobs matching a saved search
+ *     unsubscribeToken,                    // set by the Settings page, checked by digestUnsubscribe
+ *     lastSentAt, lastSentCount, lastError // written here
+ *   }
+ *
+ * ✅ Each sync queues the jobs it started tracking in users/{uid}/digestQueue/{jobDocId}
+ *    (snapshot of title / company / location / URL), so nothing is lost while a digest waits
+ * ✅ sendUserDigest sends the queue when it is due (frequency + quiet hours, in the user's
+ *    time zone) as one HTML + plain-text email grouped by company, then clears it
+ * ✅ Delivery goes through lib/mailer.js (SMTP, file or console transport)
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const admin = require("firebase-admin");
+
+const DIGEST_FREQUENCIES = ["sync", "hourly", "daily"];
+const MAX_DIGEST_JOBS = 200;
+// Hourly digests tolerate a little scheduler jitter
+const HOURLY_MIN_GAP_MS = 55 * 60 * 1000;
+const APP_BASE_URL = (process.env.APP_BASE_URL || "").replace(/\/+$/, "");
+
+function validTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return null;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch {
+    return null;
+  }
+}
+
+function hourOrNull(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 23 ? n : null;
+}
+
+function normalizeDigestSettings(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const quiet = r.quietHours && typeof r.quietHours === "object" ? r.quietHours : null;
+  const start = quiet ? hourOrNull(quiet.start) : null;
+  const end = quiet ? hourOrNull(quiet.end) : null;
+
+  return {
+    enabled: r.enabled === true,
+    frequency: DIGEST_FREQUENCIES.includes(r.frequency) ? r.frequency : "daily",
+    dailyHour: hourOrNull(r.dailyHour) ?? 8,
+    timeZone: validTimeZone(r.timeZone) || "UTC",
+    quietHours: start != null && end != null && start !== end ? { start, end } : null,
+    onlySavedSearches: r.onlySavedSearches === true,
+    unsubscribeToken: typeof r.unsubscribeToken === "string" ? r.unsubscribeToken : null,
+  };
+}
+
+function digestSettingsRef(userRef) {
+  return userRef.collection("settings").doc("digest");
+}
+
+async function loadDigestSettings(userRef) {
+  const snap = await digestSettingsRef(userRef).get();
+  return { settings: normalizeDigestSettings(snap.exists ? snap.data() : null), data: snap.exists ? snap.data() : {} };
+}
+
+// -> { hour, dateKey } in timeZone
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", hourCycle: "h23" })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return { hour: Number(parts.hour), dateKey: `${parts.year}-${parts.month}-${parts.day}` };
+}
+
+function inQuietHours(settings, date) {
+  if (!settings.quietHours) return false;
+  const { start, end } = settings.quietHours;
+  const { hour } = localTime(date, settings.timeZone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * lastSentAt: Timestamp or null. -> null when due, else why not
+ */
+function digestNotDueReason(settings, lastSentAt, now) {
+  if (!settings.enabled) return "disabled";
+  const date = now.toDate();
+  if (inQuietHours(settings, date)) return "quiet-hours";
+
+  const lastMs = lastSentAt && lastSentAt.toMillis ? lastSentAt.toMillis() : null;
+  if (settings.frequency === "hourly" && lastMs != null && now.toMillis() - lastMs < HOURLY_MIN_GAP_MS) return "not-due";
+  if (settings.frequency === "daily") {
+    const local = localTime(date, settings.timeZone);
+    if (local.hour < settings.dailyHour) return "not-due";
+    if (lastMs != null && localTime(new Date(lastMs), settings.timeZone).dateKey === local.dateKey) return "not-due";
+  }
+  return null;
+}
+
+/**
+ * Adds jobs first written by a sync to the user's digest queue (bw: BulkWriter).
+ * jobs: normalized jobs with jobDocId (see syncUserRecentJobs)
+ */
+function queueDigestJobs(bw, userRef, jobs, now) {
+  for (const job of jobs) {
+    bw.set(userRef.collection("digestQueue").doc(job.jobDocId), {
+      title: job.title || "",
+      companyName: job.companyName || "",
+      companyKey: job.companyKey || null,
+      locationName: job.locationName || "",
+      url: job.jobUrl || job.applyUrl || null,
+      sourceUpdatedTs: job.sourceUpdatedTs || null,
+      queuedAt: now,
+    });
+  }
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function appLink(pathAndQuery) {
+  return APP_BASE_URL ? `${APP_BASE_URL}${pathAndQuery}` : null;
+}
+
+function groupByCompany(jobs) {
+  const groups = new Map();
+  for (const job of jobs) {
+    const key = job.companyKey || job.companyName || "unknown";
+    if (!groups.has(key)) groups.set(key, { companyKey: job.companyKey, companyName: job.companyName || "Unknown", jobs: [] });
+    groups.get(key).jobs.push(job);
+  }
+  return Array.from(groups.values()).sort((a, b) => b.jobs.length - a.jobs.length || a.companyName.localeCompare(b.companyName));
+}
+
+/**
+ * jobs: digestQueue entries; overflow: queued jobs beyond MAX_DIGEST_JOBS
+ * -> { subject, html, text }
+ */
+function renderDigest({ jobs, overflow = 0, unsubscribeUrl }) {
+  const total = jobs.length + overflow;
+  const groups = groupByCompany(jobs);
+  const subject = `${total} new job${total === 1 ? "" : "s"} at ${groups.length} compan${groups.length === 1 ? "y" : "ies"}`;
+  const jobsUrl = (g) => (g.companyKey ? appLink(`/jobs?t=all&companies=${encodeURIComponent(g.companyKey)}`) : null);
+  const settingsUrl = appLink("/settings");
+
+  const text = [
+    subject,
+    "",
+    ...groups.flatMap((g) => [
+      `${g.companyName} (${g.jobs.length})${jobsUrl(g) ? ` ${jobsUrl(g)}` : ""}`,
+      ...g.jobs.map((j) => `  - ${j.title}${j.locationName ? ` · ${j.locationName}` : ""}${j.url ? `\n    ${j.url}` : ""}`),
+      "",
+    ]),
+    ...(overflow > 0 ? [`…and ${overflow} more${appLink("/jobs") ? `: ${appLink("/jobs")}` : ""}`, ""] : []),
+    ...(settingsUrl ? [`Digest settings: ${settingsUrl}`] : []),
+    ...(unsubscribeUrl ? [`Unsubscribe: ${unsubscribeUrl}`] : []),
+  ].join("\n");
+
+  const link = (href, label, style = "") => (href ? `<a href="${escapeHtml(href)}" style="${style}">${escapeHtml(label)}</a>` : escapeHtml(label));
+  const html = `<!doctype html>
+<html><body style="margin:0;padding:24px;background:#f9fafb;font-family:Ubuntu,Helvetica,Arial,sans-serif;color:#111827">
+<div style="max-width:600px;margin:0 auto;background:#fff;border:1px solid #e5e7eb;border-radius:12px;padding:24px">
+<h1 style="margin:0 0 16px;font-size:20px">${escapeHtml(subject)}</h1>
+${groups
+    .map(
+      (g) => `<h2 style="margin:20px 0 8px;font-size:12px;text-transform:uppercase;letter-spacing:.08em;color:#4f46e5">${link(jobsUrl(g), `${g.companyName} (${g.jobs.length})`, "color:#4f46e5;text-decoration:none")}</h2>
+<ul style="margin:0;padding-left:18px">
+${g.jobs
+    .map((j) => `<li style="margin:4px 0">${link(j.url, j.title, "color:#111827;font-weight:600")}${j.locationName ? ` <span style="color:#6b7280">· ${escapeHtml(j.locationName)}</span>` : ""}</li>`)
+    .join("\n")}
+</ul>`
+    )
+    .join("\n")}
+${overflow > 0 ? `<p style="margin-top:16px">${link(appLink("/jobs"), `…and ${overflow} more`)}</p>` : ""}
+<p style="margin-top:24px;font-size:12px;color:#9ca3af">
+${settingsUrl ? `${link(settingsUrl, "Digest settings", "color:#9ca3af")}${unsubscribeUrl ? " · " : ""}` : ""}${unsubscribeUrl ? link(unsubscribeUrl, "Unsubscribe", "color:#9ca3af") : ""}
+</p>
+</div></body></html>`;
+
+  return { subject, html, text };
+}
+
+/**
+ * Sends the user's queued jobs if a digest is due.
+ * unsubscribeUrl(token) -> URL of the digestUnsubscribe endpoint
+ * -> { sent, count, reason }
+ */
+async function sendUserDigest(db, userId, { now, transport, unsubscribeUrl }) {
+  const userRef = db.collection("users").doc(userId);
+  const { settings, data } = await loadDigestSettings(userRef);
+
+  const reason = digestNotDueReason(settings, data.lastSentAt || null, now);
+  if (reason) return { sent: false, count: 0, reason };
+
+  const queueCol = userRef.collection("digestQueue");
+  // The overflow is read up front too (refs only): only what was read here is
+  // deleted after sending, so jobs a concurrent sync queues wait for the next digest
+  const [snap, restSnap] = await Promise.all([
+    queueCol.orderBy("queuedAt", "asc").limit(MAX_DIGEST_JOBS).get(),
+    queueCol.orderBy("queuedAt", "asc").offset(MAX_DIGEST_JOBS).select().get(),
+  ]);
+  if (snap.empty) return { sent: false, count: 0, reason: "empty" };
+
+  let to = null;
+  try {
+    to = (await admin.auth().getUser(userId)).email || null;
+  } catch {
+    to = null;
+  }
+  if (!to) return { sent: false, count: 0, reason: "no-email" };
+
+  const jobs = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const overflow = restSnap.size;
+  const unsubscribe = settings.unsubscribeToken ? unsubscribeUrl(settings.unsubscribeToken) : null;
+  const message = renderDigest({ jobs, overflow, unsubscribeUrl: unsubscribe });
+
+  try {
+    await transport.send({
+      to,
+      ...message,
+      headers: unsubscribe ? { "List-Unsubscribe": `<${unsubscribe}>` } : {},
+    });
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    await digestSettingsRef(userRef).set({ lastError: msg, lastErrorAt: now }, { merge: true });
+    throw e;
+  }
+
+  // Overflow is summarized, not re-sent next time
+  const bw = db.bulkWriter();
+  for (const d of [...snap.docs, ...restSnap.docs]) bw.delete(d.ref);
+  bw.set(digestSettingsRef(userRef), { lastSentAt: now, lastSentCount: jobs.length + overflow, lastError: null }, { merge: true });
+  await bw.close();
+
+  return { sent: true, count: jobs.length + overflow, reason: null };
+}
+
+/**
+ * digestUnsubscribe: token must match settings/digest.unsubscribeToken
+ * -> true when the digest was turned off
+ */
+async function unsubscribeDigest(db, userId, token) {
+  const ref = digestSettingsRef(db.collection("users").doc(userId));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const stored = snap.exists ? snap.get("unsubscribeToken") : null;
+    if (!stored || typeof token !== "string" || stored !== token) return false;
+    tx.set(ref, { enabled: false, unsubscribedAt: admin.firestore.Timestamp.now() }, { merge: true });
+    return true;
+  });
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  MAX_DIGEST_JOBS,
+  digestNotDueReason,
+  escapeHtml,
+  loadDigestSettings,
+  normalizeDigestSettings,
+  queueDigestJobs,
+  renderDigest,
+  sendUserDigest,
+  unsubscribeDigest,
+};
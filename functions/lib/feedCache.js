@@ -0,0 +1,89 @@
+/**
+ * functions/lib/feedCache.js
+ *
+ * Per-feed HTTP cache, stored on the feed doc as `httpCache`:
+ *
+ *   { url, etag, lastModified, bodyHash, requests, rulesKey, checkedAt }
+ *
+ * ✅ Feeds fetched in a single request send If-None-Match / If-Modified-Since
+ *    next time; a 304 aborts the fetch with FeedNotModifiedError
+ * ✅ Paginated feeds (several requests) can't resume from a 304, so they are
+ *    fetched in full and compared by the combined body hash instead
+ * ✅ rulesKey ties the cache to the user's filters, so changing location
+ *    prefs / title rules / full content forces a full pass
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const crypto = require("crypto");
+const { fetchJsonWithMeta } = require("./http");
+
+class FeedNotModifiedError extends Error {
+  constructor(url) {
+    super(`Not modified: ${url}`);
+    this.name = "FeedNotModifiedError";
+  }
+}
+
+function hashOf(value) {
+  return crypto.createHash("sha256").update(typeof value === "string" ? value : JSON.stringify(value)).digest("hex");
+}
+
+/**
+ * A fetchJson drop-in for one feed's adapter.fetchJobs call.
+ * prevCache: the feed's stored httpCache (or null); rulesKey: see above.
+ */
+function createFeedFetcher(prevCache, rulesKey) {
+  const prev = prevCache && typeof prevCache === "object" ? prevCache : null;
+  const usable = !!prev && prev.rulesKey === rulesKey;
+
+  let first = null;
+  const hashes = [];
+
+  async function fetchJson(url, opts = {}) {
+    const isFirst = first === null;
+    const conditional = isFirst && usable && prev.requests === 1 && prev.url === url;
+
+    const res = await fetchJsonWithMeta(url, {
+      ...opts,
+      ...(conditional ? { etag: prev.etag, lastModified: prev.lastModified } : {}),
+    });
+
+    if (isFirst) first = { url, etag: res.etag, lastModified: res.lastModified };
+    if (res.notModified) throw new FeedNotModifiedError(url);
+
+    hashes.push(res.bodyHash);
+    return res.json;
+  }
+
+  return {
+    fetchJson,
+
+    // After fetchJobs resolved: same bytes as last time (and same filters)?
+    bodyUnchanged() {
+      return usable && hashes.length > 0 && prev.bodyHash === hashOf(hashes.join("|"));
+    },
+
+    // Value to store as the feed's httpCache
+    nextCache(now) {
+      if (!first) return prev;
+      const notModified = hashes.length === 0;
+      return {
+        url: first.url,
+        etag: first.etag || null,
+        lastModified: first.lastModified || null,
+        bodyHash: notModified ? prev.bodyHash : hashOf(hashes.join("|")),
+        requests: notModified ? prev.requests : hashes.length,
+        rulesKey,
+        checkedAt: now,
+      };
+    },
+  };
+}
+
+module.exports = {
+  FeedNotModifiedError,
+  createFeedFetcher,
+  hashOf,
+};
@@ -0,0 +1,72 @@
+/**
+ * functions/lib/feedSchedule.js
+ *
+ * Per-feed polling cadence:
+ *
+ *   feed.priority             "high" | "normal" | "low" (legacy `true` = "high")
+ *   feed.pollIntervalMinutes  one of feedSchedule.json intervals, or null for the tier default
+ *
+ * ✅ The scheduler ticks every TICK_MINUTES and only syncs feeds that are due:
+ *    lastCheckedAt + interval (never checked = due now)
+ * ✅ A feed whose last check failed is retried after at most FAILED_RETRY_MINUTES,
+ *    so a daily feed doesn't stay broken for a day (the circuit breaker still applies)
+ * ✅ High-priority feeds also raise notifications / web push for new jobs (lib/notifications.js)
+ *
+ * The table and this module are shared with the Home page: src/feedSchedule.js
+ * imports it (vite.config.js bundles it as ESM), so the UI's "next poll" is this code.
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const SCHEDULE = require("./feedSchedule.json");
+
+const TICK_MINUTES = SCHEDULE.tickMinutes;
+const FAILED_RETRY_MINUTES = SCHEDULE.failedRetryMinutes;
+const TIER_INTERVALS = Object.fromEntries(SCHEDULE.tiers.map((t) => [t.id, t.defaultIntervalMinutes]));
+// Scheduler ticks drift by a few seconds; without this a 60-minute feed would wait for the 70-minute tick
+const DUE_SLACK_MS = 60 * 1000;
+
+function feedTier(feed) {
+  if (feed.priority === true) return "high";
+  return TIER_INTERVALS[feed.priority] ? feed.priority : SCHEDULE.defaultTier;
+}
+
+function isPriorityFeed(feed) {
+  return feedTier(feed) === "high";
+}
+
+function tierDefaultInterval(tier) {
+  return TIER_INTERVALS[tier];
+}
+
+function feedPollIntervalMinutes(feed) {
+  const n = Number(feed.pollIntervalMinutes);
+  if (SCHEDULE.intervals.includes(n)) return n;
+  return tierDefaultInterval(feedTier(feed));
+}
+
+/**
+ * -> millis when the feed should next be checked (0 = never checked)
+ */
+function feedNextDueMs(feed) {
+  const last = feed.lastCheckedAt && feed.lastCheckedAt.toMillis ? feed.lastCheckedAt.toMillis() : null;
+  if (last == null) return 0;
+  const interval = feedPollIntervalMinutes(feed);
+  const minutes = feed.lastError ? Math.min(interval, FAILED_RETRY_MINUTES) : interval;
+  return last + minutes * 60 * 1000;
+}
+
+function feedIsDue(feed, now) {
+  return feedNextDueMs(feed) - DUE_SLACK_MS <= now.toMillis();
+}
+
+module.exports = {
+  TICK_MINUTES,
+  feedIsDue,
+  feedNextDueMs,
+  feedPollIntervalMinutes,
+  feedTier,
+  isPriorityFeed,
+  tierDefaultInterval,
+};
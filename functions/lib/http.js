@@ -0,0 +1,182 @@
+/**
+ * functions/lib/http.js
+ *
+ * Outbound HTTP for feed fetching (and webhook delivery, lib/webhooks.js).
+ *
+ * ✅ Every request has a timeout (HTTP_TIMEOUT_MS, covers the body too)
+ * ✅ Network errors, timeouts, 408/425/429/5xx are retried with exponential
+ *    backoff + full jitter, honoring Retry-After when the server sends one
+ * ✅ Final failures throw HttpError (status + retryable) for the feed circuit breaker
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const crypto = require("crypto");
+
+const USER_AGENT = "firebase-functions-job-sync/6.0";
+
+const REQUEST_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || 20000);
+const MAX_ATTEMPTS = Number(process.env.HTTP_MAX_ATTEMPTS || 4);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// A Retry-After longer than this isn't worth holding the sync for; the request fails instead
+const RETRY_AFTER_MAX_MS = 30000;
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+class HttpError extends Error {
+  constructor(message, { url, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Full jitter: random delay in [0, min(max, base * 2^(attempt-1))]
+function backoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date -> milliseconds (or null)
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function isTimeoutError(e) {
+  return e && (e.name === "TimeoutError" || e.name === "AbortError");
+}
+
+/**
+ * fetch() with a per-attempt timeout and retries on transient failures.
+ * Resolves with the final Response (which may still be a non-2xx).
+ * onAttempt(attempt) is called before each try, for callers that log attempts.
+ */
+async function fetchWithRetry(url, init, { maxAttempts = MAX_ATTEMPTS, timeoutMs = REQUEST_TIMEOUT_MS, onAttempt } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    if (onAttempt) onAttempt(attempt);
+    let resp;
+    try {
+      resp = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      const msg = isTimeoutError(e) ? `Timed out after ${timeoutMs}ms` : (e instanceof Error ? e.message : String(e));
+      if (attempt >= maxAttempts) {
+        throw new HttpError(`${msg} for ${url} (after ${attempt} attempts)`, { url, retryable: true });
+      }
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    if (RETRYABLE_STATUS.has(resp.status) && attempt < maxAttempts) {
+      const retryAfterMs = parseRetryAfter(resp.headers.get("retry-after"));
+      if (retryAfterMs == null || retryAfterMs <= RETRY_AFTER_MAX_MS) {
+        await safeReadText(resp);
+        await sleep(retryAfterMs ?? backoffDelay(attempt));
+        continue;
+      }
+    }
+
+    return resp;
+  }
+}
+
+/**
+ * GET by default. Pass { method: "POST", body } for APIs that page via POST
+ * (body objects are JSON-encoded).
+ */
+async function fetchJson(url, { method = "GET", body } = {}) {
+  const res = await fetchJsonWithMeta(url, { method, body });
+  return res.json;
+}
+
+/**
+ * fetchJson plus what conditional requests need:
+ * - sends If-None-Match / If-Modified-Since when etag / lastModified are given
+ * - resolves { notModified: true, json: null } on HTTP 304
+ * - otherwise { notModified: false, json, etag, lastModified, bodyHash }
+ *   (bodyHash is a sha256 of the raw body, for servers without validators)
+ */
+async function fetchJsonWithMeta(url, { method = "GET", body, etag, lastModified } = {}) {
+  const headers = {
+    accept: "application/json,text/plain,*/*",
+    "user-agent": USER_AGENT,
+  };
+  if (body !== undefined) headers["content-type"] = "application/json";
+  if (etag) headers["if-none-match"] = etag;
+  if (lastModified) headers["if-modified-since"] = lastModified;
+
+  const resp = await fetchWithRetry(url, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const validators = {
+    etag: resp.headers.get("etag") || etag || null,
+    lastModified: resp.headers.get("last-modified") || lastModified || null,
+  };
+
+  if (resp.status === 304) return { notModified: true, json: null, bodyHash: null, ...validators };
+
+  if (!resp.ok) {
+    const text = await safeReadText(resp);
+    throw new HttpError(`HTTP ${resp.status} ${resp.statusText} for ${url}. Body: ${(text || "").slice(0, 400)}`, {
+      url,
+      status: resp.status,
+      retryable: RETRYABLE_STATUS.has(resp.status),
+    });
+  }
+
+  let text;
+  try {
+    text = await resp.text();
+  } catch (e) {
+    const msg = isTimeoutError(e) ? `Timed out after ${REQUEST_TIMEOUT_MS}ms reading body` : (e instanceof Error ? e.message : String(e));
+    throw new HttpError(`${msg} for ${url}`, { url, retryable: true });
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error(`Invalid JSON from ${url}. Body: ${text.slice(0, 400)}`);
+  }
+
+  return {
+    notModified: false,
+    json,
+    bodyHash: crypto.createHash("sha256").update(text).digest("hex"),
+    etag: resp.headers.get("etag") || null,
+    lastModified: resp.headers.get("last-modified") || null,
+  };
+}
+
+async function safeReadText(resp) {
+  try {
+    return await resp.text();
+  } catch {
+    return "";
+  }
+}
+
+module.exports = {
+  USER_AGENT,
+  HttpError,
+  fetchWithRetry,
+  fetchJson,
+  fetchJsonWithMeta,
+  safeReadText,
+};
@@ -0,0 +1,184 @@
+/**
+ * functions/lib/jobContent.js
+ *
+ * Full-content mode helpers: turns what an adapter's details(raw) returns
+ *   { html, text, salary: { min, max, currency, interval } | null, employmentType }
+ * into the users/{uid}/jobDetails/{jobDocId} doc body.
+ *
+ * ✅ Description HTML is sanitized (allow-listed tags, no attributes except links)
+ * ✅ Plain text is derived from the sanitized HTML when the ATS doesn't send one
+ * ✅ Salary comes from the ATS when structured, else is parsed from the text
+ * ✅ Sizes are capped so a doc stays far below Firestore's 1 MiB limit
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const sanitizeHtml = require("sanitize-html");
+
+const MAX_HTML_CHARS = 200000;
+const MAX_TEXT_CHARS = 100000;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p", "br", "hr", "div", "span", "h1", "h2", "h3", "h4", "h5", "h6",
+    "ul", "ol", "li", "strong", "b", "em", "i", "u", "a", "blockquote",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: { a: ["href", "target", "rel"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { target: "_blank", rel: "noreferrer" }),
+  },
+};
+
+const CURRENCY_BY_SYMBOL = { "$": "USD", "£": "GBP", "€": "EUR" };
+
+// ISO 4217 codes postings quote salaries in. Any three capitals would take
+// "AWS 2 - 5 years" for a salary; codes that are also words (ALL, TOP, CUP) stay out.
+const SALARY_CURRENCY_CODES = new Set([
+  "USD", "CAD", "MXN", "BRL", "ARS", "CLP", "COP", "PEN",
+  "EUR", "GBP", "CHF", "SEK", "NOK", "DKK", "ISK", "PLN", "CZK", "HUF", "RON", "BGN", "UAH",
+  "ILS", "AED", "SAR", "QAR", "EGP", "ZAR", "NGN", "KES",
+  "INR", "PKR", "JPY", "CNY", "HKD", "TWD", "KRW", "SGD", "MYR", "THB", "IDR", "PHP", "VND",
+  "AUD", "NZD",
+]);
+
+const EMPLOYMENT_TYPES = [
+  { id: "full_time", regex: /full[\s_-]?time|permanent/i },
+  { id: "part_time", regex: /part[\s_-]?time/i },
+  { id: "contract", regex: /contract|freelance|contractor/i },
+  { id: "internship", regex: /intern/i },
+  { id: "temporary", regex: /temp/i },
+];
+
+// "$120,000 - $150,000", "$120k–$150k USD", "USD 50.00 to 65.00 per hour"
+const AMOUNT = "(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*([kK])?";
+const SALARY_RANGE_REGEX = new RegExp(
+  `(?:\\b([A-Z]{3})\\s*)?([$£€])?\\s?${AMOUNT}\\s*(?:-|–|—|to)\\s*(?:[A-Z]{3}\\s*)?[$£€]?\\s?${AMOUNT}(?:\\s*([A-Z]{3})\\b)?`,
+  "g"
+);
+
+/**
+ * Greenhouse sends `content` entity-encoded ("&lt;p&gt;...").
+ */
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+function sanitizeDescriptionHtml(html) {
+  return sanitizeHtml(String(html || ""), SANITIZE_OPTIONS).trim().slice(0, MAX_HTML_CHARS);
+}
+
+function htmlToText(html) {
+  const withBreaks = String(html || "")
+    .replace(/<\s*br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6]|tr|blockquote)>/gi, "\n");
+  const text = sanitizeHtml(withBreaks, { allowedTags: [], allowedAttributes: {} });
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n+/g, "\n\n")
+    .trim();
+}
+
+function toAmount(digits, k) {
+  const n = Number(String(digits).replace(/,/g, ""));
+  if (!Number.isFinite(n)) return null;
+  return k ? n * 1000 : n;
+}
+
+function intervalFromText(s) {
+  if (/per\s+hour|\/\s*h(ou)?r|hourly/i.test(s)) return "hour";
+  if (/per\s+month|\/\s*mo(nth)?|monthly/i.test(s)) return "month";
+  return null;
+}
+
+function currencyCode(code) {
+  return code && SALARY_CURRENCY_CODES.has(code) ? code : null;
+}
+
+/**
+ * First plausible salary range in a description.
+ * Needs a currency symbol or a known currency code so "2 - 4 years" and
+ * "AWS 2 - 5 years" aren't salaries.
+ */
+function parseSalaryFromText(text) {
+  const s = String(text || "");
+  for (const m of s.matchAll(SALARY_RANGE_REGEX)) {
+    const [, codeBefore, symbol, minDigits, minK, maxDigits, maxK, codeAfter] = m;
+    const currency = currencyCode(codeBefore) || currencyCode(codeAfter) || CURRENCY_BY_SYMBOL[symbol] || null;
+    if (!currency) continue;
+
+    const min = toAmount(minDigits, minK || maxK);
+    const max = toAmount(maxDigits, maxK);
+    if (min == null || max == null || max < min) continue;
+
+    const tail = s.slice(m.index + m[0].length, m.index + m[0].length + 40);
+    const interval = intervalFromText(tail) || (max < 1000 ? "hour" : "year");
+    return { min, max, currency, interval };
+  }
+  return null;
+}
+
+function normalizeInterval(raw) {
+  const s = String(raw || "").toLowerCase();
+  if (!s) return null;
+  if (s.includes("hour")) return "hour";
+  if (s.includes("day")) return "day";
+  if (s.includes("week")) return "week";
+  if (s.includes("month")) return "month";
+  if (s.includes("year") || s.includes("annual") || s.includes("salary")) return "year";
+  return null;
+}
+
+function normalizeEmploymentType(raw) {
+  if (raw == null || raw === "") return null;
+  const s = String(raw);
+  return EMPLOYMENT_TYPES.find((t) => t.regex.test(s))?.id || s;
+}
+
+/**
+ * details: what adapter.details(raw) returned (null when the adapter has nothing)
+ * -> jobDetails doc body, or null when there is no content at all
+ */
+function buildJobDetails(details) {
+  if (!details) return null;
+
+  const descriptionHtml = sanitizeDescriptionHtml(details.html);
+  const descriptionText = (details.text ? String(details.text).trim() : htmlToText(descriptionHtml)).slice(0, MAX_TEXT_CHARS);
+
+  let salary = details.salary && (details.salary.min != null || details.salary.max != null) ? details.salary : null;
+  let salarySource = salary ? "ats" : null;
+  if (!salary) {
+    salary = parseSalaryFromText(descriptionText);
+    if (salary) salarySource = "description";
+  }
+
+  const employmentType = normalizeEmploymentType(details.employmentType);
+  if (!descriptionHtml && !descriptionText && !salary && !employmentType) return null;
+
+  return {
+    descriptionHtml,
+    descriptionText,
+    salaryMin: salary?.min ?? null,
+    salaryMax: salary?.max ?? null,
+    salaryCurrency: salary?.currency ? String(salary.currency).toUpperCase() : null,
+    salaryInterval: salary ? (normalizeInterval(salary.interval) || "year") : null,
+    salarySource,
+    employmentType,
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  sanitizeDescriptionHtml,
+  htmlToText,
+  parseSalaryFromText,
+  buildJobDetails,
+};
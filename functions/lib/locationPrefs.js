@@ -0,0 +1,167 @@
+/**
+ * functions/lib/locationPrefs.js
+ *
+ * Per-user location preferences (users/{uid}/settings/locationPrefs):
+ *
+ *   {
+ *     include: { countries: ["US"], regions: ["CA-ON"], metros: [{ name, aliases: [] }], remote: ["us"] },
+ *     exclude: { ...same shape },
+ *   }
+ *
+ * A job is kept when at least one of its location entries matches an include
+ * rule (or there are no include rules) and no exclude rule.
+ * Country / region / metro rules only look at on-site entries; remote entries
+ * are judged by their remote scope.
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { GAZETTEER, paddedText, classifyJobLocations } = require("./locations");
+
+const REMOTE_SCOPE_IDS = new Set(GAZETTEER.remoteScopes.map((s) => s.id));
+
+// Users without a prefs doc keep the original behavior: US on-site + Remote US
+const DEFAULT_LOCATION_PREFS = {
+  include: { countries: ["US"], regions: [], metros: [], remote: ["us"] },
+  exclude: { countries: [], regions: [], metros: [], remote: [] },
+};
+
+// Which classified remote scopes each remote rule accepts
+const REMOTE_RULE_ACCEPTS = {
+  us: new Set(["us", "americas", "global"]),
+  canada: new Set(["canada", "americas", "global"]),
+  americas: new Set(["us", "canada", "americas", "global"]),
+  emea: new Set(["emea", "global"]),
+  apac: new Set(["apac", "global"]),
+};
+
+function cleanList(v, max = 100) {
+  return Array.from(new Set((Array.isArray(v) ? v : []).map((x) => String(x || "").trim()).filter(Boolean))).slice(0, max);
+}
+
+function cleanSide(side) {
+  const s = side && typeof side === "object" ? side : {};
+  return {
+    countries: cleanList(s.countries).map((c) => c.toUpperCase()),
+    regions: cleanList(s.regions).map((r) => r.toUpperCase()),
+    metros: (Array.isArray(s.metros) ? s.metros : [])
+      .map((m) => ({
+        name: String(m?.name || "").trim(),
+        aliases: cleanList(m?.aliases, 50),
+      }))
+      .filter((m) => m.name)
+      .slice(0, 50),
+    remote: cleanList(s.remote).map((r) => r.toLowerCase()).filter((r) => REMOTE_SCOPE_IDS.has(r)),
+  };
+}
+
+/**
+ * Whatever is stored (or posted by the UI) -> the canonical shape above.
+ * A missing doc yields DEFAULT_LOCATION_PREFS.
+ */
+function normalizeLocationPrefs(raw) {
+  if (!raw || typeof raw !== "object") return DEFAULT_LOCATION_PREFS;
+  return {
+    include: cleanSide(raw.include),
+    exclude: cleanSide(raw.exclude),
+  };
+}
+
+function compileSide(side, sideName) {
+  const rules = [];
+  for (const code of side.countries) {
+    rules.push({ id: `${sideName}:country:${code}`, side: sideName, kind: "country", value: code });
+  }
+  for (const code of side.regions) {
+    rules.push({ id: `${sideName}:region:${code}`, side: sideName, kind: "region", value: code });
+  }
+  for (const m of side.metros) {
+    const terms = [m.name, ...m.aliases].map(paddedText).filter((t) => t.trim());
+    rules.push({ id: `${sideName}:metro:${m.name}`, side: sideName, kind: "metro", value: m.name, terms });
+  }
+  for (const scope of side.remote) {
+    rules.push({ id: `${sideName}:remote:${scope}`, side: sideName, kind: "remote", value: scope });
+  }
+  return rules;
+}
+
+function compileLocationPrefs(prefs) {
+  const p = normalizeLocationPrefs(prefs);
+  return {
+    include: compileSide(p.include, "include"),
+    exclude: compileSide(p.exclude, "exclude"),
+  };
+}
+
+function entryMatchesRule(info, rule) {
+  if (rule.kind === "remote") {
+    if (!info.isRemote) return false;
+    if (rule.value === "anywhere") return true;
+    return REMOTE_RULE_ACCEPTS[rule.value]?.has(info.remoteScope) === true;
+  }
+
+  if (info.isRemote) return false;
+  if (rule.kind === "country") return info.countries.includes(rule.value);
+  if (rule.kind === "region") return info.regions.includes(rule.value);
+  if (rule.kind === "metro") return rule.terms.some((t) => info.text.includes(t));
+  return false;
+}
+
+function entryIsKept(info, compiled) {
+  const included = compiled.include.length === 0 || compiled.include.some((r) => entryMatchesRule(info, r));
+  if (!included) return false;
+  return !compiled.exclude.some((r) => entryMatchesRule(info, r));
+}
+
+/**
+ * compiled: result of compileLocationPrefs (compile once per user per sync)
+ */
+function jobMatchesLocationPrefs(job, compiled) {
+  const entries = classifyJobLocations(job);
+  if (entries.length === 0) return compiled.include.length === 0;
+  return entries.some((info) => entryIsKept(info, compiled));
+}
+
+/**
+ * How many of `jobs` each rule touches: include rules count the jobs they
+ * would keep on their own, exclude rules the jobs they would remove.
+ */
+function previewLocationPrefs(jobs, prefs) {
+  const compiled = compileLocationPrefs(prefs);
+  const counts = new Map([...compiled.include, ...compiled.exclude].map((r) => [r.id, 0]));
+  let kept = 0;
+
+  for (const job of jobs) {
+    const entries = classifyJobLocations(job);
+
+    for (const rule of compiled.include) {
+      if (entries.some((info) => entryMatchesRule(info, rule))) counts.set(rule.id, counts.get(rule.id) + 1);
+    }
+    for (const rule of compiled.exclude) {
+      if (entries.some((info) => entryMatchesRule(info, rule))) counts.set(rule.id, counts.get(rule.id) + 1);
+    }
+
+    if (jobMatchesLocationPrefs(job, compiled)) kept += 1;
+  }
+
+  return {
+    jobsConsidered: jobs.length,
+    kept,
+    rules: [...compiled.include, ...compiled.exclude].map((r) => ({
+      id: r.id,
+      side: r.side,
+      kind: r.kind,
+      value: r.value,
+      count: counts.get(r.id) || 0,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCATION_PREFS,
+  normalizeLocationPrefs,
+  compileLocationPrefs,
+  jobMatchesLocationPrefs,
+  previewLocationPrefs,
+};
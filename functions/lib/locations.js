@@ -0,0 +1,394 @@
+/**
+ * functions/lib/locations.js
+ *
+ * Location string parsing backed by the offline gazetteer in
+ * lib/gazetteer.json (also imported by the Settings UI for its pickers).
+ *
+ * ✅ "San Francisco, CA; Remote - US" -> one structured entry per location:
+ *      { city: "San Francisco", region: "US-CA", country: "US", isRemote: false, remoteScope: null }
+ *      { city: null, region: null, country: "US", isRemote: true, remoteScope: "us" }
+ * ✅ Two-letter codes only count as a whole comma part ("Austin, TX"), never
+ *    inside ordinary words ("Remote in US", "Engineering OR Sales")
+ * ✅ Ambiguous names are settled by context: "Portland, ME" vs "Portland",
+ *    "Washington, DC" vs "Washington", "Berlin, DE" vs "Dover, DE",
+ *    "Tbilisi, Georgia" vs "Atlanta, Georgia"
+ * ✅ Messy real-world strings live in test/fixtures/locations.json (npm test);
+ *    add one there before changing the parser or the gazetteer
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const GAZETTEER = require("./gazetteer.json");
+
+/**
+ * ----------------------------
+ * TEXT HELPERS
+ * ----------------------------
+ */
+function normalizeText(s) {
+  return String(s)
+    .toLowerCase()
+    .replace(/[().]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Lowercased words separated by single spaces, with a leading and trailing
+ * space, so `padded.includes(" new york ")` is a whole-word match.
+ */
+function paddedText(s) {
+  const words = String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return words ? ` ${words} ` : " ";
+}
+
+/**
+ * ----------------------------
+ * GAZETTEER INDEXES
+ * ----------------------------
+ */
+const COUNTRY_BY_CODE = new Map(GAZETTEER.countries.map((c) => [c.code, c]));
+const REGION_BY_CODE = new Map(GAZETTEER.regions.map((r) => [r.code, r]));
+
+// "CA" -> US-CA; Canadian province codes never collide with US state codes
+const REGION_BY_ABBR = new Map(GAZETTEER.regions.map((r) => [r.abbr, r]));
+
+// padded term -> { countries: [code], region, cities: [city] }
+const TERM_INDEX = new Map();
+
+function termEntry(term) {
+  const key = paddedText(term);
+  if (!TERM_INDEX.has(key)) TERM_INDEX.set(key, { countries: [], region: null, cities: [] });
+  return TERM_INDEX.get(key);
+}
+
+for (const c of GAZETTEER.countries) {
+  for (const term of [c.name, ...(c.aliases || [])]) termEntry(term).countries.push(c.code);
+}
+for (const r of GAZETTEER.regions) termEntry(r.name).region = r;
+for (const city of GAZETTEER.cities) {
+  for (const term of [city.name, ...(city.aliases || [])]) termEntry(term).cities.push(city);
+}
+
+// Longest first, so "south san francisco" wins over "san francisco"
+const SCAN_TERMS = Array.from(TERM_INDEX.keys()).sort((a, b) => b.length - a.length);
+
+const REMOTE_TERMS = GAZETTEER.remotePhrases.map(paddedText);
+
+const REMOTE_GROUP_TERMS = GAZETTEER.remoteGroups.map((g) => ({ group: g.group, terms: g.terms.map(paddedText) }));
+
+// Parts that describe the work arrangement rather than a place
+const ARRANGEMENT_PART_REGEX = /^(hybrid|on ?site|in office|office|hq|headquarters|multiple locations?|various locations?|flexible|us based|based)$/;
+
+const LOCATION_SPLIT_REGEX = /[;|/]+|(?:\s*,\s*)/g;
+const LOCATION_ENTRY_SPLIT_REGEX = /[;|/•\n]+/g;
+
+// Inside one entry: commas, brackets, colons, spaced dashes and "US-Remote" style dashes
+const LOCATION_PART_SPLIT_REGEX = /\s*[,()[\]:]\s*|\s+[-–—]\s+|\s*[-–—]\s*(?=remote\b)|(?<=\bremote)\s*[-–—]\s*/i;
+
+/**
+ * ----------------------------
+ * TOKENS (stored on job docs)
+ * ----------------------------
+ */
+function extractLocationTokens(locationString) {
+  const raw = String(locationString || "").trim();
+  if (!raw) return [];
+  const pieces = raw
+    .split(LOCATION_SPLIT_REGEX)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const tokens = new Set([raw, ...pieces]);
+  return Array.from(tokens);
+}
+
+/**
+ * ----------------------------
+ * PARSING
+ * ----------------------------
+ */
+
+/**
+ * "San Francisco, CA; Remote - US" -> ["San Francisco, CA", "Remote - US"]
+ * (commas stay inside an entry so "Portland, ME" is judged as a whole)
+ */
+function extractLocationEntries(locationString) {
+  return String(locationString || "")
+    .split(LOCATION_ENTRY_SPLIT_REGEX)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+function collectPartHits(padded, hits) {
+  const exact = TERM_INDEX.get(padded);
+  if (exact) {
+    hits.push(exact);
+    return true;
+  }
+
+  // "Remote in the United States", "Greater Seattle Area"
+  let rest = padded;
+  let matched = false;
+  for (const term of SCAN_TERMS) {
+    if (!rest.includes(term)) continue;
+    hits.push(TERM_INDEX.get(term));
+    rest = rest.replace(term, " ");
+    matched = true;
+  }
+  return matched;
+}
+
+function isArrangementPart(padded) {
+  return REMOTE_TERMS.some((t) => padded.includes(t)) || ARRANGEMENT_PART_REGEX.test(padded.trim());
+}
+
+function titleCase(s) {
+  return s.replace(/\b([a-z])/g, (m) => m.toUpperCase());
+}
+
+function pickCity(candidateLists, regionCodes, countryCodes) {
+  for (const list of candidateLists) {
+    let opts = list;
+    if (regionCodes.size > 0) opts = opts.filter((c) => regionCodes.has(c.region));
+    if (countryCodes.size > 0) opts = opts.filter((c) => countryCodes.has(c.country));
+    if (opts.length === 0) continue;
+    if (opts.length === 1) return { city: opts[0], name: opts[0].name };
+
+    // "Springfield" with no state: keep the name, and the country if they all agree
+    const primary = opts.find((c) => c.primary);
+    if (primary) return { city: primary, name: primary.name };
+    const countries = new Set(opts.map((c) => c.country));
+    return { city: null, name: opts[0].name, country: countries.size === 1 ? opts[0].country : null };
+  }
+  return null;
+}
+
+function remoteScopeFor(text, countryCodes) {
+  for (const g of REMOTE_GROUP_TERMS) {
+    if (g.terms.some((t) => text.includes(t))) return g.group;
+  }
+  if (countryCodes.size === 1) {
+    const code = Array.from(countryCodes)[0];
+    if (code === "US") return "us";
+    if (code === "CA") return "canada";
+    return COUNTRY_BY_CODE.get(code)?.group || "global";
+  }
+  if (countryCodes.size > 1) {
+    const groups = new Set(Array.from(countryCodes).map((c) => COUNTRY_BY_CODE.get(c)?.group));
+    if (groups.size === 1) return Array.from(groups)[0];
+  }
+  return "global";
+}
+
+const parseCache = new Map();
+const PARSE_CACHE_MAX = 5000;
+
+/**
+ * One location entry -> { label, city, region, country, countries[], isRemote, remoteScope }
+ * region is a "US-CA" / "CA-ON" style code; countries holds every country the
+ * entry names ("Remote - US or Canada") while country is set only when there is one.
+ */
+function parseLocationEntry(entry) {
+  const label = String(entry || "").trim();
+  if (parseCache.has(label)) return parseCache.get(label);
+
+  const text = paddedText(label);
+  const isRemote = REMOTE_TERMS.some((t) => text.includes(t));
+
+  const hits = [];
+  const codes = [];
+  const unresolved = [];
+
+  for (const part of label.split(LOCATION_PART_SPLIT_REGEX)) {
+    const padded = paddedText(part);
+    const bare = padded.trim();
+    if (!bare) continue;
+
+    if (TERM_INDEX.has(padded)) {
+      hits.push(TERM_INDEX.get(padded));
+    } else if (/^[a-z] ?[a-z]$/.test(bare)) {
+      // "TX", "D.C."
+      codes.push(bare.replace(" ", "").toUpperCase());
+    } else if (!collectPartHits(padded, hits) && !isArrangementPart(padded)) {
+      unresolved.push(part.trim());
+    }
+  }
+
+  const countryCodes = new Set();
+  const regions = [];
+  const cityLists = [];
+  const ambiguous = [];
+  const stateOrCountry = [];
+
+  for (const hit of hits) {
+    // "Georgia": decided once the rest of the entry is known
+    if (hit.region && hit.countries.length > 0) {
+      stateOrCountry.push(hit);
+      continue;
+    }
+    hit.countries.forEach((c) => countryCodes.add(c));
+    if (hit.region && hit.cities.length > 0) ambiguous.push(hit);
+    else if (hit.region) regions.push(hit.region);
+    else if (hit.cities.length > 0) cityLists.push(hit.cities);
+  }
+
+  // Two-letter parts: a state/province abbreviation or an ISO country code.
+  // "Berlin, DE" is Germany, "Dover, DE" is Delaware; "Toronto, CA" is Canada.
+  const allCandidates = [...cityLists, ...ambiguous.map((h) => h.cities)].flat();
+
+  // A city of the country ("Tbilisi, Georgia") makes it the country; otherwise it
+  // falls back to the state ("Atlanta, Georgia", "Georgia, USA", a bare "Georgia")
+  for (const hit of stateOrCountry) {
+    const inCountry = allCandidates.some((c) => hit.countries.includes(c.country));
+    const inState = allCandidates.some((c) => c.region === hit.region.code) || countryCodes.has(hit.region.country);
+    if (inCountry && !inState) hit.countries.forEach((c) => countryCodes.add(c));
+    else regions.push(hit.region);
+  }
+  for (const code of codes) {
+    const region = REGION_BY_ABBR.get(code);
+    const isCountry = COUNTRY_BY_CODE.has(code);
+    if (region && isCountry) {
+      if (allCandidates.some((c) => c.country === code)) countryCodes.add(code);
+      else regions.push(region);
+    } else if (region) {
+      regions.push(region);
+    } else if (isCountry) {
+      countryCodes.add(code);
+    }
+  }
+
+  // Names that are both a state and a city: "Washington, DC" / "New York, NY"
+  // are cities, a bare "Washington" is the state, a bare "New York" the city in NY.
+  for (const hit of ambiguous) {
+    if (regions.length > 0 || countryCodes.size > 0) {
+      cityLists.push(hit.cities);
+    } else if (hit.cities.some((c) => c.region === hit.region.code)) {
+      cityLists.push(hit.cities);
+      regions.push(hit.region);
+    } else {
+      regions.push(hit.region);
+    }
+  }
+
+  const regionCodes = new Set(regions.map((r) => r.code));
+  const picked = pickCity(cityLists, regionCodes, countryCodes);
+
+  const region = regions[0] || (picked?.city?.region ? REGION_BY_CODE.get(picked.city.region) : null) || null;
+  if (region) countryCodes.add(region.country);
+  if (picked?.city) countryCodes.add(picked.city.country);
+  if (picked?.country) countryCodes.add(picked.country);
+
+  // A known name in another state ("Vancouver, WA"), or a city the gazetteer
+  // doesn't know next to a state it does ("Lehigh Acres, FL")
+  let cityName = picked?.name || null;
+  if (!cityName && region && !isRemote) {
+    if (cityLists.length > 0) cityName = cityLists[0][0].name;
+    else if (unresolved.length > 0) cityName = titleCase(unresolved[0]);
+  }
+
+  const info = {
+    label,
+    city: cityName,
+    region: region ? region.code : null,
+    country: countryCodes.size === 1 ? Array.from(countryCodes)[0] : null,
+    countries: Array.from(countryCodes),
+    isRemote,
+    remoteScope: isRemote ? remoteScopeFor(text, countryCodes) : null,
+  };
+
+  if (parseCache.size >= PARSE_CACHE_MAX) parseCache.clear();
+  parseCache.set(label, info);
+  return info;
+}
+
+/**
+ * A bare "Remote" next to on-site entries that agree on one country
+ * ("Chicago, IL / Remote") is remote in that country, not worldwide.
+ */
+function parseLocations(locationString) {
+  const entries = extractLocationEntries(locationString).map(parseLocationEntry);
+  const siblingCountries = new Set(entries.filter((e) => !e.isRemote).flatMap((e) => e.countries));
+  if (siblingCountries.size !== 1) return entries;
+
+  const country = Array.from(siblingCountries)[0];
+  return entries.map((e) =>
+    e.isRemote && e.countries.length === 0 && e.remoteScope === "global"
+      ? { ...e, country, countries: [country], remoteScope: remoteScopeFor(" ", siblingCountries) }
+      : e
+  );
+}
+
+/**
+ * Keys for the Jobs page filters, one array so a single array-contains covers
+ * state + work mode on the same entry: "US-CO", "remote", "US-CO:remote", ...
+ */
+function locationFilterKeys(entries) {
+  const keys = new Set();
+  for (const e of entries) {
+    const mode = e.isRemote ? "remote" : "onsite";
+    keys.add(mode);
+    if (e.region) {
+      keys.add(e.region);
+      keys.add(`${e.region}:${mode}`);
+    }
+  }
+  return Array.from(keys);
+}
+
+/**
+ * Fields stored on job docs, so the UI and queries filter on structure
+ * instead of re-parsing locationName.
+ */
+function structuredLocationFields(locationString) {
+  const entries = parseLocations(locationString);
+  const unique = (xs) => Array.from(new Set(xs.filter(Boolean)));
+  const regionCodes = unique(entries.map((e) => e.region));
+
+  return {
+    locations: entries.map((e) => ({
+      city: e.city,
+      region: e.region,
+      country: e.country,
+      isRemote: e.isRemote,
+      remoteScope: e.remoteScope,
+    })),
+    countryCodes: unique(entries.flatMap((e) => e.countries)),
+    regionCodes,
+    stateCodes: regionCodes.filter((c) => c.startsWith("US-")).map((c) => c.slice(3)),
+    isRemote: entries.some((e) => e.isRemote),
+    locationKeys: locationFilterKeys(entries),
+  };
+}
+
+/**
+ * Entries in the shape locationPrefs matches against: countries/regions as
+ * lists plus the padded text used for metro alias matching.
+ */
+function classifyJobLocations(job) {
+  return parseLocations(job.locationName || "").map((e) => ({
+    isRemote: e.isRemote,
+    remoteScope: e.remoteScope,
+    countries: e.countries,
+    regions: e.region ? [e.region] : [],
+    text: paddedText(`${e.label} ${e.city || ""}`),
+  }));
+}
+
+module.exports = {
+  GAZETTEER,
+  normalizeText,
+  paddedText,
+  extractLocationTokens,
+  extractLocationEntries,
+  parseLocationEntry,
+  parseLocations,
+  structuredLocationFields,
+  classifyJobLocations,
+};
@@ -0,0 +1,94 @@
+/**
+ * functions/lib/mailer.js
+ *
+ * Pluggable mail transport for outgoing email (digests):
+ *
+ *   MAIL_TRANSPORT=smtp     nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   MAIL_TRANSPORT=file     writes each message to MAIL_FILE_DIR (default <tmpdir>/jobwatch-mail)
+ *   MAIL_TRANSPORT=console  logs the plain-text part (default under the emulator when SMTP_HOST is unset)
+ *
+ * Outside the emulator there is no silent fallback: with neither MAIL_TRANSPORT nor
+ * SMTP_HOST set, getMailTransport throws, so digests stay queued instead of being
+ * "sent" to the logs (recipient and job list included).
+ *
+ * ✅ Every transport has the same shape: { name, send({ to, subject, html, text, headers }) -> { id } }
+ * ✅ The file / console transports let the emulator exercise the whole digest path without SMTP
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("firebase-functions");
+
+const MAIL_FROM = process.env.MAIL_FROM || "JobWatch <no-reply@jobwatch.local>";
+
+function createSmtpTransport() {
+  const nodemailer = require("nodemailer");
+  const port = Number(process.env.SMTP_PORT || 587);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ to, subject, html, text, headers = {} }) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, html, text, headers });
+      return { id: info.messageId || null };
+    },
+  };
+}
+
+function createFileTransport(dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "jobwatch-mail")) {
+  return {
+    name: "file",
+    async send({ to, subject, html, text, headers = {} }) {
+      const id = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ from: MAIL_FROM, to, subject, headers, text }, null, 2));
+      await fs.writeFile(path.join(dir, `${id}.html`), html);
+      return { id };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send({ to, subject, text }) {
+      logger.info(`[mail] to=${to} subject=${JSON.stringify(subject)}\n${text}`);
+      return { id: null };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let cached = null;
+
+function getMailTransport() {
+  if (cached) return cached;
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : process.env.FUNCTIONS_EMULATOR === "true" ? "console" : null);
+  if (!name) throw new Error("No mail transport configured: set SMTP_HOST (or MAIL_TRANSPORT=console|file to log / write digests instead).");
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(", ")}).`);
+  cached = factory();
+  return cached;
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getMailTransport,
+};
@@ -0,0 +1,138 @@
+/**
+ * functions/lib/notifications.js
+ *
+ * In-app notification center (users/{uid}/notifications/{id}) and web push:
+ *
+ *   { type: "new_jobs" | "feed_failure" | "sync", title, body, path, read, createdAt, expireAt }
+ *
+ * ✅ The TopBar bell lists the latest notifications; the client only flips `read`
+ * ✅ New jobs on high-priority feeds (lib/feedSchedule.js) are also pushed through FCM to every
+ *    device in users/{uid}/pushTokens; tokens FCM reports as dead are removed
+ * ✅ Push messages are data-only ({ title, body, path, tag }); the service worker
+ *    (public/firebase-messaging-sw.js) shows them and opens `path` on click
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const admin = require("firebase-admin");
+const { logger } = require("firebase-functions");
+const { addDaysTs } = require("./util");
+
+const NOTIFICATION_TTL_DAYS = 30;
+const MAX_PUSH_TOKENS = 20;
+// Push bodies list at most this many titles
+const PUSH_MAX_TITLES = 3;
+
+// Only codes about the token itself: invalid-argument also covers payload
+// problems, and would prune every token of the user for one bad message
+const DEAD_TOKEN_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+function notificationRecord({ type, title, body = "", path = "/" }, now) {
+  return {
+    type,
+    title: String(title).slice(0, 200),
+    body: String(body).slice(0, 1000),
+    path,
+    read: false,
+    createdAt: now,
+    expireAt: addDaysTs(now, NOTIFICATION_TTL_DAYS),
+  };
+}
+
+function writeNotification(bw, userRef, notification, now) {
+  bw.set(userRef.collection("notifications").doc(), notificationRecord(notification, now));
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * jobs: new jobs of one priority feed
+ */
+function newJobsNotification(companyName, companyKey, jobs) {
+  const titles = jobs.slice(0, PUSH_MAX_TITLES).map((j) => j.title).join(", ");
+  const more = jobs.length > PUSH_MAX_TITLES ? ` and ${jobs.length - PUSH_MAX_TITLES} more` : "";
+  return {
+    type: "new_jobs",
+    title: `${plural(jobs.length, "new job")} at ${companyName}`,
+    body: `${titles}${more}`,
+    path: `/jobs?t=all&companies=${encodeURIComponent(companyKey)}`,
+  };
+}
+
+function feedFailureNotification(feed, message, breaker) {
+  const company = feed.companyName || feed.company || "A feed";
+  return {
+    type: "feed_failure",
+    title: breaker.state === "open" ? `${company} feed paused` : `${company} feed failed`,
+    body: breaker.state === "open" ? `${plural(breaker.consecutiveFailures, "failure")} in a row: ${message}` : message,
+    path: "/",
+  };
+}
+
+// Only the first failure and the one that opens the breaker notify; the rest are repeats
+function shouldNotifyFeedFailure(previous, breaker) {
+  if (!previous || !previous.consecutiveFailures) return true;
+  return breaker.state === "open" && previous.state !== "open";
+}
+
+function syncNotification({ summary = null, error = null, runType }) {
+  if (error) return { type: "sync", title: "Sync failed", body: error, path: "/history" };
+  const parts = [plural(summary.jobsNew, "new job")];
+  if (summary.jobsClosed) parts.push(`${summary.jobsClosed} closed`);
+  if (summary.failedFeeds) parts.push(plural(summary.failedFeeds, "failed feed"));
+  return {
+    type: "sync",
+    title: runType === "manual" ? "Manual sync finished" : "Sync finished",
+    body: parts.join(" · "),
+    path: "/history",
+  };
+}
+
+/**
+ * Data-only FCM message to every registered device of the user.
+ * -> { sent, failed, removed }
+ */
+async function sendPushToUser(db, userId, { title, body, path = "/", tag = "" }) {
+  const tokensCol = db.collection("users").doc(userId).collection("pushTokens");
+  const snap = await tokensCol.limit(MAX_PUSH_TOKENS).get();
+  const out = { sent: 0, failed: 0, removed: 0 };
+  if (snap.empty) return out;
+
+  const docs = snap.docs.filter((d) => typeof d.get("token") === "string");
+  const res = await admin.messaging().sendEachForMulticast({
+    tokens: docs.map((d) => d.get("token")),
+    data: { title: String(title), body: String(body), path: String(path), tag: String(tag) },
+    webpush: { headers: { Urgency: "high" } },
+  });
+
+  const stale = [];
+  res.responses.forEach((r, i) => {
+    if (r.success) {
+      out.sent += 1;
+      return;
+    }
+    out.failed += 1;
+    if (DEAD_TOKEN_CODES.has(r.error?.code)) stale.push(docs[i].ref);
+    else logger.warn(`Push failed userId=${userId}: ${r.error?.message || "unknown error"}`);
+  });
+
+  await Promise.all(stale.map((ref) => ref.delete()));
+  out.removed = stale.length;
+  return out;
+}
+
+module.exports = {
+  feedFailureNotification,
+  newJobsNotification,
+  notificationRecord,
+  sendPushToUser,
+  shouldNotifyFeedFailure,
+  syncNotification,
+  writeNotification,
+};
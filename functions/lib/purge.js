@@ -0,0 +1,196 @@
+/**
+ * functions/lib/purge.js
+ *
+ * Admin bulk delete of users/{uid}/jobs (and their jobDetails docs) by filter:
+ *
+ *   { companyKey, companyName, source, titleRegex, updatedAfter, updatedBefore, saved }
+ *
+ * ✅ companyKey / companyName / source go into the Firestore query (equality only,
+ *    so no composite index); the rest is matched in memory
+ * ✅ Pages through the collection by doc id and stops before the deadline, returning
+ *    a cursor to continue from, so large collections can't time out a call
+ * ✅ dryRun counts matches and returns a sample without deleting anything
+ * ✅ Only deletes that Firestore confirmed are counted; a page with a failed delete
+ *    stops the call with the cursor still before that page, so the next call retries it
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const admin = require("firebase-admin");
+const { logger } = require("firebase-functions");
+const { toTimestampOrNull } = require("./util");
+
+const PURGE_PAGE_SIZE = 500;
+const SAMPLE_SIZE = 20;
+const MAX_AUDIT_IDS = 1000;
+const MAX_REGEX_LENGTH = 200;
+const MAX_WRITE_ATTEMPTS = 3;
+
+class PurgeFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PurgeFilterError";
+  }
+}
+
+function cleanString(v) {
+  const s = v == null ? "" : String(v).trim();
+  return s || null;
+}
+
+function parseBool(v) {
+  if (v === true || v === false) return v;
+  const s = String(v ?? "").trim().toLowerCase();
+  if (s === "true") return true;
+  if (s === "false") return false;
+  return null;
+}
+
+function parseDateBound(v, name) {
+  if (v == null || v === "") return null;
+  const ts = toTimestampOrNull(v);
+  if (!ts) throw new PurgeFilterError(`${name} must be an ISO date.`);
+  return ts;
+}
+
+/**
+ * Request body / query -> validated filter. Throws PurgeFilterError.
+ * At least one criterion other than `saved` is required, so a typo can't wipe a user.
+ */
+function normalizePurgeFilter(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+
+  const titleRegex = cleanString(r.titleRegex);
+  if (titleRegex) {
+    if (titleRegex.length > MAX_REGEX_LENGTH) throw new PurgeFilterError(`titleRegex is longer than ${MAX_REGEX_LENGTH} chars.`);
+    try {
+      new RegExp(titleRegex, "i");
+    } catch (e) {
+      throw new PurgeFilterError(`Invalid titleRegex: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  const filter = {
+    companyKey: cleanString(r.companyKey),
+    companyName: cleanString(r.companyName),
+    source: cleanString(r.source),
+    titleRegex,
+    updatedAfter: parseDateBound(r.updatedAfter, "updatedAfter"),
+    updatedBefore: parseDateBound(r.updatedBefore, "updatedBefore"),
+    saved: parseBool(r.saved),
+  };
+
+  const criteria = Object.entries(filter).filter(([key, v]) => key !== "saved" && v != null);
+  if (criteria.length === 0) {
+    throw new PurgeFilterError("Give at least one of companyKey, companyName, source, titleRegex, updatedAfter, updatedBefore.");
+  }
+
+  return filter;
+}
+
+// For responses / the audit record (Timestamps -> ISO)
+function describePurgeFilter(filter) {
+  return {
+    ...filter,
+    updatedAfter: filter.updatedAfter ? filter.updatedAfter.toDate().toISOString() : null,
+    updatedBefore: filter.updatedBefore ? filter.updatedBefore.toDate().toISOString() : null,
+  };
+}
+
+function compilePurgeMatcher(filter) {
+  const re = filter.titleRegex ? new RegExp(filter.titleRegex, "i") : null;
+  const afterMs = filter.updatedAfter ? filter.updatedAfter.toMillis() : null;
+  const beforeMs = filter.updatedBefore ? filter.updatedBefore.toMillis() : null;
+
+  return (job) => {
+    if (re && !re.test(String(job.title || ""))) return false;
+    if (filter.saved != null && (job.saved === true) !== filter.saved) return false;
+
+    if (afterMs != null || beforeMs != null) {
+      const ms = job.sourceUpdatedTs && job.sourceUpdatedTs.toMillis ? job.sourceUpdatedTs.toMillis() : null;
+      if (ms == null) return false;
+      if (afterMs != null && ms < afterMs) return false;
+      if (beforeMs != null && ms >= beforeMs) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Deletes (or with dryRun, just counts) matching jobs, one page at a time.
+ * cursor: nextCursor from a previous call; deadlineMs: stop starting new pages after this.
+ * -> { scanned, matched, deleted, failed, sample, removed, done, nextCursor }
+ */
+async function purgeUserJobs(db, { userId, filter, dryRun, cursor = null, deadlineMs }) {
+  const userRef = db.collection("users").doc(userId);
+  const matches = compilePurgeMatcher(filter);
+
+  let q = userRef.collection("jobs");
+  if (filter.companyKey) q = q.where("companyKey", "==", filter.companyKey);
+  if (filter.companyName) q = q.where("companyName", "==", filter.companyName);
+  if (filter.source) q = q.where("source", "==", filter.source);
+  q = q.orderBy(admin.firestore.FieldPath.documentId()).limit(PURGE_PAGE_SIZE);
+
+  const out = { scanned: 0, matched: 0, deleted: 0, failed: 0, sample: [], removed: [], done: false, nextCursor: cursor };
+
+  while (Date.now() < deadlineMs) {
+    const snap = await (out.nextCursor ? q.startAfter(out.nextCursor) : q).get();
+
+    const bw = dryRun ? null : db.bulkWriter();
+    if (bw) {
+      bw.onWriteError((err) => {
+        logger.warn(`purgeUserJobs userId=${userId}: delete of ${err.documentRef.path} failed (attempt ${err.failedAttempts}): ${err.message}`);
+        return err.failedAttempts < MAX_WRITE_ATTEMPTS;
+      });
+    }
+
+    // One promise per job: resolves once both of its deletes went through
+    const deletes = [];
+    for (const d of snap.docs) {
+      out.scanned += 1;
+      const job = d.data();
+      if (!matches(job)) continue;
+
+      out.matched += 1;
+      const entry = { id: d.id, title: job.title || "", companyName: job.companyName || "", source: job.source || "" };
+      if (out.sample.length < SAMPLE_SIZE) out.sample.push(entry);
+      if (dryRun) continue;
+
+      deletes.push(
+        Promise.all([bw.delete(d.ref), bw.delete(userRef.collection("jobDetails").doc(d.id))]).then(
+          () => {
+            out.deleted += 1;
+            if (out.removed.length < MAX_AUDIT_IDS) out.removed.push(entry);
+          },
+          () => {
+            out.failed += 1;
+          }
+        )
+      );
+    }
+    if (bw) await bw.close();
+    await Promise.all(deletes);
+
+    // Keep the cursor before this page so the next call picks up what's left of it
+    if (out.failed > 0) break;
+
+    if (snap.size < PURGE_PAGE_SIZE) {
+      out.done = true;
+      out.nextCursor = null;
+      break;
+    }
+    out.nextCursor = snap.docs[snap.docs.length - 1].id;
+  }
+
+  return out;
+}
+
+module.exports = {
+  MAX_AUDIT_IDS,
+  PurgeFilterError,
+  normalizePurgeFilter,
+  describePurgeFilter,
+  compilePurgeMatcher,
+  purgeUserJobs,
+};
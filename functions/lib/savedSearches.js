@@ -0,0 +1,74 @@
+/**
+ * functions/lib/savedSearches.js
+ *
+ * Saved Jobs page filter sets (users/{uid}/savedSearches/{searchId}):
+ *
+ *   {
+ *     name: "Backend CA",
+ *     filters: { companyKeys: [], timeframe: "24h", stateCode: "CA", workMode: "all", titleSearch: "backend" },
+ *     newMatchCount, lastMatchedAt,   // written by sync
+ *     lastSeenAt,                     // written by the Jobs page when opened
+ *   }
+ *
+ * ✅ Each sync checks the jobs it started tracking (jobsNew) against every saved
+ *    search and adds the matches to newMatchCount
+ * ✅ Matching mirrors the Jobs page: companyKey in companyKeys, the same
+ *    locationKeys entry for state / work mode, and searchJobs semantics for the
+ *    keywords (lib/search.js). timeframe only matters when browsing: new jobs are recent
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { parseSearchQuery, scoreJob } = require("./search");
+
+const MAX_SAVED_SEARCHES = 50;
+
+// Same key the Jobs page filters on (see locationFilterKey in src/pages/Jobs.jsx)
+function locationFilterKey(stateCode, workMode) {
+  const mode = workMode === "remote" || workMode === "onsite" ? workMode : null;
+  if (!stateCode) return mode;
+  return mode ? `US-${stateCode}:${mode}` : `US-${stateCode}`;
+}
+
+function compileSavedSearch(id, data) {
+  const f = data && data.filters && typeof data.filters === "object" ? data.filters : {};
+  const companyKeys = new Set(Array.isArray(f.companyKeys) ? f.companyKeys.map(String) : []);
+  const locationKey = locationFilterKey(String(f.stateCode || "").toUpperCase(), f.workMode);
+  const terms = parseSearchQuery(f.titleSearch || "");
+
+  return {
+    id,
+    name: String(data?.name || ""),
+    matches(job) {
+      if (companyKeys.size > 0 && !companyKeys.has(job.companyKey)) return false;
+      if (locationKey && !(job.locationKeys || []).includes(locationKey)) return false;
+      if (terms.length > 0 && scoreJob(job, terms) == null) return false;
+      return true;
+    },
+  };
+}
+
+async function loadSavedSearches(userRef) {
+  const snap = await userRef.collection("savedSearches").limit(MAX_SAVED_SEARCHES).get();
+  return snap.docs.map((d) => compileSavedSearch(d.id, d.data()));
+}
+
+/**
+ * newJobs: jobs first written this sync (with searchTokens / locationKeys)
+ * -> [{ id, jobIds }] for searches with at least one match
+ */
+function matchSavedSearches(searches, newJobs) {
+  const out = [];
+  for (const search of searches) {
+    const jobIds = newJobs.filter((job) => search.matches(job)).map((job) => job.jobDocId);
+    if (jobIds.length > 0) out.push({ id: search.id, jobIds });
+  }
+  return out;
+}
+
+module.exports = {
+  compileSavedSearch,
+  loadSavedSearches,
+  matchSavedSearches,
+};
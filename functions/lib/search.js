@@ -0,0 +1,161 @@
+/**
+ * functions/lib/search.js
+ *
+ * Job search over users/{uid}/jobs, backed by a `searchTokens` array written at sync:
+ *
+ * ✅ Title, company, location and department words are stored with their prefixes
+ *    (MIN_PREFIX..MAX_PREFIX chars), so "eng" finds "Engineer"
+ * ✅ Description words (full content mode) are stored whole, capped per job
+ * ✅ A query is answered with one array-contains on its most selective term; the
+ *    candidates are then checked for every term and ranked by where they matched
+ *    (title > company > location / department > description), then recency
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { paddedText } = require("./locations");
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 12;
+const MAX_TOKENS = 500;
+const MAX_DESCRIPTION_WORDS = 200;
+const MAX_QUERY_TERMS = 8;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it", "of", "on", "or",
+  "our", "the", "to", "we", "will", "with", "you", "your",
+]);
+
+// Per matched term: [whole word, prefix]
+const FIELD_WEIGHTS = {
+  title: [10, 6],
+  company: [6, 4],
+  location: [3, 2],
+  department: [3, 2],
+};
+const DESCRIPTION_WEIGHT = 1;
+const PHRASE_BONUS = 5;
+
+const TIMESTAMP_FIELDS = ["sourceUpdatedTs", "firstSeenAt", "fetchedAt", "lastSeenAt", "closedAt"];
+
+function words(s) {
+  return paddedText(s).trim().split(" ").filter(Boolean);
+}
+
+function metaText(job, keys) {
+  const meta = job.meta && typeof job.meta === "object" ? job.meta : {};
+  return keys
+    .flatMap((k) => (Array.isArray(meta[k]) ? meta[k] : meta[k] != null ? [meta[k]] : []))
+    .map(String)
+    .join(" ");
+}
+
+function searchFields(job) {
+  const locations = Array.isArray(job.locations) ? job.locations : [];
+  return {
+    title: words(job.title),
+    company: words(job.companyName),
+    location: words([job.locationName, ...locations.map((l) => l.city)].filter(Boolean).join(" ")),
+    department: words(metaText(job, ["Department", "Departments", "Team", "Teams"])),
+  };
+}
+
+function addPrefixes(tokens, word) {
+  tokens.add(word);
+  for (let n = MIN_PREFIX; n < Math.min(word.length, MAX_PREFIX + 1); n++) tokens.add(word.slice(0, n));
+}
+
+/**
+ * job: normalized job (sources.normalizeJob); descriptionText: from jobDetails, if any
+ */
+function buildSearchTokens(job, descriptionText = "") {
+  const tokens = new Set();
+  for (const fieldWords of Object.values(searchFields(job))) {
+    for (const w of fieldWords) addPrefixes(tokens, w);
+  }
+
+  let added = 0;
+  for (const w of words(descriptionText)) {
+    if (added >= MAX_DESCRIPTION_WORDS || tokens.size >= MAX_TOKENS) break;
+    if (w.length < 3 || STOPWORDS.has(w) || tokens.has(w)) continue;
+    tokens.add(w);
+    added += 1;
+  }
+
+  return Array.from(tokens).slice(0, MAX_TOKENS);
+}
+
+/**
+ * "Machine Learning, Remote" -> ["machine", "learning", "remote"]
+ * Stopwords are dropped unless the query is only stopwords.
+ */
+function parseSearchQuery(q) {
+  const all = Array.from(new Set(words(q)));
+  const meaningful = all.filter((w) => !STOPWORDS.has(w));
+  return (meaningful.length ? meaningful : all).slice(0, MAX_QUERY_TERMS);
+}
+
+// Longest term is usually the most selective; stored prefixes stop at MAX_PREFIX
+function pivotToken(terms) {
+  const longest = terms.reduce((best, t) => (t.length > best.length ? t : best), "");
+  return longest.length > MAX_PREFIX ? longest.slice(0, MAX_PREFIX) : longest;
+}
+
+/**
+ * -> relevance score, or null when some term doesn't match at all
+ */
+function scoreJob(job, terms) {
+  const fields = searchFields(job);
+  const tokens = new Set(Array.isArray(job.searchTokens) ? job.searchTokens : []);
+
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, [whole, prefix]] of Object.entries(FIELD_WEIGHTS)) {
+      if (fields[field].includes(term)) best = Math.max(best, whole);
+      else if (fields[field].some((w) => w.startsWith(term))) best = Math.max(best, prefix);
+    }
+    if (!best && tokens.has(term)) best = DESCRIPTION_WEIGHT;
+    if (!best) return null;
+    score += best;
+  }
+
+  if (terms.length > 1 && paddedText(job.title).includes(` ${terms.join(" ")} `)) score += PHRASE_BONUS;
+  return score;
+}
+
+function millis(ts) {
+  return ts && ts.toMillis ? ts.toMillis() : 0;
+}
+
+/**
+ * docs: candidate snapshots -> [{ id, path, data, score }] best first
+ */
+function rankSearchResults(docs, terms) {
+  return docs
+    .map((d) => ({ id: d.id, path: d.ref.path, data: d.data() }))
+    .map((hit) => ({ ...hit, score: scoreJob(hit.data, terms) }))
+    .filter((hit) => hit.score != null)
+    .sort((a, b) => b.score - a.score || millis(b.data.sourceUpdatedTs) - millis(a.data.sourceUpdatedTs));
+}
+
+// JSON for the client: Timestamps -> ISO strings, no token array
+function serializeSearchHit(hit) {
+  const data = { ...hit.data };
+  delete data.searchTokens;
+  delete data.expireAt;
+  for (const key of TIMESTAMP_FIELDS) {
+    data[key] = data[key] && data[key].toDate ? data[key].toDate().toISOString() : null;
+  }
+  return { ...data, id: hit.id, path: hit.path, score: hit.score };
+}
+
+module.exports = {
+  buildSearchTokens,
+  parseSearchQuery,
+  pivotToken,
+  scoreJob,
+  rankSearchResults,
+  serializeSearchHit,
+};
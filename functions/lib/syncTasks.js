@@ -0,0 +1,37 @@
+/**
+ * functions/lib/syncTasks.js
+ *
+ * Scheduled fan-out: one syncUserTask per user and schedule tick (index.js).
+ *
+ * ✅ Task ids are derived from userId + runId (the schedule time), so a retried
+ *    scheduler invocation gets "task-already-exists" instead of a second task
+ * ✅ Cloud Tasks delivers at least once: a delivery whose syncRuns doc is already
+ *    DONE is acknowledged without syncing again (counted as `redeliveries`)
+ * ✅ Emulator check of the queue path: `npm run test:emulator` (test/emulator)
+ */
+
+/* eslint-disable require-jsdoc */
+
+// Cloud Tasks ids: letters, digits, "-" and "_" only
+function syncTaskId(userId, runId) {
+  return `sync-${String(userId).replace(/[^A-Za-z0-9_-]/g, "_")}-${runId}`;
+}
+
+// Tasks run inline (one user after another, like the old scheduler) when forced,
+// or under the emulator without the Cloud Tasks emulator (`firebase emulators:start`
+// with "tasks" sets CLOUD_TASKS_EMULATOR_HOST, and enqueue() then targets it).
+function shouldRunTasksInline(env = process.env) {
+  if (env.SYNC_TASKS_INLINE === "true") return true;
+  return env.FUNCTIONS_EMULATOR === "true" && !env.CLOUD_TASKS_EMULATOR_HOST;
+}
+
+// runData: the task's syncRuns doc (or undefined before the first attempt)
+function isFinishedRun(runData) {
+  return !!runData && runData.status === "DONE";
+}
+
+module.exports = {
+  isFinishedRun,
+  shouldRunTasksInline,
+  syncTaskId,
+};
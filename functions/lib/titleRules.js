@@ -0,0 +1,239 @@
+/**
+ * functions/lib/titleRules.js
+ *
+ * Per-user title / keyword rules (users/{uid}/settings/titleRules):
+ *
+ *   {
+ *     include: { keywords: ["engineer"], phrases: ["machine learning"], regex: ["^data"], departments: [], teams: [] },
+ *     exclude: { ...same shape, seniority: ["senior", "staff", "principal"] },
+ *   }
+ *
+ * A job is kept when its title matches at least one include title rule (or
+ * there are none), its department / team matches an include metadata rule
+ * (or there are none, or the source doesn't report one), and no exclude rule
+ * matches. Everything is case-insensitive.
+ *
+ * Regex rules run against every title in every sync, so patterns that can
+ * backtrack exponentially (nested quantifiers, quantified alternations,
+ * backreferences) are rejected by unsafeRegexReason instead of being run.
+ * src/components/TitleRules.jsx mirrors the check when a rule is added / saved.
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { paddedText } = require("./locations");
+
+const MAX_RULES_PER_KIND = 50;
+const MAX_REGEX_LENGTH = 200;
+
+// Seniority levels (shared with the Settings UI) -> title words that signal them
+const SENIORITY_LEVELS = Object.fromEntries(require("./seniorityLevels.json").map((l) => [l.id, l.terms]));
+
+const META_KINDS = { departments: ["Department", "Departments"], teams: ["Team", "Teams"] };
+
+const EMPTY_RULES = {
+  include: { keywords: [], phrases: [], regex: [], departments: [], teams: [] },
+  exclude: { keywords: [], phrases: [], regex: [], departments: [], teams: [], seniority: [] },
+};
+
+function cleanList(v) {
+  return Array.from(new Set((Array.isArray(v) ? v : []).map((x) => String(x || "").trim()).filter(Boolean))).slice(0, MAX_RULES_PER_KIND);
+}
+
+function cleanSide(side, sideName) {
+  const s = side && typeof side === "object" ? side : {};
+  const out = {
+    keywords: cleanList(s.keywords),
+    phrases: cleanList(s.phrases),
+    regex: cleanList(s.regex).filter((r) => r.length <= MAX_REGEX_LENGTH),
+    departments: cleanList(s.departments),
+    teams: cleanList(s.teams),
+  };
+  if (sideName === "exclude") {
+    out.seniority = cleanList(s.seniority).map((l) => l.toLowerCase()).filter((l) => SENIORITY_LEVELS[l]);
+  }
+  return out;
+}
+
+/**
+ * Whatever is stored (or posted by the UI) -> the canonical shape above.
+ * A missing doc yields no rules (every title is kept).
+ */
+function normalizeTitleRules(raw) {
+  if (!raw || typeof raw !== "object") return EMPTY_RULES;
+  return {
+    include: cleanSide(raw.include, "include"),
+    exclude: cleanSide(raw.exclude, "exclude"),
+  };
+}
+
+/**
+ * "{2,5}" / "*" / "+" / "?" at source[i] -> { end, repeats, multiplies } or null
+ * repeats: variable repetition (the engine has choices to backtrack over)
+ * multiplies: can match its atom more than once
+ */
+function quantifierAt(source, i) {
+  const ch = source[i];
+  if (ch === "*" || ch === "+") return { end: i, repeats: true, multiplies: true };
+  if (ch === "?") return { end: i, repeats: false, multiplies: false };
+  const m = ch === "{" ? source.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+  if (!m) return null;
+  const min = Number(m[1]);
+  const max = m[2] ? (m[3] === "" ? Infinity : Number(m[3])) : min;
+  return { end: i + m[0].length - 1, repeats: max > min, multiplies: max > 1 };
+}
+
+/**
+ * -> null when the pattern is safe to run on every title, else why it isn't.
+ * A repeated group may not contain, at any depth, a variable repetition
+ * ("(a+)+", "(\w+\s?)*", "(.*x){20}") or an alternation ("(a|ab)*", "((a|a))*").
+ */
+function unsafeRegexReason(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `Patterns are limited to ${MAX_REGEX_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(source)) return "Backreferences aren't supported";
+
+  const groups = [{ repeats: false, alternates: false }];
+  // The closed group a following quantifier would apply to (null for any other atom)
+  let lastGroup = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const quantifier = quantifierAt(source, i);
+
+    if (quantifier) {
+      if (quantifier.multiplies && lastGroup && (lastGroup.repeats || lastGroup.alternates)) {
+        return lastGroup.repeats
+          ? "Nested quantifiers like (a+)+ can take exponential time"
+          : "Repeated alternations like (a|ab)* can take exponential time";
+      }
+      if (quantifier.repeats) groups[groups.length - 1].repeats = true;
+      i = quantifier.end;
+      if (source[i + 1] === "?") i += 1; // lazy
+      lastGroup = null;
+    } else if (ch === "\\") {
+      i += 1;
+      lastGroup = null;
+    } else if (ch === "[") {
+      // Skip the class: "[(+)]" has no groups or quantifiers
+      i += source[i + 1] === "^" ? 2 : 1;
+      if (source[i] === "]") i += 1;
+      while (i < source.length && source[i] !== "]") i += source[i] === "\\" ? 2 : 1;
+      lastGroup = null;
+    } else if (ch === "(") {
+      groups.push({ repeats: false, alternates: false });
+      lastGroup = null;
+    } else if (ch === ")" && groups.length > 1) {
+      lastGroup = groups.pop();
+      // Whatever a nested group does, its parent does too: ((a|a))* is (a|a)*
+      const parent = groups[groups.length - 1];
+      if (lastGroup.repeats) parent.repeats = true;
+      if (lastGroup.alternates) parent.alternates = true;
+    } else if (ch === "|") {
+      groups[groups.length - 1].alternates = true;
+      lastGroup = null;
+    } else {
+      lastGroup = null;
+    }
+  }
+  return null;
+}
+
+function wordTest(terms) {
+  const padded = terms.map(paddedText).filter((t) => t.trim());
+  return (text) => padded.some((t) => text.includes(t));
+}
+
+function metaValues(job, keys) {
+  const meta = job.meta && typeof job.meta === "object" ? job.meta : {};
+  const values = [];
+  for (const key of keys) {
+    const v = meta[key];
+    if (Array.isArray(v)) values.push(...v.map(String));
+    else if (v != null && v !== "") values.push(String(v));
+  }
+  return values.map(paddedText);
+}
+
+function compileSide(side, sideName, errors) {
+  const rules = [];
+  const add = (kind, value, target, test) => rules.push({ id: `${sideName}:${kind}:${value}`, side: sideName, kind, value, target, test });
+
+  // Keywords and phrases are both whole-word matches; a phrase just keeps its words together
+  for (const k of side.keywords) add("keyword", k, "title", wordTest([k]));
+  for (const p of side.phrases) add("phrase", p, "title", wordTest([p]));
+
+  for (const source of side.regex) {
+    const unsafe = unsafeRegexReason(source);
+    if (unsafe) {
+      errors.push({ id: `${sideName}:regex:${source}`, error: unsafe });
+      continue;
+    }
+    try {
+      const re = new RegExp(source, "i");
+      add("regex", source, "title", (_text, title) => re.test(title));
+    } catch (e) {
+      errors.push({ id: `${sideName}:regex:${source}`, error: e instanceof Error ? e.message : String(e) });
+    }
+  }
+
+  for (const level of side.seniority || []) add("seniority", level, "title", wordTest(SENIORITY_LEVELS[level]));
+
+  for (const [kind, keys] of Object.entries(META_KINDS)) {
+    for (const value of side[kind]) {
+      const term = paddedText(value);
+      add(kind === "departments" ? "department" : "team", value, kind, (_text, _title, job) => metaValues(job, keys).some((v) => v.includes(term)));
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * -> { include, exclude, errors } (invalid or unsafe regexes are skipped and reported)
+ */
+function compileTitleRules(raw) {
+  const p = normalizeTitleRules(raw);
+  const errors = [];
+  return {
+    include: compileSide(p.include, "include", errors),
+    exclude: compileSide(p.exclude, "exclude", errors),
+    errors,
+  };
+}
+
+function hasTitleRules(compiled) {
+  return compiled.include.length > 0 || compiled.exclude.length > 0;
+}
+
+/**
+ * compiled: result of compileTitleRules (compile once per user per sync)
+ */
+function jobMatchesTitleRules(job, compiled) {
+  if (!hasTitleRules(compiled)) return true;
+
+  const title = String(job.title || "");
+  const text = paddedText(title);
+  const matches = (r) => r.test(text, title, job);
+
+  const titleIncludes = compiled.include.filter((r) => r.target === "title");
+  if (titleIncludes.length > 0 && !titleIncludes.some(matches)) return false;
+
+  // Metadata includes only apply when the source reports that field
+  for (const [kind, keys] of Object.entries(META_KINDS)) {
+    const metaIncludes = compiled.include.filter((r) => r.target === kind);
+    if (metaIncludes.length === 0 || metaValues(job, keys).length === 0) continue;
+    if (!metaIncludes.some(matches)) return false;
+  }
+
+  return !compiled.exclude.some(matches);
+}
+
+module.exports = {
+  SENIORITY_LEVELS,
+  normalizeTitleRules,
+  compileTitleRules,
+  hasTitleRules,
+  jobMatchesTitleRules,
+  unsafeRegexReason,
+};
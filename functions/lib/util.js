@@ -0,0 +1,58 @@
+/**
+ * functions/lib/util.js
+ *
+ * Shared helpers for timestamps, TTL math and deterministic job doc ids.
+ */
+
+/* eslint-disable require-jsdoc */
+
+const admin = require("firebase-admin");
+
+function toTimestampOrNull(isoOrDateString) {
+  if (!isoOrDateString) return null;
+  try {
+    const d = new Date(isoOrDateString);
+    if (Number.isNaN(d.getTime())) return null;
+    return admin.firestore.Timestamp.fromDate(d);
+  } catch {
+    return null;
+  }
+}
+
+function addDaysTs(ts, days) {
+  const d = ts.toDate ? ts.toDate() : new Date();
+  return admin.firestore.Timestamp.fromDate(new Date(d.getTime() + days * 24 * 60 * 60 * 1000));
+}
+
+function makeJobDocId({ source, companyKey, externalId }) {
+  const base = `${String(source)}|${String(companyKey)}|${String(externalId)}`;
+  return sanitizeId(base);
+}
+
+function sanitizeId(s) {
+  const clean = s
+    .toLowerCase()
+    .replace(/https?:\/\//g, "")
+    .replace(/[^\w|.-]+/g, "_")
+    .replace(/\|+/g, "|")
+    .slice(0, 150);
+
+  const checksum = simpleChecksum(s);
+  return `${clean}_${checksum}`;
+}
+
+function simpleChecksum(s) {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) {
+    h = (h * 31 + s.charCodeAt(i)) >>> 0;
+  }
+  return h.toString(16);
+}
+
+module.exports = {
+  toTimestampOrNull,
+  addDaysTs,
+  makeJobDocId,
+  sanitizeId,
+  simpleChecksum,
+};
@@ -0,0 +1,301 @@
+/**
+ * functions/lib/webhooks.js
+ *
+ * User-configured outbound webhooks (users/{uid}/webhooks/{webhookId}):
+ *
+ *   { name, url, format: "json" | "slack" | "discord", enabled, secret, onlySavedSearches }
+ *
+ * ✅ Fired with the jobs a sync started tracking (event "jobs.new"); testWebhook sends a
+ *    sample job (event "test")
+ * ✅ "json" posts a generic payload signed with the webhook's secret:
+ *      X-JobWatch-Signature: sha256=HMAC_SHA256(secret, `${X-JobWatch-Timestamp}.${body}`)
+ *    "slack" / "discord" post their incoming-webhook formats (company, title, location, link)
+ * ✅ Delivery retries transient failures with backoff (lib/http.js); every delivery is
+ *    logged in users/{uid}/webhookDeliveries (attempts, status, error, duration)
+ * ✅ Only public addresses are reached: the host is resolved and checked before sending,
+ *    and the connection re-checks the address it actually dials (DNS rebinding)
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { Agent } = require("undici");
+const { USER_AGENT, fetchWithRetry, safeReadText } = require("./http");
+const { addDaysTs } = require("./util");
+
+const WEBHOOK_FORMATS = ["json", "slack", "discord"];
+const WEBHOOK_MAX_ATTEMPTS = 4;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DELIVERY_TTL_DAYS = 14;
+
+// Jobs per message; the rest are summarized as "…and N more"
+const MAX_JOBS = { json: 100, slack: 20, discord: 10 };
+
+class WebhookConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookConfigError";
+  }
+}
+
+const PRIVATE_HOST = /^(localhost|.*\.local|.*\.internal|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|0\.|\[)/i;
+
+// Loopback, private, link-local (metadata server), CGNAT and unspecified ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+function isPrivateAddress(address) {
+  const ip = String(address || "").replace(/^\[|\]$/g, "");
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return PRIVATE_ADDRESSES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup with the same signature, failing when any address isn't public
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) return callback(new WebhookConfigError(`Webhook host ${hostname} resolves to a private address (${blocked.address}).`));
+    if (options && options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Sockets dial only what publicOnlyLookup approved, so a host can't rebind between check and send
+const publicOnlyDispatcher = new Agent({ connect: { lookup: publicOnlyLookup } });
+
+// Send-time check: the name may have resolved elsewhere when the URL was saved
+async function assertPublicHost(url) {
+  const hostname = new URL(url).hostname;
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ""))) {
+    if (isPrivateAddress(hostname)) throw new WebhookConfigError("Webhook URL must be a public host.");
+    return;
+  }
+  await new Promise((resolve, reject) => publicOnlyLookup(hostname, { all: true }, (err) => (err ? reject(err) : resolve())));
+}
+
+// https only, and nothing that resolves inside the function's own network by name
+function validateWebhookUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || ""));
+  } catch {
+    throw new WebhookConfigError("Webhook URL is not a valid URL.");
+  }
+  if (url.protocol !== "https:") throw new WebhookConfigError("Webhook URL must use https.");
+  if (PRIVATE_HOST.test(url.hostname) || (net.isIP(url.hostname) && isPrivateAddress(url.hostname))) {
+    throw new WebhookConfigError("Webhook URL must be a public host.");
+  }
+  return url.toString();
+}
+
+function isoOrNull(ts) {
+  return ts && ts.toDate ? ts.toDate().toISOString() : null;
+}
+
+function jobSummary(job) {
+  return {
+    id: job.jobDocId || job.id || null,
+    title: job.title || "",
+    companyName: job.companyName || "",
+    companyKey: job.companyKey || null,
+    locationName: job.locationName || "",
+    isRemote: job.isRemote === true,
+    url: job.jobUrl || job.applyUrl || job.url || null,
+    source: job.source || null,
+    sourceUpdatedAt: isoOrNull(job.sourceUpdatedTs),
+  };
+}
+
+function headline(count) {
+  return `${count} new job${count === 1 ? "" : "s"}`;
+}
+
+function jsonPayload({ event, deliveryId, jobs, total, sentAt }) {
+  return { event, deliveryId, sentAt, total, truncated: total > jobs.length, jobs };
+}
+
+// Slack mrkdwn: & < > must be escaped, link labels can't contain |
+function slackEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function slackPayload({ event, jobs, total }) {
+  const title = event === "test" ? "JobWatch test notification" : headline(total);
+  const blocks = [{ type: "header", text: { type: "plain_text", text: title } }];
+  for (const j of jobs) {
+    const name = slackEscape(j.title).replace(/\|/g, "¦");
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${j.url ? `<${j.url}|${name}>` : name}*\n${slackEscape(j.companyName)}${j.locationName ? ` · ${slackEscape(j.locationName)}` : ""}`,
+      },
+    });
+  }
+  if (total > jobs.length) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `…and ${total - jobs.length} more` }] });
+  return { text: title, blocks };
+}
+
+function discordPayload({ event, jobs, total }) {
+  const title = event === "test" ? "JobWatch test notification" : headline(total);
+  return {
+    content: `**${title}**${total > jobs.length ? ` (showing ${jobs.length})` : ""}`,
+    embeds: jobs.map((j) => ({
+      title: j.title.slice(0, 256),
+      url: j.url || undefined,
+      description: `${j.companyName}${j.locationName ? ` · ${j.locationName}` : ""}`.slice(0, 4096),
+      color: 0x4f46e5,
+    })),
+    allowed_mentions: { parse: [] },
+  };
+}
+
+const FORMATTERS = { json: jsonPayload, slack: slackPayload, discord: discordPayload };
+
+function signWebhookBody(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * -> { body, headers } for one delivery
+ */
+function buildWebhookRequest(hook, { event, deliveryId, jobs, now }) {
+  const format = WEBHOOK_FORMATS.includes(hook.format) ? hook.format : "json";
+  const summaries = jobs.map(jobSummary);
+  const shown = summaries.slice(0, MAX_JOBS[format]);
+  const sentAt = now.toDate().toISOString();
+  const body = JSON.stringify(FORMATTERS[format]({ event, deliveryId, jobs: shown, total: summaries.length, sentAt }));
+
+  const headers = { "content-type": "application/json", "user-agent": USER_AGENT };
+  if (format === "json") {
+    const timestamp = String(Math.floor(now.toMillis() / 1000));
+    headers["x-jobwatch-event"] = event;
+    headers["x-jobwatch-delivery"] = deliveryId;
+    headers["x-jobwatch-timestamp"] = timestamp;
+    if (hook.secret) headers["x-jobwatch-signature"] = signWebhookBody(hook.secret, timestamp, body);
+  }
+  return { body, headers };
+}
+
+/**
+ * POSTs one delivery and logs it. Never throws for delivery failures.
+ * -> delivery record (as written to webhookDeliveries)
+ */
+async function deliverWebhook(db, userId, hook, { event, jobs, now }) {
+  const userRef = db.collection("users").doc(userId);
+  const deliveryRef = userRef.collection("webhookDeliveries").doc();
+  const startedMs = Date.now();
+
+  const record = {
+    webhookId: hook.id,
+    webhookName: hook.name || "",
+    format: hook.format || "json",
+    event,
+    host: null,
+    jobCount: jobs.length,
+    attempts: 0,
+    ok: false,
+    status: null,
+    error: null,
+    responseSnippet: null,
+    durationMs: 0,
+    createdAt: now,
+    expireAt: addDaysTs(now, DELIVERY_TTL_DAYS),
+  };
+
+  try {
+    const url = validateWebhookUrl(hook.url);
+    // The URL itself is a credential for Slack / Discord, so only the host is logged
+    record.host = new URL(url).host;
+    await assertPublicHost(url);
+    const { body, headers } = buildWebhookRequest(hook, { event, deliveryId: deliveryRef.id, jobs, now });
+
+    const resp = await fetchWithRetry(
+      url,
+      { method: "POST", headers, body, redirect: "error", dispatcher: publicOnlyDispatcher },
+      { maxAttempts: WEBHOOK_MAX_ATTEMPTS, timeoutMs: WEBHOOK_TIMEOUT_MS, onAttempt: (n) => (record.attempts = n) }
+    );
+    record.status = resp.status;
+    record.ok = resp.ok;
+    record.responseSnippet = (await safeReadText(resp)).slice(0, 300) || null;
+    if (!resp.ok) record.error = `HTTP ${resp.status} ${resp.statusText}`;
+  } catch (e) {
+    record.error = e instanceof Error ? e.message : String(e);
+  }
+
+  record.durationMs = Date.now() - startedMs;
+
+  await Promise.all([
+    deliveryRef.set(record),
+    userRef.collection("webhooks").doc(hook.id).set(
+      { lastDeliveryAt: now, lastDeliveryOk: record.ok, lastDeliveryError: record.error },
+      { merge: true }
+    ),
+  ]);
+  return { id: deliveryRef.id, ...record };
+}
+
+/**
+ * Fires every enabled webhook for jobs a sync started tracking.
+ * matchedIds: jobDocIds that matched a saved search (for onlySavedSearches hooks)
+ * -> { delivered, failed }
+ */
+async function dispatchJobWebhooks(db, userId, jobs, { now, matchedIds = new Set() }) {
+  const out = { delivered: 0, failed: 0 };
+  if (jobs.length === 0) return out;
+
+  const snap = await db.collection("users").doc(userId).collection("webhooks").where("enabled", "==", true).get();
+
+  await Promise.all(
+    snap.docs.map(async (d) => {
+      const hook = { id: d.id, ...d.data() };
+      const hookJobs = hook.onlySavedSearches ? jobs.filter((j) => matchedIds.has(j.jobDocId)) : jobs;
+      if (hookJobs.length === 0) return;
+
+      const delivery = await deliverWebhook(db, userId, hook, { event: "jobs.new", jobs: hookJobs, now });
+      if (delivery.ok) out.delivered += 1;
+      else out.failed += 1;
+    })
+  );
+
+  return out;
+}
+
+// testWebhook: one made-up job, so the receiving end can be checked before a real sync
+function sampleWebhookJob(now) {
+  return {
+    jobDocId: "test",
+    title: "Senior Software Engineer (test)",
+    companyName: "JobWatch",
+    companyKey: "jobwatch",
+    locationName: "Remote - US",
+    isRemote: true,
+    jobUrl: "https://example.com/jobs/test",
+    source: "test",
+    sourceUpdatedTs: now,
+  };
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  WebhookConfigError,
+  buildWebhookRequest,
+  deliverWebhook,
+  isPrivateAddress,
+  dispatchJobWebhooks,
+  sampleWebhookJob,
+  signWebhookBody,
+  validateWebhookUrl,
+};
@@ -0,0 +1,85 @@
+/**
+ * functions/sources/ashby.js
+ *
+ * Ashby Posting API
+ *   GET https://api.ashbyhq.com/posting-api/job-board/<company>
+ *   -> { jobs: [...] } (older boards used a few other envelope keys)
+ *   ?includeCompensation=true adds `compensation` (full content mode);
+ *   descriptionHtml / descriptionPlain are always present
+ */
+
+/* eslint-disable require-jsdoc */
+
+module.exports = {
+  id: "ashby",
+  jobSource: "ashbyhq",
+
+  async fetchJobs(url, { fetchJson, fullContent }) {
+    const json = await fetchJson(fullContent ? withCompensationParam(url) : url);
+    if (Array.isArray(json)) return json;
+    if (Array.isArray(json?.jobs)) return json.jobs;
+    if (Array.isArray(json?.results)) return json.results;
+    if (Array.isArray(json?.data?.jobs)) return json.data.jobs;
+    if (Array.isArray(json?.postings)) return json.postings;
+    return [];
+  },
+
+  identify(rawJob) {
+    const externalId =
+      rawJob.id != null ? String(rawJob.id)
+        : (rawJob.jobId != null ? String(rawJob.jobId) : null);
+
+    const jobUrl = rawJob.jobUrl ? String(rawJob.jobUrl) : (rawJob.url ? String(rawJob.url) : null);
+    return { externalId, jobUrl };
+  },
+
+  normalize(rawJob) {
+    const primaryLoc = rawJob.location ? String(rawJob.location) : null;
+    // secondaryLocations: [{ location, address }] (plain strings on some older boards)
+    const secondary = Array.isArray(rawJob.secondaryLocations)
+      ? rawJob.secondaryLocations.map((l) => (l && typeof l === "object" ? l.location : l)).filter(Boolean).map(String)
+      : [];
+    const combinedLocation = [primaryLoc, ...secondary].filter(Boolean).join("; ");
+
+    const meta = {};
+    if (rawJob.employmentType != null) meta["Employment Type"] = rawJob.employmentType;
+    if (rawJob.department != null) meta["Department"] = rawJob.department;
+    if (rawJob.team != null) meta["Team"] = rawJob.team;
+
+    return {
+      title: rawJob.title ? String(rawJob.title) : null,
+      locationName: combinedLocation || primaryLoc || null,
+      sourceUpdatedIso: rawJob.publishedAt ? String(rawJob.publishedAt) : null,
+      meta,
+    };
+  },
+
+  details(rawJob) {
+    if (!rawJob.descriptionHtml && !rawJob.descriptionPlain && !rawJob.compensation) return null;
+    return {
+      html: rawJob.descriptionHtml || "",
+      text: rawJob.descriptionPlain || null,
+      salary: salaryFromCompensation(rawJob.compensation),
+      employmentType: rawJob.employmentType ?? null,
+    };
+  },
+};
+
+function withCompensationParam(url) {
+  const u = new URL(url);
+  u.searchParams.set("includeCompensation", "true");
+  return u.toString();
+}
+
+// compensation.summaryComponents: [{ compensationType: "Salary", interval: "1 YEAR", currencyCode, minValue, maxValue }]
+function salaryFromCompensation(compensation) {
+  const components = Array.isArray(compensation?.summaryComponents) ? compensation.summaryComponents : [];
+  const salary = components.find((c) => String(c?.compensationType || "").toLowerCase() === "salary");
+  if (!salary) return null;
+  return {
+    min: salary.minValue ?? null,
+    max: salary.maxValue ?? null,
+    currency: salary.currencyCode || null,
+    interval: salary.interval || null,
+  };
+}
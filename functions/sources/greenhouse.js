@@ -0,0 +1,70 @@
+/**
+ * functions/sources/greenhouse.js
+ *
+ * Greenhouse Job Board API
+ *   GET https://boards-api.greenhouse.io/v1/boards/<company>/jobs
+ *   -> { jobs: [...] } in one response (no pagination)
+ *   ?content=true adds the entity-encoded description HTML (full content mode)
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { decodeEntities } = require("../lib/jobContent");
+
+module.exports = {
+  id: "greenhouse",
+  jobSource: "greenhouse",
+
+  async fetchJobs(url, { fetchJson, fullContent }) {
+    const json = await fetchJson(fullContent ? withContentParam(url) : url);
+    return Array.isArray(json?.jobs) ? json.jobs : [];
+  },
+
+  identify(rawJob) {
+    const externalId =
+      rawJob.id != null ? String(rawJob.id)
+        : (rawJob.internal_job_id != null ? String(rawJob.internal_job_id) : null);
+
+    const jobUrl = rawJob.absolute_url ? String(rawJob.absolute_url) : null;
+    return { externalId, jobUrl };
+  },
+
+  normalize(rawJob) {
+    return {
+      title: rawJob.title ? String(rawJob.title) : null,
+      locationName: rawJob?.location?.name ? String(rawJob.location.name) : null,
+      sourceUpdatedIso: rawJob.updated_at ? String(rawJob.updated_at) : null,
+      meta: simplifyMetadataArray(rawJob.metadata),
+    };
+  },
+
+  // No structured pay on the list endpoint; salary is parsed from the description
+  details(rawJob) {
+    if (!rawJob.content) return null;
+    const meta = simplifyMetadataArray(rawJob.metadata);
+    return {
+      html: decodeEntities(rawJob.content),
+      text: null,
+      salary: null,
+      employmentType: meta["Employment Type"] ?? null,
+    };
+  },
+};
+
+function withContentParam(url) {
+  const u = new URL(url);
+  u.searchParams.set("content", "true");
+  return u.toString();
+}
+
+function simplifyMetadataArray(metadata) {
+  if (!Array.isArray(metadata)) return {};
+  const out = {};
+  for (const m of metadata) {
+    if (!m || typeof m !== "object") continue;
+    const name = m.name != null ? String(m.name) : null;
+    if (!name) continue;
+    out[name] = m.value ?? null;
+  }
+  return out;
+}
@@ -0,0 +1,161 @@
+/**
+ * functions/sources/index.js
+ *
+ * Source adapter registry.
+ *
+ * Every ATS is one adapter module. An adapter declares:
+ * - id:        feed `source` value (matches a key in catalog.json)
+ * - jobSource: `source` value written on job docs (part of the job doc id)
+ * - fetchJobs(url, { fetchJson, maxPages, timeBudgetMs, onTruncated, fullContent }) -> raw job objects
+ *   (owns any pagination, within maxPages / timeBudgetMs; calls onTruncated() if it
+ *   stopped before the end; fullContent asks for descriptions / compensation where
+ *   the API needs a flag)
+ * - identify(raw)  -> { externalId, jobUrl } (ID scheme)
+ * - normalize(raw, { now }) -> { title, locationName, sourceUpdatedIso, meta }
+ * - details(raw) (optional) -> { html, text, salary, employmentType } | null
+ *   (full content mode; sources without it have "fullContent": false in catalog.json)
+ * - relativeDates (optional): sourceUpdatedIso is derived from a relative label
+ *   ("Posted 3 Days Ago"), so the sync keeps the first value stored for a job
+ *   and widens the feed's cursor overlap to a day (labels are day-granular)
+ *
+ * The URL pattern / placeholder / detection substring live in catalog.json,
+ * which the frontend (Home.jsx) imports too, so both sides stay in sync.
+ *
+ * To add an ATS: add a catalog entry + an adapter module and list it in ADAPTERS,
+ * plus a recorded API payload in test/fixtures/sources/<id>.json (npm test).
+ */
+
+/* eslint-disable require-jsdoc */
+
+const catalog = require("./catalog.json");
+const { extractLocationTokens, structuredLocationFields } = require("../lib/locations");
+const { buildJobDetails } = require("../lib/jobContent");
+const { toTimestampOrNull, makeJobDocId } = require("../lib/util");
+
+const ADAPTERS = [
+  require("./greenhouse"),
+  require("./ashby"),
+  require("./lever"),
+  require("./workday"),
+  require("./smartrecruiters"),
+].map(registerAdapter);
+
+const BY_ID = new Map(ADAPTERS.map((a) => [a.id, a]));
+
+function registerAdapter(adapter) {
+  assertAdapterContract(adapter);
+  const rule = catalog[adapter.id];
+  return {
+    ...adapter,
+    label: rule.label,
+    urlRule: { ...rule, regex: new RegExp(rule.pattern, "i") },
+  };
+}
+
+/**
+ * Fails at module load (i.e. deploy / emulator start) instead of mid-sync.
+ */
+function assertAdapterContract(adapter) {
+  const id = adapter && adapter.id;
+  if (!id || typeof id !== "string") throw new Error("Source adapter is missing a string id");
+  if (!adapter.jobSource || typeof adapter.jobSource !== "string") {
+    throw new Error(`Source adapter "${id}" is missing a string jobSource`);
+  }
+  for (const fn of ["fetchJobs", "identify", "normalize"]) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`Source adapter "${id}" must implement ${fn}()`);
+    }
+  }
+  const rule = catalog[id];
+  if (!rule || !rule.pattern || !rule.detect) {
+    throw new Error(`Source adapter "${id}" has no URL rule in catalog.json`);
+  }
+  if (rule.fullContent === true && typeof adapter.details !== "function") {
+    throw new Error(`Source adapter "${id}" is marked fullContent in catalog.json but has no details()`);
+  }
+}
+
+function listAdapters() {
+  return ADAPTERS.slice();
+}
+
+/**
+ * Resolves a feed `source` string. Exact ids first, then the legacy
+ * substring match (e.g. "ashbyhq" -> ashby) older feed docs rely on.
+ */
+function getAdapter(source) {
+  const s = String(source || "").trim().toLowerCase();
+  if (!s) return null;
+  if (BY_ID.has(s)) return BY_ID.get(s);
+  return ADAPTERS.find((a) => s.includes(a.id)) || null;
+}
+
+function detectSourceFromUrl(url) {
+  const u = String(url || "").trim().toLowerCase();
+  const hit = ADAPTERS.find((a) => u.includes(a.urlRule.detect));
+  return hit ? hit.id : null;
+}
+
+function isValidFeedUrl(adapter, url) {
+  return !!adapter && adapter.urlRule.regex.test(String(url || "").trim());
+}
+
+/**
+ * ----------------------------
+ * NORMALIZATION (MINIMAL)
+ * - NO contentHtml, NO applyUrl
+ * - location fields are parsed against lib/gazetteer.json
+ * ----------------------------
+ */
+function normalizeJob(rawJob, ctx) {
+  const { adapter, companyName, companyKey, now } = ctx;
+  if (!adapter || !rawJob || typeof rawJob !== "object") return null;
+
+  const { externalId, jobUrl } = adapter.identify(rawJob);
+  if (!externalId && !jobUrl) return null;
+
+  const { title, locationName, sourceUpdatedIso, meta } = adapter.normalize(rawJob, { now });
+  const sourceUpdatedTs = toTimestampOrNull(sourceUpdatedIso) || now;
+
+  const locationTokens = extractLocationTokens(locationName || "");
+
+  const jobDocId = makeJobDocId({
+    source: adapter.jobSource,
+    companyKey,
+    externalId: externalId || jobUrl,
+  });
+
+  return {
+    jobDocId,
+    source: adapter.jobSource,
+    companyKey,
+    companyName,
+    externalId,
+    title,
+    jobUrl,
+    locationName: locationName || null,
+    locationTokens,
+    ...structuredLocationFields(locationName || ""),
+    sourceUpdatedTs,
+    sourceUpdatedIso,
+    meta: meta || {},
+  };
+}
+
+/**
+ * Full content mode: sanitized description + salary + employment type for the
+ * jobDetails doc, or null when the adapter has no details() / nothing to store.
+ */
+function extractJobDetails(rawJob, { adapter }) {
+  if (!adapter || typeof adapter.details !== "function" || !rawJob || typeof rawJob !== "object") return null;
+  return buildJobDetails(adapter.details(rawJob));
+}
+
+module.exports = {
+  listAdapters,
+  getAdapter,
+  detectSourceFromUrl,
+  isValidFeedUrl,
+  normalizeJob,
+  extractJobDetails,
+};
@@ -0,0 +1,76 @@
+/**
+ * functions/sources/lever.js
+ *
+ * Lever Postings API
+ *   GET https://api.lever.co/v0/postings/<company>?mode=json
+ *   -> [ ...postings ] in one response
+ *   (descriptions and salaryRange are always included, so full content mode
+ *   needs no extra request)
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+module.exports = {
+  id: "lever",
+  jobSource: "lever",
+
+  async fetchJobs(url, { fetchJson }) {
+    const json = await fetchJson(url);
+    return Array.isArray(json) ? json : [];
+  },
+
+  identify(rawJob) {
+    const externalId = rawJob.id != null ? String(rawJob.id) : null;
+    const jobUrl = rawJob.hostedUrl ? String(rawJob.hostedUrl) : (rawJob.applyUrl ? String(rawJob.applyUrl) : null);
+    return { externalId, jobUrl };
+  },
+
+  normalize(rawJob) {
+    const categories = rawJob.categories && typeof rawJob.categories === "object" ? rawJob.categories : {};
+    const primaryLoc = categories.location ? String(categories.location) : null;
+    const allLocations = Array.isArray(categories.allLocations)
+      ? categories.allLocations.filter(Boolean).map(String)
+      : [];
+    const combinedLocation = Array.from(new Set([primaryLoc, ...allLocations].filter(Boolean))).join("; ");
+
+    // Lever only exposes createdAt (epoch millis)
+    const createdMs = Number(rawJob.createdAt);
+    const sourceUpdatedIso = Number.isFinite(createdMs) && createdMs > 0 ? new Date(createdMs).toISOString() : null;
+
+    const meta = {};
+    if (categories.commitment != null) meta["Employment Type"] = categories.commitment;
+    if (categories.department != null) meta["Department"] = categories.department;
+    if (categories.team != null) meta["Team"] = categories.team;
+
+    return {
+      title: rawJob.text ? String(rawJob.text) : null,
+      locationName: combinedLocation || primaryLoc || null,
+      sourceUpdatedIso,
+      meta,
+    };
+  },
+
+  // Lever splits the posting into description + lists (requirements etc.) + additional
+  details(rawJob) {
+    const lists = Array.isArray(rawJob.lists) ? rawJob.lists : [];
+    const html = [
+      rawJob.description || "",
+      ...lists.map((l) => `<h3>${escapeHtml(l?.text || "")}</h3><ul>${l?.content || ""}</ul>`),
+      rawJob.additional || "",
+    ].join("");
+    if (!html && !rawJob.salaryRange) return null;
+
+    const range = rawJob.salaryRange && typeof rawJob.salaryRange === "object" ? rawJob.salaryRange : null;
+    return {
+      html,
+      text: null,
+      salary: range ? { min: range.min ?? null, max: range.max ?? null, currency: range.currency || null, interval: range.interval || null } : null,
+      employmentType: rawJob.categories?.commitment ?? null,
+    };
+  },
+};
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
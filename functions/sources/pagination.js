@@ -0,0 +1,53 @@
+/**
+ * functions/sources/pagination.js
+ *
+ * Offset pagination shared by adapters whose APIs don't return everything at once.
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { logger } = require("firebase-functions");
+
+/**
+ * Calls fetchPage(offset) until a short/empty page, the reported total,
+ * maxPages, or timeBudgetMs is reached. fetchPage resolves to { items, total? }.
+ *
+ * The caps keep one huge (or slow, retrying) tenant from eating the function
+ * timeout: maxPages bounds the page count, timeBudgetMs the wall time (checked
+ * before each page, so a page already in flight still finishes). Hitting
+ * either is logged and reported through onTruncated so the sync knows the
+ * listing is partial (and must not close jobs it didn't get to see).
+ */
+async function collectOffsetPages({ label, pageSize, maxPages, timeBudgetMs = Infinity, fetchPage, onTruncated }) {
+  const out = [];
+  let total = null;
+  const startedMs = Date.now();
+
+  for (let page = 0; page < maxPages; page++) {
+    const elapsedMs = Date.now() - startedMs;
+    if (page > 0 && elapsedMs >= timeBudgetMs) {
+      if (typeof onTruncated === "function") onTruncated();
+      logger.warn(`Pagination time budget hit for ${label}: stopped after ${page} pages in ${elapsedMs}ms (${out.length} jobs${total != null ? ` of ${total}` : ""})`);
+      return out;
+    }
+
+    const offset = page * pageSize;
+    const { items, total: reportedTotal } = await fetchPage(offset);
+    const list = Array.isArray(items) ? items : [];
+
+    // Some APIs (Workday) only report the total on the first page
+    if (total == null && Number.isFinite(reportedTotal) && reportedTotal > 0) total = reportedTotal;
+
+    out.push(...list);
+
+    if (list.length < pageSize) return out;
+    if (total != null && out.length >= total) return out;
+  }
+
+  if (typeof onTruncated === "function") onTruncated();
+  logger.warn(`Pagination cap hit for ${label}: stopped after ${maxPages} pages (${out.length} jobs${total != null ? ` of ${total}` : ""})`);
+  return out;
+}
+
+module.exports = { collectOffsetPages };
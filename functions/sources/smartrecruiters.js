@@ -0,0 +1,75 @@
+/**
+ * functions/sources/smartrecruiters.js
+ *
+ * SmartRecruiters Posting API
+ *   GET https://api.smartrecruiters.com/v1/companies/<companyId>/postings?limit=&offset=
+ *   -> { offset, limit, totalFound, content: [...] }   (max 100 per page)
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { collectOffsetPages } = require("./pagination");
+
+const PAGE_SIZE = 100;
+
+module.exports = {
+  id: "smartrecruiters",
+  jobSource: "smartrecruiters",
+
+  async fetchJobs(url, { fetchJson, maxPages, timeBudgetMs, onTruncated }) {
+    const base = new URL(String(url));
+    const companyId = parseCompanyId(base.pathname);
+
+    const postings = await collectOffsetPages({
+      label: base.origin + base.pathname,
+      pageSize: PAGE_SIZE,
+      maxPages,
+      timeBudgetMs,
+      onTruncated,
+      fetchPage: async (offset) => {
+        const pageUrl = new URL(base.toString());
+        pageUrl.searchParams.set("limit", String(PAGE_SIZE));
+        pageUrl.searchParams.set("offset", String(offset));
+        const json = await fetchJson(pageUrl.toString());
+        return { items: json?.content, total: Number(json?.totalFound) };
+      },
+    });
+
+    return postings.map((p) => (p && typeof p === "object" ? { ...p, _companyId: companyId } : p));
+  },
+
+  identify(rawJob) {
+    const externalId = rawJob.id != null ? String(rawJob.id) : null;
+    const companyId = rawJob?.company?.identifier || rawJob._companyId;
+    const jobUrl = externalId && companyId
+      ? `https://jobs.smartrecruiters.com/${encodeURIComponent(companyId)}/${encodeURIComponent(externalId)}`
+      : null;
+    return { externalId, jobUrl };
+  },
+
+  normalize(rawJob) {
+    const loc = rawJob.location && typeof rawJob.location === "object" ? rawJob.location : {};
+    const locationName = loc.fullLocation
+      ? String(loc.fullLocation)
+      : [loc.city, loc.region, loc.country].filter(Boolean).map(String).join(", ") || null;
+
+    const meta = {};
+    if (rawJob?.typeOfEmployment?.label) meta["Employment Type"] = rawJob.typeOfEmployment.label;
+    if (rawJob?.department?.label) meta["Department"] = rawJob.department.label;
+    if (rawJob?.function?.label) meta["Function"] = rawJob.function.label;
+    if (loc.remote === true) meta["Remote"] = true;
+
+    return {
+      title: rawJob.name ? String(rawJob.name) : null,
+      locationName: loc.remote === true && locationName ? `Remote - ${locationName}` : locationName,
+      sourceUpdatedIso: rawJob.releasedDate ? String(rawJob.releasedDate) : null,
+      meta,
+    };
+  },
+};
+
+function parseCompanyId(pathname) {
+  const m = String(pathname).match(/\/v1\/companies\/([^/]+)\/postings/i);
+  return m ? decodeURIComponent(m[1]) : null;
+}
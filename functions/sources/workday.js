@@ -0,0 +1,100 @@
+/**
+ * functions/sources/workday.js
+ *
+ * Workday CXS job search API
+ *   POST https://<tenant>.wd<N>.myworkdayjobs.com/wday/cxs/<tenant>/<site>/jobs
+ *   body { appliedFacets: {}, limit, offset, searchText: "" }
+ *   -> { total, jobPostings: [...] }   (max 20 per page; total only on page 1)
+ *
+ * Postings only carry a relative "Posted N Days Ago" string, so the
+ * timestamp is the end of that (UTC) day, capped at fetch time: stable from
+ * one run to the next, and late rather than early in the day (the sync
+ * cursor must still see today's postings). relativeDates tells the sync to
+ * keep the first value it stored for a tracked job, and to look back a day
+ * past the cursor: the labels count in the tenant's time zone, not UTC, so
+ * near midnight a date can be a day off.
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { collectOffsetPages } = require("./pagination");
+
+const PAGE_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  id: "workday",
+  jobSource: "workday",
+  relativeDates: true,
+
+  async fetchJobs(url, { fetchJson, maxPages, timeBudgetMs, onTruncated }) {
+    const endpoint = String(url).split("?")[0].replace(/\/+$/, "");
+    const site = parseSiteUrl(endpoint);
+
+    const postings = await collectOffsetPages({
+      label: endpoint,
+      pageSize: PAGE_SIZE,
+      maxPages,
+      timeBudgetMs,
+      onTruncated,
+      fetchPage: async (offset) => {
+        const json = await fetchJson(endpoint, {
+          method: "POST",
+          body: { appliedFacets: {}, limit: PAGE_SIZE, offset, searchText: "" },
+        });
+        return { items: json?.jobPostings, total: Number(json?.total) };
+      },
+    });
+
+    // Keep the public site base so identify() can build a browser URL
+    return postings.map((p) => (p && typeof p === "object" ? { ...p, _siteBaseUrl: site } : p));
+  },
+
+  identify(rawJob) {
+    const externalPath = rawJob.externalPath ? String(rawJob.externalPath) : null;
+    const reqId = Array.isArray(rawJob.bulletFields) && rawJob.bulletFields[0] != null
+      ? String(rawJob.bulletFields[0])
+      : null;
+
+    const jobUrl = externalPath && rawJob._siteBaseUrl ? `${rawJob._siteBaseUrl}${externalPath}` : null;
+    return { externalId: reqId || externalPath, jobUrl };
+  },
+
+  normalize(rawJob, { now }) {
+    const postedAt = parsePostedOn(rawJob.postedOn, now ? now.toMillis() : Date.now());
+
+    return {
+      title: rawJob.title ? String(rawJob.title) : null,
+      locationName: rawJob.locationsText ? String(rawJob.locationsText) : null,
+      sourceUpdatedIso: postedAt ? postedAt.toISOString() : null,
+      meta: {},
+    };
+  },
+};
+
+/**
+ * https://acme.wd5.myworkdayjobs.com/wday/cxs/acme/External/jobs
+ *   -> https://acme.wd5.myworkdayjobs.com/External
+ */
+function parseSiteUrl(endpoint) {
+  const m = String(endpoint).match(/^(https:\/\/[^/]+)\/wday\/cxs\/[^/]+\/([^/]+)\/jobs$/i);
+  return m ? `${m[1]}/${m[2]}` : null;
+}
+
+function parsePostedOn(postedOn, nowMs) {
+  const s = String(postedOn || "").toLowerCase();
+  if (!s) return null;
+
+  let daysAgo = null;
+  if (s.includes("today")) daysAgo = 0;
+  else if (s.includes("yesterday")) daysAgo = 1;
+  else {
+    const m = s.match(/(\d+)\+?\s*days?\s+ago/);
+    if (m) daysAgo = Number(m[1]);
+  }
+  if (daysAgo == null) return null;
+
+  const endOfDayMs = (Math.floor(nowMs / DAY_MS) - daysAgo + 1) * DAY_MS - 1;
+  return new Date(Math.min(endOfDayMs, nowMs));
+}
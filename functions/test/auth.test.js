@@ -0,0 +1,75 @@
+/**
+ * functions/test/auth.test.js
+ *
+ * Manual sync rate limit: a claimed slot blocks the next claim, and a failed
+ * sync gives its slot back (unless a newer claim replaced it).
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const admin = require("firebase-admin");
+
+const { MANUAL_SYNC_INTERVAL_MS, claimManualSyncSlot, releaseManualSyncSlot } = require("../lib/auth");
+
+const DELETE = admin.firestore.FieldValue.delete();
+const BASE_MS = Date.parse("2026-03-10T15:30:00Z");
+const at = (ms) => admin.firestore.Timestamp.fromMillis(BASE_MS + ms);
+
+// One-doc Firestore: runTransaction with get / merge set
+function fakeDb(initial = null) {
+  let data = initial;
+  const ref = { path: "users/u1/private/rateLimits" };
+  ref.collection = () => ({ doc: () => ref });
+  const tx = {
+    get: async () => ({ exists: data != null, get: (key) => (data ? data[key] : undefined) }),
+    set: (r, patch) => {
+      data = { ...data };
+      for (const [key, value] of Object.entries(patch)) {
+        if (value && value.isEqual && value.isEqual(DELETE)) delete data[key];
+        else data[key] = value;
+      }
+    },
+  };
+  return {
+    state: () => data,
+    collection: () => ({ doc: () => ref }),
+    runTransaction: (fn) => fn(tx),
+  };
+}
+
+describe("manual sync slots", () => {
+  it("blocks a second claim within the interval", async () => {
+    const db = fakeDb();
+    assert.equal((await claimManualSyncSlot(db, "u1", at(1000))).allowed, true);
+    const second = await claimManualSyncSlot(db, "u1", at(61000));
+    assert.equal(second.allowed, false);
+    assert.equal(second.retryAfterSeconds, Math.ceil((MANUAL_SYNC_INTERVAL_MS - 60000) / 1000));
+  });
+
+  it("gives the slot back after a failed sync", async () => {
+    const db = fakeDb();
+    const slot = await claimManualSyncSlot(db, "u1", at(1000));
+    await releaseManualSyncSlot(db, "u1", slot);
+    assert.equal(db.state().manualSyncAt, undefined);
+    assert.equal((await claimManualSyncSlot(db, "u1", at(2000))).allowed, true);
+  });
+
+  it("restores the previous claim time", async () => {
+    const earlier = at(1000);
+    const db = fakeDb({ manualSyncAt: earlier });
+    const slot = await claimManualSyncSlot(db, "u1", at(1000 + MANUAL_SYNC_INTERVAL_MS));
+    await releaseManualSyncSlot(db, "u1", slot);
+    assert.ok(db.state().manualSyncAt.isEqual(earlier));
+  });
+
+  it("leaves a newer claim alone", async () => {
+    const db = fakeDb();
+    const stale = await claimManualSyncSlot(db, "u1", at(1000));
+    const newer = at(1000 + MANUAL_SYNC_INTERVAL_MS);
+    await claimManualSyncSlot(db, "u1", newer);
+    await releaseManualSyncSlot(db, "u1", stale);
+    assert.ok(db.state().manualSyncAt.isEqual(newer));
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * functions/test/emulator/syncTasks.test.js
+ *
+ * syncUserTask through the Cloud Tasks emulator (npm run test:emulator, which
+ * starts the functions, firestore and tasks emulators). Skipped by `npm test`.
+ *
+ * ✅ enqueueing the same user and run twice is rejected as task-already-exists
+ * ✅ the task syncs the user and finishes its syncRuns doc
+ * ✅ a redelivery for a finished run leaves the run alone (only counts redeliveries)
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { after, before, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const admin = require("firebase-admin");
+const { getFunctions } = require("firebase-admin/functions");
+
+const { syncTaskId } = require("../../lib/syncTasks");
+
+const EMULATED = !!(process.env.FIRESTORE_EMULATOR_HOST && process.env.CLOUD_TASKS_EMULATOR_HOST);
+const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-job-watch";
+const REGION = "us-central1";
+const USER_ID = "emulator-task-user";
+const POLL_TIMEOUT_MS = 30000;
+
+async function waitFor(read, done) {
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  for (;;) {
+    const value = await read();
+    if (done(value)) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting, last value: ${JSON.stringify(value)}`);
+    await new Promise((r) => setTimeout(r, 250));
+  }
+}
+
+describe("syncUserTask (emulator)", { skip: EMULATED ? false : "needs the firestore and tasks emulators (npm run test:emulator)" }, () => {
+  let db;
+  let queue;
+  const runId = String(Date.now());
+
+  before(async () => {
+    admin.initializeApp({ projectId: PROJECT_ID });
+    db = admin.firestore();
+    queue = getFunctions().taskQueue(`locations/${REGION}/functions/syncUserTask`);
+    // A user without feeds keeps the run off the network
+    await db.collection("users").doc(USER_ID).set({ createdAt: admin.firestore.Timestamp.now() });
+  });
+
+  after(async () => {
+    await db.recursiveDelete(db.collection("users").doc(USER_ID));
+    await admin.app().delete();
+  });
+
+  const runDoc = async () => (await db.collection("users").doc(USER_ID).collection("syncRuns").doc(runId).get()).data();
+
+  it("queues a user once per run", async () => {
+    await queue.enqueue({ userId: USER_ID, runId }, { id: syncTaskId(USER_ID, runId) });
+    await assert.rejects(queue.enqueue({ userId: USER_ID, runId }, { id: syncTaskId(USER_ID, runId) }), { code: "functions/task-already-exists" });
+  });
+
+  it("finishes the run doc", async () => {
+    const run = await waitFor(runDoc, (r) => r?.status === "DONE");
+    assert.equal(run.source, "syncUserTask");
+    assert.equal(run.taskId, syncTaskId(USER_ID, runId));
+    assert.equal(run.redeliveries, undefined);
+  });
+
+  it("acknowledges a redelivery of a finished run without syncing again", async () => {
+    const first = await runDoc();
+    // A new task id carrying the same run is what a redelivery looks like to the handler
+    await queue.enqueue({ userId: USER_ID, runId }, { id: `${syncTaskId(USER_ID, runId)}-redelivery` });
+
+    const run = await waitFor(runDoc, (r) => r?.redeliveries === 1);
+    assert.equal(run.status, "DONE");
+    assert.ok(run.finishedAt.isEqual(first.finishedAt));
+    assert.equal(run.taskId, first.taskId);
+  });
+});
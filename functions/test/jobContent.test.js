@@ -0,0 +1,58 @@
+/**
+ * functions/test/jobContent.test.js
+ *
+ * Salary parsing from description text (parseSalaryFromText) and how
+ * buildJobDetails falls back to it when the ATS sends no structured salary.
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildJobDetails, parseSalaryFromText } = require("../lib/jobContent");
+
+describe("parseSalaryFromText", () => {
+  const cases = [
+    ["The range is $120,000 - $150,000 per year.", { min: 120000, max: 150000, currency: "USD", interval: "year" }],
+    ["Pay: $120k–$150k USD", { min: 120000, max: 150000, currency: "USD", interval: "year" }],
+    ["USD 50.00 to 65.00 per hour", { min: 50, max: 65, currency: "USD", interval: "hour" }],
+    ["£45,000 - £55,000", { min: 45000, max: 55000, currency: "GBP", interval: "year" }],
+    ["Salary 60,000 - 75,000 EUR", { min: 60000, max: 75000, currency: "EUR", interval: "year" }],
+    ["CAD 90k - 110k", { min: 90000, max: 110000, currency: "CAD", interval: "year" }],
+    ["€4,000 - €5,000 per month", { min: 4000, max: 5000, currency: "EUR", interval: "month" }],
+  ];
+  for (const [text, want] of cases) {
+    it(`parses ${text}`, () => {
+      assert.deepEqual(parseSalaryFromText(text), want);
+    });
+  }
+
+  for (const text of ["Must have AWS 2 - 5 years", "SQL 3-5 years", "2 - 4 years of experience", "Teams of 5 to 8 EMEA engineers", "ALL 2 - 5 days onsite", ""]) {
+    it(`finds no salary in ${JSON.stringify(text)}`, () => {
+      assert.equal(parseSalaryFromText(text), null);
+    });
+  }
+
+  it("skips a non-salary range before the real one", () => {
+    assert.deepEqual(parseSalaryFromText("AWS 2 - 5 years. Compensation: $140,000 - $180,000"), { min: 140000, max: 180000, currency: "USD", interval: "year" });
+  });
+
+  it("rejects a range that runs backwards", () => {
+    assert.equal(parseSalaryFromText("$150,000 - $120,000"), null);
+  });
+});
+
+describe("buildJobDetails", () => {
+  it("prefers the ATS salary and falls back to the description", () => {
+    const ats = buildJobDetails({ html: "<p>$1 - $2</p>", salary: { min: 100000, max: 120000, currency: "usd", interval: "annual" } });
+    assert.deepEqual([ats.salaryMin, ats.salaryMax, ats.salaryCurrency, ats.salaryInterval, ats.salarySource], [100000, 120000, "USD", "year", "ats"]);
+
+    const parsed = buildJobDetails({ html: "<p>Base: $130,000 - $160,000</p>" });
+    assert.deepEqual([parsed.salaryMin, parsed.salaryMax, parsed.salarySource], [130000, 160000, "description"]);
+
+    const none = buildJobDetails({ html: "<p>Must have AWS 2 - 5 years</p>" });
+    assert.equal(none.salaryMin, null);
+    assert.equal(none.salarySource, null);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * functions/test/locations.test.js
+ *
+ * Location parser corpus: every entry of test/fixtures/locations.json is run
+ * through structuredLocationFields (lib/locations.js + lib/gazetteer.json).
+ *
+ *   { input, note?, cities?, regionCodes?, countryCodes?, stateCodes?, isRemote?, remoteScopes?, locationKeys? }
+ *
+ * cities / remoteScopes list one value per parsed entry; only the keys an entry
+ * names are checked. Add a line here when a real feed string parses wrong.
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const CORPUS = require("./fixtures/locations.json");
+const { structuredLocationFields } = require("../lib/locations");
+
+const SET_KEYS = new Set(["regionCodes", "countryCodes", "stateCodes", "locationKeys"]);
+
+function actualFor(fields, key) {
+  if (key === "cities") return fields.locations.map((l) => l.city);
+  if (key === "remoteScopes") return fields.locations.map((l) => l.remoteScope);
+  return fields[key];
+}
+
+describe("location corpus", () => {
+  it("has no duplicate inputs", () => {
+    const inputs = CORPUS.map((c) => c.input);
+    assert.equal(new Set(inputs).size, inputs.length);
+  });
+
+  for (const { input, note, ...expected } of CORPUS) {
+    it(note ? `${input} (${note})` : input, () => {
+      const fields = structuredLocationFields(input);
+      for (const [key, want] of Object.entries(expected)) {
+        const got = actualFor(fields, key);
+        // Codes are sets; their order carries no meaning
+        if (SET_KEYS.has(key)) assert.deepEqual([...got].sort(), [...want].sort(), key);
+        else assert.deepEqual(got, want, key);
+      }
+    });
+  }
+});
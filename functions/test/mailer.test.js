@@ -0,0 +1,50 @@
+/**
+ * functions/test/mailer.test.js
+ *
+ * Which transport getMailTransport picks: never the console one in production
+ * unless asked for.
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { afterEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ENV_KEYS = ["MAIL_TRANSPORT", "SMTP_HOST", "FUNCTIONS_EMULATOR"];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+
+// getMailTransport caches its pick, so every case loads a fresh module
+function transportWith(env) {
+  for (const key of ENV_KEYS) {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  delete require.cache[require.resolve("../lib/mailer")];
+  return require("../lib/mailer").getMailTransport();
+}
+
+describe("getMailTransport", () => {
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+  });
+
+  it("uses SMTP when SMTP_HOST is set", () => {
+    assert.equal(transportWith({ SMTP_HOST: "smtp.example.com" }).name, "smtp");
+  });
+
+  it("throws in production without SMTP_HOST instead of logging digests", () => {
+    assert.throws(() => transportWith({}), /No mail transport configured/);
+  });
+
+  it("logs to the console under the emulator or when asked to", () => {
+    assert.equal(transportWith({ FUNCTIONS_EMULATOR: "true" }).name, "console");
+    assert.equal(transportWith({ MAIL_TRANSPORT: "console" }).name, "console");
+  });
+
+  it("rejects unknown transports", () => {
+    assert.throws(() => transportWith({ MAIL_TRANSPORT: "pigeon" }), /Unknown MAIL_TRANSPORT/);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * functions/test/pagination.test.js
+ *
+ * collectOffsetPages: stop conditions and the page / time caps.
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { collectOffsetPages } = require("../sources/pagination");
+
+// A listing of `count` items served `pageSize` at a time, optionally slowly
+function listing(count, { total = count, delayMs = 0 } = {}) {
+  const offsets = [];
+  async function fetchPage(offset) {
+    offsets.push(offset);
+    if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    const items = Array.from({ length: Math.max(0, Math.min(10, count - offset)) }, (_, i) => offset + i);
+    return { items, total: offset === 0 ? total : undefined };
+  }
+  return { fetchPage, offsets };
+}
+
+function collect(fetchPage, opts = {}) {
+  let truncated = false;
+  const result = collectOffsetPages({
+    label: "test",
+    pageSize: 10,
+    maxPages: 25,
+    fetchPage,
+    onTruncated: () => {
+      truncated = true;
+    },
+    ...opts,
+  });
+  return result.then((items) => ({ items, truncated }));
+}
+
+describe("collectOffsetPages", () => {
+  it("stops at a short page", async () => {
+    const l = listing(23, { total: undefined });
+    const { items, truncated } = await collect(l.fetchPage);
+    assert.equal(items.length, 23);
+    assert.deepEqual(l.offsets, [0, 10, 20]);
+    assert.equal(truncated, false);
+  });
+
+  it("stops at the total reported on the first page", async () => {
+    const l = listing(20);
+    const { items, truncated } = await collect(l.fetchPage);
+    assert.equal(items.length, 20);
+    assert.deepEqual(l.offsets, [0, 10]);
+    assert.equal(truncated, false);
+  });
+
+  it("reports truncation at the page cap", async () => {
+    const l = listing(100);
+    const { items, truncated } = await collect(l.fetchPage, { maxPages: 3 });
+    assert.equal(items.length, 30);
+    assert.equal(truncated, true);
+  });
+
+  it("reports truncation when the time budget runs out", async () => {
+    const l = listing(100, { delayMs: 30 });
+    const { items, truncated } = await collect(l.fetchPage, { timeBudgetMs: 50 });
+    assert.equal(truncated, true);
+    assert.ok(l.offsets.length >= 2 && l.offsets.length < 10, `fetched ${l.offsets.length} pages`);
+    assert.equal(items.length, l.offsets.length * 10);
+  });
+
+  it("always fetches the first page", async () => {
+    const l = listing(5);
+    const { items, truncated } = await collect(l.fetchPage, { timeBudgetMs: 0 });
+    assert.equal(items.length, 5);
+    assert.equal(truncated, false);
+  });
+});
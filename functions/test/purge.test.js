@@ -0,0 +1,130 @@
+/**
+ * functions/test/purge.test.js
+ *
+ * purgeUserJobs against an in-memory stand-in for the few Firestore calls it
+ * makes (ordered, paged query + BulkWriter deletes).
+ *
+ * ✅ deleted counts only deletes the BulkWriter confirmed
+ * ✅ a page with a failed delete keeps the cursor before it
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizePurgeFilter, purgeUserJobs } = require("../lib/purge");
+
+const FAR_FUTURE = Date.now() + 60 * 1000;
+
+// docs: { [path]: data }; failPaths: deletes that fail on every attempt
+function fakeDb(docs, { failPaths = [] } = {}) {
+  const store = new Map(Object.entries(docs));
+
+  function ref(path) {
+    return {
+      path,
+      id: path.split("/").pop(),
+      collection: (name) => collectionRef(`${path}/${name}`),
+    };
+  }
+
+  function collectionRef(path, { filters = [], after = null, max = Infinity } = {}) {
+    const query = (next) => collectionRef(path, { filters, after, max, ...next });
+    return {
+      doc: (id) => ref(`${path}/${id}`),
+      where: (field, op, value) => query({ filters: [...filters, (data) => data[field] === value] }),
+      orderBy: () => query({}),
+      limit: (n) => query({ max: n }),
+      startAfter: (id) => query({ after: id }),
+      async get() {
+        const docs = [...store.keys()]
+          .filter((p) => p.startsWith(`${path}/`) && !p.slice(path.length + 1).includes("/"))
+          .sort()
+          .map((p) => ({ ref: ref(p), id: ref(p).id, data: () => store.get(p) }))
+          .filter((d) => (after == null || d.id > after) && filters.every((f) => f(d.data())))
+          .slice(0, max);
+        return { docs, size: docs.length };
+      },
+    };
+  }
+
+  return {
+    store,
+    collection: (name) => collectionRef(name),
+    bulkWriter() {
+      let onError = () => false;
+      const pending = [];
+      return {
+        onWriteError: (fn) => {
+          onError = fn;
+        },
+        delete(docRef) {
+          const write = (async () => {
+            for (let failedAttempts = 1; failPaths.includes(docRef.path); failedAttempts++) {
+              const err = Object.assign(new Error("UNAVAILABLE"), { documentRef: docRef, failedAttempts });
+              if (!onError(err)) throw err;
+            }
+            store.delete(docRef.path);
+          })();
+          pending.push(write.catch(() => {}));
+          return write;
+        },
+        close: () => Promise.all(pending).then(() => {}),
+      };
+    },
+  };
+}
+
+function jobs(n, data = {}) {
+  const docs = {};
+  for (let i = 0; i < n; i++) {
+    const id = `job-${String(i).padStart(4, "0")}`;
+    docs[`users/u1/jobs/${id}`] = { title: `Engineer ${i}`, companyName: "Acme", source: "greenhouse", ...data };
+    docs[`users/u1/jobDetails/${id}`] = { content: "x" };
+  }
+  return docs;
+}
+
+const filter = normalizePurgeFilter({ companyName: "Acme" });
+
+describe("purgeUserJobs", () => {
+  it("deletes every match and its details", async () => {
+    const db = fakeDb(jobs(3));
+    const out = await purgeUserJobs(db, { userId: "u1", filter, dryRun: false, deadlineMs: FAR_FUTURE });
+    assert.equal(out.deleted, 3);
+    assert.equal(out.failed, 0);
+    assert.equal(out.done, true);
+    assert.equal(out.nextCursor, null);
+    assert.equal(db.store.size, 0);
+  });
+
+  it("doesn't delete on a dry run", async () => {
+    const db = fakeDb(jobs(3));
+    const out = await purgeUserJobs(db, { userId: "u1", filter, dryRun: true, deadlineMs: FAR_FUTURE });
+    assert.equal(out.matched, 3);
+    assert.equal(out.deleted, 0);
+    assert.equal(db.store.size, 6);
+  });
+
+  it("counts only confirmed deletes and holds the cursor on a failed page", async () => {
+    const db = fakeDb(jobs(501), { failPaths: ["users/u1/jobDetails/job-0500"] });
+    const out = await purgeUserJobs(db, { userId: "u1", filter, dryRun: false, deadlineMs: FAR_FUTURE });
+
+    assert.equal(out.deleted, 500);
+    assert.equal(out.failed, 1);
+    assert.equal(out.removed.length, 500);
+    assert.ok(!out.removed.some((r) => r.id === "job-0500"));
+    assert.equal(out.done, false);
+    // The first page went through, the second one is retried from its start
+    assert.equal(out.nextCursor, "job-0499");
+  });
+
+  it("holds the caller's cursor when the first page fails", async () => {
+    const db = fakeDb(jobs(2), { failPaths: ["users/u1/jobs/job-0001"] });
+    const out = await purgeUserJobs(db, { userId: "u1", filter, dryRun: false, cursor: "job-0000", deadlineMs: FAR_FUTURE });
+    assert.equal(out.deleted, 0);
+    assert.equal(out.failed, 1);
+    assert.equal(out.nextCursor, "job-0000");
+  });
+});
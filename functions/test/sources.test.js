@@ -0,0 +1,167 @@
+/**
+ * functions/test/sources.test.js
+ *
+ * Adapter contract suite: every registered source adapter is run against a
+ * recorded API payload (test/fixtures/sources/<adapter id>.json):
+ *
+ *   { feedUrl, fullContent, exchanges: [{ request: { url, method?, body? }, response }], expected }
+ *
+ * ✅ fetchJobs must make exactly the recorded requests (pagination included)
+ * ✅ normalizeJob output must match the expected fields per job
+ * ✅ job doc ids follow the `<jobSource>|<companyKey>|<externalId>` scheme and are unique
+ */
+
+/* eslint-disable max-len */
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const admin = require("firebase-admin");
+
+const sources = require("../sources");
+const { makeJobDocId, sanitizeId } = require("../lib/util");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "sources");
+const NOW = admin.firestore.Timestamp.fromDate(new Date("2026-03-10T15:30:00Z"));
+const COMPANY = { companyName: "Acme", companyKey: "acme-feed" };
+
+function loadFixture(id) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${id}.json`), "utf8"));
+}
+
+// fetchJson stand-in that replays the recorded exchanges in order
+function replayFetchJson(exchanges) {
+  const requests = [];
+  async function fetchJson(url, { method = "GET", body } = {}) {
+    const request = { url, method, ...(body === undefined ? {} : { body }) };
+    requests.push(request);
+    const exchange = exchanges[requests.length - 1];
+    if (!exchange) throw new Error(`Unrecorded request ${method} ${url}`);
+    return structuredClone(exchange.response);
+  }
+  return { fetchJson, requests };
+}
+
+// Plain JSON view of a normalized job (Timestamps as ISO strings)
+function plain(job) {
+  return { ...job, sourceUpdatedTs: job.sourceUpdatedTs ? job.sourceUpdatedTs.toDate().toISOString() : null };
+}
+
+async function runFixture(adapter, fixture, { maxPages = 25 } = {}) {
+  const replay = replayFetchJson(fixture.exchanges);
+  let truncated = false;
+  const rawJobs = await adapter.fetchJobs(fixture.feedUrl, {
+    fetchJson: replay.fetchJson,
+    maxPages,
+    fullContent: fixture.fullContent,
+    onTruncated: () => {
+      truncated = true;
+    },
+  });
+
+  const jobs = rawJobs.map((raw) => {
+    const job = sources.normalizeJob(raw, { adapter, ...COMPANY, now: NOW });
+    return job && { ...plain(job), details: sources.extractJobDetails(raw, { adapter }) };
+  });
+  return { jobs, requests: replay.requests, truncated };
+}
+
+describe("source adapter contract", () => {
+  it("has a recorded fixture for every registered adapter", () => {
+    const fixtures = fs.readdirSync(FIXTURES_DIR).filter((f) => f.endsWith(".json")).map((f) => f.replace(/\.json$/, ""));
+    for (const adapter of sources.listAdapters()) {
+      assert.ok(fixtures.includes(adapter.id), `missing test/fixtures/sources/${adapter.id}.json`);
+    }
+  });
+
+  for (const adapter of sources.listAdapters()) {
+    describe(adapter.id, () => {
+      const fixture = loadFixture(adapter.id);
+
+      it("accepts its recorded feed URL", () => {
+        assert.equal(sources.detectSourceFromUrl(fixture.feedUrl), adapter.id);
+        assert.ok(sources.isValidFeedUrl(adapter, fixture.feedUrl));
+      });
+
+      it("fetches exactly the recorded requests", async () => {
+        const { requests, truncated } = await runFixture(adapter, fixture);
+        const expected = fixture.exchanges.map((x) => ({ method: "GET", ...x.request }));
+        assert.deepEqual(requests, expected);
+        assert.equal(truncated, false);
+      });
+
+      it("normalizes every recorded job", async () => {
+        const { jobs } = await runFixture(adapter, fixture);
+        assert.equal(jobs.length, fixture.expected.count);
+
+        for (const job of jobs) {
+          assert.ok(job, "normalizeJob returned null");
+          assert.equal(job.source, adapter.jobSource);
+          assert.equal(job.companyKey, COMPANY.companyKey);
+          assert.equal(job.companyName, COMPANY.companyName);
+          assert.equal(typeof job.title, "string");
+          assert.ok(job.jobUrl || job.externalId, "job has neither externalId nor jobUrl");
+          assert.ok(job.sourceUpdatedTs, "job has no sourceUpdatedTs");
+          assert.ok(Array.isArray(job.locations) && Array.isArray(job.locationKeys));
+        }
+
+        for (const want of fixture.expected.jobs) {
+          const job = jobs.find((j) => j.externalId === want.externalId);
+          assert.ok(job, `no job with externalId ${want.externalId}`);
+          const { details, ...fields } = want;
+          for (const [key, value] of Object.entries(fields)) {
+            assert.deepEqual(job[key], value, `${want.externalId}: ${key}`);
+          }
+          if (details === null) assert.equal(job.details, null, `${want.externalId}: details`);
+          else if (details) {
+            for (const [key, value] of Object.entries(details)) {
+              assert.deepEqual(job.details?.[key], value, `${want.externalId}: details.${key}`);
+            }
+          }
+        }
+      });
+
+      it("derives job doc ids from jobSource, companyKey and externalId", async () => {
+        const { jobs } = await runFixture(adapter, fixture);
+        const prefix = sanitizeId(`${adapter.jobSource}|${COMPANY.companyKey}|x`).split("|x")[0];
+
+        for (const job of jobs) {
+          assert.equal(job.jobDocId, makeJobDocId({ source: adapter.jobSource, companyKey: COMPANY.companyKey, externalId: job.externalId || job.jobUrl }));
+          assert.ok(job.jobDocId.startsWith(`${prefix}|`), job.jobDocId);
+        }
+        assert.equal(new Set(jobs.map((j) => j.jobDocId)).size, jobs.length, "job doc ids collide");
+      });
+    });
+  }
+
+  it("reports truncation when the page cap cuts a listing short", async () => {
+    const adapter = sources.getAdapter("workday");
+    const fixture = loadFixture("workday");
+    const { jobs, requests, truncated } = await runFixture(adapter, fixture, { maxPages: 1 });
+    assert.equal(requests.length, 1);
+    assert.equal(jobs.length, 20);
+    assert.equal(truncated, true);
+  });
+
+  it("pins relative Workday dates to the posting day", () => {
+    const adapter = sources.getAdapter("workday");
+    const at = (iso, postedOn) =>
+      adapter.normalize({ title: "x", postedOn }, { now: admin.firestore.Timestamp.fromDate(new Date(iso)) }).sourceUpdatedIso;
+
+    // Same label later the same day: unchanged
+    assert.equal(at("2026-03-10T01:00:00Z", "Posted 3 Days Ago"), at("2026-03-10T23:00:00Z", "Posted 3 Days Ago"));
+    // Next day the label moves on and so does the day
+    assert.equal(at("2026-03-10T12:00:00Z", "Posted Yesterday"), at("2026-03-11T12:00:00Z", "Posted 2 Days Ago"));
+    // Today is never later than the fetch itself
+    assert.equal(at("2026-03-10T12:00:00Z", "Posted Today"), "2026-03-10T12:00:00.000Z");
+    assert.equal(at("2026-03-10T12:00:00Z", "Posted recently"), null);
+  });
+
+  it("resolves legacy feed source strings", () => {
+    assert.equal(sources.getAdapter("ashbyhq").id, "ashby");
+    assert.equal(sources.getAdapter("GREENHOUSE").id, "greenhouse");
+    assert.equal(sources.getAdapter("taleo"), null);
+  });
+});
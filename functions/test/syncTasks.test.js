@@ -0,0 +1,49 @@
+/**
+ * functions/test/syncTasks.test.js
+ *
+ * Task ids and the inline fallback of the scheduled fan-out. The queue path
+ * itself runs against the emulators in test/emulator (npm run test:emulator).
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { isFinishedRun, shouldRunTasksInline, syncTaskId } = require("../lib/syncTasks");
+
+describe("syncTaskId", () => {
+  it("is stable per user and run", () => {
+    assert.equal(syncTaskId("u1", "1760000000000"), syncTaskId("u1", "1760000000000"));
+    assert.notEqual(syncTaskId("u1", "1760000000000"), syncTaskId("u1", "1760000600000"));
+    assert.notEqual(syncTaskId("u1", "1760000000000"), syncTaskId("u2", "1760000000000"));
+  });
+
+  it("only uses characters Cloud Tasks accepts", () => {
+    assert.match(syncTaskId("a.b@c/d", "1760000000000"), /^[A-Za-z0-9_-]+$/);
+  });
+});
+
+describe("shouldRunTasksInline", () => {
+  it("enqueues in production", () => {
+    assert.equal(shouldRunTasksInline({}), false);
+  });
+
+  it("runs inline when forced", () => {
+    assert.equal(shouldRunTasksInline({ SYNC_TASKS_INLINE: "true" }), true);
+  });
+
+  it("runs inline under the emulator only without the Cloud Tasks emulator", () => {
+    assert.equal(shouldRunTasksInline({ FUNCTIONS_EMULATOR: "true" }), true);
+    assert.equal(shouldRunTasksInline({ FUNCTIONS_EMULATOR: "true", CLOUD_TASKS_EMULATOR_HOST: "127.0.0.1:9499" }), false);
+  });
+});
+
+describe("isFinishedRun", () => {
+  it("treats only DONE runs as finished", () => {
+    assert.equal(isFinishedRun(undefined), false);
+    assert.equal(isFinishedRun({ status: "RUNNING" }), false);
+    assert.equal(isFinishedRun({ status: "FAILED" }), false);
+    assert.equal(isFinishedRun({ status: "DONE" }), true);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * functions/test/titleRules.test.js
+ *
+ * Title rules: matching, and the regex safety check that keeps one rule from
+ * stalling a user's sync.
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { compileTitleRules, jobMatchesTitleRules, unsafeRegexReason } = require("../lib/titleRules");
+
+describe("unsafeRegexReason", () => {
+  for (const source of ["(a+)+$", "(\\w+\\s?)*$", "(.*x){20}", "((a+)b)+", "(a*)*", "(a|ab)*c", "((a|a))*b", "(?:(a|a))*b", "((x(a|b)))+", "(((a+)))*", "(x)\\1", "(?<n>a)\\k<n>", "a".repeat(201)]) {
+    it(`rejects ${source.length > 40 ? "an overlong pattern" : source}`, () => {
+      assert.equal(typeof unsafeRegexReason(source), "string");
+    });
+  }
+
+  for (const source of ["^data", "senior|staff", "^(backend|platform)\\b", "(?:senior )?engineer", "\\d+-\\d+", "(a{3})+", "(ab)+", "[(+)]+x", "x{2,}", "((ab))+", "(?:(senior|staff) )?engineer"]) {
+    it(`accepts ${source}`, () => {
+      assert.equal(unsafeRegexReason(source), null);
+    });
+  }
+});
+
+describe("compileTitleRules / jobMatchesTitleRules", () => {
+  it("skips unsafe patterns and reports them", () => {
+    const compiled = compileTitleRules({ include: { regex: ["(a+)+$", "((a|a))*b", "^data"] } });
+    assert.deepEqual(compiled.errors.map((e) => e.id), ["include:regex:(a+)+$", "include:regex:((a|a))*b"]);
+    assert.equal(compiled.include.length, 1);
+
+    const started = Date.now();
+    assert.equal(jobMatchesTitleRules({ title: `${"a".repeat(40)}!` }, compiled), false);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(jobMatchesTitleRules({ title: "Data Engineer" }, compiled), true);
+  });
+
+  it("applies includes, excludes and seniority", () => {
+    const compiled = compileTitleRules({
+      include: { keywords: ["engineer"], regex: ["^platform"] },
+      exclude: { phrases: ["sales engineer"], seniority: ["staff"] },
+    });
+    assert.equal(jobMatchesTitleRules({ title: "Backend Engineer" }, compiled), true);
+    assert.equal(jobMatchesTitleRules({ title: "Platform Lead" }, compiled), true);
+    assert.equal(jobMatchesTitleRules({ title: "Sales Engineer" }, compiled), false);
+    assert.equal(jobMatchesTitleRules({ title: "Staff Engineer" }, compiled), false);
+    assert.equal(jobMatchesTitleRules({ title: "Product Manager" }, compiled), false);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * functions/test/webhooks.test.js
+ *
+ * Outbound webhooks may only reach public addresses: checked on the URL when
+ * it's saved, on the resolved host before sending, and again on the address
+ * the connection dials (a host can resolve differently between the two).
+ */
+
+/* eslint-disable require-jsdoc */
+
+const { afterEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const net = require("net");
+const admin = require("firebase-admin");
+
+const { deliverWebhook, isPrivateAddress, validateWebhookUrl } = require("../lib/webhooks");
+
+const NOW = admin.firestore.Timestamp.fromDate(new Date("2026-03-10T15:30:00Z"));
+const realLookup = dns.lookup;
+
+// Answers lookups from a list, one answer per call (the last one repeats)
+function fakeDns(...answers) {
+  let calls = 0;
+  dns.lookup = (hostname, options, callback) => {
+    const address = answers[Math.min(calls++, answers.length - 1)];
+    const entry = { address, family: address.includes(":") ? 6 : 4 };
+    process.nextTick(() => (options.all ? callback(null, [entry]) : callback(null, entry.address, entry.family)));
+  };
+}
+
+// Just enough Firestore for deliverWebhook's two writes
+function fakeDb() {
+  const writes = {};
+  const ref = (path) => ({
+    id: path.split("/").pop(),
+    collection: (name) => ({ doc: (id = "auto") => ref(`${path}/${name}/${id}`) }),
+    set: async (data) => {
+      writes[path] = data;
+    },
+  });
+  return { writes, collection: (name) => ({ doc: (id) => ref(`${name}/${id}`) }) };
+}
+
+const hook = { id: "w1", name: "Hook", url: "https://hooks.example.com/x", format: "json", enabled: true, secret: "s".repeat(32) };
+
+describe("isPrivateAddress", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "not-an-ip"]) {
+    it(`blocks ${address}`, () => assert.equal(isPrivateAddress(address), true));
+  }
+  for (const address of ["93.184.216.34", "172.32.0.1", "2606:4700::1111"]) {
+    it(`allows ${address}`, () => assert.equal(isPrivateAddress(address), false));
+  }
+});
+
+describe("validateWebhookUrl", () => {
+  it("rejects private hosts and literals", () => {
+    for (const url of ["https://localhost/x", "https://127.0.0.1/x", "https://[::1]/x", "https://100.64.0.1/x", "http://hooks.example.com/x"]) {
+      assert.throws(() => validateWebhookUrl(url), { name: "WebhookConfigError" }, url);
+    }
+    assert.equal(validateWebhookUrl("https://hooks.example.com/x"), "https://hooks.example.com/x");
+  });
+});
+
+describe("deliverWebhook", () => {
+  afterEach(() => {
+    dns.lookup = realLookup;
+  });
+
+  it("refuses a public name that resolves to a private address", async () => {
+    fakeDns("169.254.169.254");
+    const db = fakeDb();
+    const delivery = await deliverWebhook(db, "u1", hook, { event: "test", jobs: [], now: NOW });
+    assert.equal(delivery.ok, false);
+    assert.equal(delivery.attempts, 0);
+    assert.match(delivery.error, /private address \(169\.254\.169\.254\)/);
+    assert.equal(db.writes["users/u1/webhooks/w1"].lastDeliveryOk, false);
+  });
+
+  it("refuses a name that rebinds to a private address after the check", async () => {
+    // A listener on the rebound address: the connection must never reach it
+    let connections = 0;
+    const server = net.createServer((socket) => {
+      connections += 1;
+      socket.destroy();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      fakeDns("93.184.216.34", "127.0.0.1");
+      const url = `https://hooks.example.com:${server.address().port}/x`;
+      const delivery = await deliverWebhook(fakeDb(), "u1", { ...hook, url }, { event: "test", jobs: [], now: NOW });
+      assert.equal(delivery.ok, false);
+      assert.equal(delivery.status, null);
+      assert.ok(delivery.attempts >= 1);
+      assert.equal(connections, 0);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
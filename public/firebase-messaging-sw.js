@@ -0,0 +1,41 @@
+// public/firebase-messaging-sw.js
+// Background web push for JobWatch. Registered by src/notifications.js with the Firebase
+// config in its query string. The sync sends data-only messages { title, body, path, tag }
+// (functions/lib/notifications.js); this worker shows them and opens `path` on click.
+
+/* global importScripts, firebase */
+
+importScripts("https://www.gstatic.com/firebasejs/12.8.0/firebase-app-compat.js");
+importScripts("https://www.gstatic.com/firebasejs/12.8.0/firebase-messaging-compat.js");
+
+const params = new URL(self.location.href).searchParams;
+
+firebase.initializeApp({
+  apiKey: params.get("apiKey"),
+  projectId: params.get("projectId"),
+  messagingSenderId: params.get("messagingSenderId"),
+  appId: params.get("appId"),
+});
+
+firebase.messaging().onBackgroundMessage((payload) => {
+  const data = payload.data || {};
+  self.registration.showNotification(data.title || "JobWatch", {
+    body: data.body || "",
+    icon: "/vite.svg",
+    tag: data.tag || undefined,
+    data: { path: data.path || "/" },
+  });
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.path || "/", self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (open) return open.navigate(url).then((w) => (w || open).focus());
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -3,6 +3,7 @@ import React, { useEffect, useMemo, useState } from "react";
 import { onAuthStateChanged, signOut } from "firebase/auth";
 import { doc, onSnapshot } from "firebase/firestore";
 import { AnimatePresence, motion } from "framer-motion";
+import { Navigate, Route, Routes, useLocation, useNavigate } from "react-router-dom";
 import { auth, db } from "./firebase";
 
 // Components
@@ -14,28 +15,45 @@ import Signup from "./pages/Signup.jsx";
 import ForgotPassword from "./pages/ForgotPassword.jsx";
 import Home from "./pages/Home.jsx"; // This is now your main landing page
 import Jobs from "./pages/Jobs.jsx";
+import Applications from "./pages/Applications.jsx";
 import Profile from "./pages/Profile.jsx";
 import FetchHistory from "./pages/FetchHistory.jsx";
 
 // Import ToastProvider (Capital 'Toast' for Case Sensitivity Fix)
 import { ToastProvider } from "./components/Toast/ToastProvider.jsx";
 
+// TopBar page ids <-> routes
+const PAGE_PATHS = {
+  home: "/",
+  jobs: "/jobs",
+  applications: "/applications",
+  history: "/history",
+  profile: "/settings",
+};
+
+function pageFromPath(pathname) {
+  return Object.keys(PAGE_PATHS).find((p) => PAGE_PATHS[p] === pathname) || "home";
+}
+
+// Where to go after signing in: the page that sent us to /login, else the dashboard
+function returnPath(location) {
+  const from = location.state?.from;
+  return from ? `${from.pathname}${from.search || ""}` : "/";
+}
+
 export default function App() {
   const [user, setUser] = useState(null);
-  const [mode, setMode] = useState("login");
   const [loading, setLoading] = useState(true);
-  const [page, setPage] = useState("home");
   const [userMeta, setUserMeta] = useState(null);
 
+  const location = useLocation();
+  const navigate = useNavigate();
+  const page = pageFromPath(location.pathname);
+
   useEffect(() => {
     const unsub = onAuthStateChanged(auth, (u) => {
       setUser(u);
       setLoading(false);
-      // If user logs out, reset to home and login mode
-      if (!u) {
-        setPage("home");
-        setMode("login");
-      }
     });
     return () => unsub();
   }, []);
@@ -60,24 +78,31 @@ export default function App() {
       );
     }
 
-    if (!user) {
-      if (mode === "login") return <Login onSwitch={() => setMode("signup")} onForgot={() => setMode("forgot")} />;
-      if (mode === "signup") return <Signup onSwitch={() => setMode("login")} />;
-      if (mode === "forgot") return <ForgotPassword onBack={() => setMode("login")} />;
-    }
+    // Auth screens keep location.state.from, so switching between them still returns there
+    const authNav = (path) => () => navigate(path, { state: location.state });
+    const publicOnly = (element) => (user ? <Navigate to={returnPath(location)} replace /> : element);
+    const requireAuth = (element) =>
+      user ? element : <Navigate to="/login" replace state={{ from: location }} />;
 
-    // Authenticated Navigation
-    switch (page) {
-      case "jobs":
-        return <Jobs user={user} userMeta={userMeta} />;
-      case "profile":
-        return <Profile user={user} userMeta={userMeta} />;
-      case "history":
-        return <FetchHistory user={user} />;
-      default:
-        return <Home user={user} />;
-    }
-  }, [loading, user, mode, page, userMeta]);
+    return (
+      <Routes location={location}>
+        <Route
+          path="/login"
+          element={publicOnly(<Login onSwitch={authNav("/signup")} onForgot={authNav("/forgot-password")} />)}
+        />
+        <Route path="/signup" element={publicOnly(<Signup onSwitch={authNav("/login")} />)} />
+        <Route path="/forgot-password" element={publicOnly(<ForgotPassword onBack={authNav("/login")} />)} />
+
+        <Route path="/" element={requireAuth(<Home user={user} />)} />
+        <Route path="/jobs" element={requireAuth(<Jobs user={user} userMeta={userMeta} />)} />
+        <Route path="/applications" element={requireAuth(<Applications user={user} />)} />
+        <Route path="/history" element={requireAuth(<FetchHistory user={user} />)} />
+        <Route path="/settings" element={requireAuth(<Profile user={user} userMeta={userMeta} />)} />
+
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    );
+  }, [loading, user, userMeta, location, navigate]);
 
   return (
     <ToastProvider>
@@ -87,8 +112,8 @@ export default function App() {
             user={user} 
             userMeta={userMeta} 
             page={page} 
-            setPage={setPage} 
-            onLogout={() => signOut(auth)} 
+            setPage={(p) => navigate(PAGE_PATHS[p] || "/")} 
+            onLogout={() => signOut(auth).then(() => navigate("/login", { replace: true }))} 
           />
         )}
 
@@ -99,7 +124,7 @@ export default function App() {
             <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
               <AnimatePresence mode="wait">
                 <motion.div 
-                  key={page} 
+                  key={location.pathname} 
                   initial={{ opacity: 0, y: 10 }} 
                   animate={{ opacity: 1, y: 0 }} 
                   exit={{ opacity: 0, y: -10 }}
@@ -0,0 +1,79 @@
+// src/applications.js
+// Application pipeline (users/{uid}/applications/{jobDocId}).
+// Kept apart from users/{uid}/jobs so the jobs TTL can never delete it: tracking a job
+// snapshots its title, company and URL, and the application outlives the posting.
+
+import { Timestamp, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc } from "firebase/firestore";
+import { db } from "./firebase";
+
+// Board column order; the last three are outcomes
+export const APPLICATION_STATUSES = [
+  { id: "interested", label: "Interested" },
+  { id: "applied", label: "Applied" },
+  { id: "screen", label: "Recruiter screen" },
+  { id: "onsite", label: "Onsite" },
+  { id: "offer", label: "Offer" },
+  { id: "rejected", label: "Rejected" },
+  { id: "withdrawn", label: "Withdrawn" },
+];
+
+export const MAX_CONTACTS = 20;
+
+export function statusLabel(status) {
+  return APPLICATION_STATUSES.find((s) => s.id === status)?.label || status;
+}
+
+function applicationRef(uid, jobId) {
+  return doc(db, "users", uid, "applications", jobId);
+}
+
+/**
+ * Starts tracking a job (a row from the Jobs page). No-op if it is already tracked.
+ * -> true when a new application was created
+ */
+export async function trackJob(uid, job) {
+  const ref = applicationRef(uid, job.id);
+  if ((await getDoc(ref)).exists()) return false;
+
+  await setDoc(ref, {
+    jobId: job.id,
+    title: job.title || "",
+    companyName: job.companyName || "",
+    companyKey: job.companyKey || null,
+    locationName: job.locationName || "",
+    url: job.absolute_url && job.absolute_url !== "#" ? job.absolute_url : null,
+    status: "interested",
+    // serverTimestamp() isn't allowed inside arrays, so history entries use the client clock
+    statusHistory: [{ status: "interested", at: Timestamp.now() }],
+    notes: "",
+    contacts: [],
+    nextAction: null,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return true;
+}
+
+export async function setApplicationStatus(uid, application, status) {
+  if (application.status === status) return;
+  await updateDoc(applicationRef(uid, application.id), {
+    status,
+    statusHistory: [...(application.statusHistory || []), { status, at: Timestamp.now() }],
+    updatedAt: serverTimestamp(),
+  });
+}
+
+// patch: any of notes, contacts, nextAction
+export async function updateApplication(uid, id, patch) {
+  await updateDoc(applicationRef(uid, id), { ...patch, updatedAt: serverTimestamp() });
+}
+
+export async function deleteApplication(uid, id) {
+  await deleteDoc(applicationRef(uid, id));
+}
+
+// nextAction reminder due (or overdue) by now
+export function isActionDue(application, now = Date.now()) {
+  const due = application.nextAction?.dueAt;
+  return !!due?.toMillis && due.toMillis() <= now;
+}
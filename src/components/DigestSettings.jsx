@@ -0,0 +1,243 @@
+// src/components/DigestSettings.jsx
+// Settings section for users/{uid}/settings/digest.
+// The sync queues new jobs and sends the email when due (see functions/lib/digest.js).
+
+import React, { useEffect, useState } from "react";
+import { doc, onSnapshot, serverTimestamp, setDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { functionUrl } from "../functionsApi";
+import { useToast } from "./Toast/ToastProvider.jsx";
+
+const FREQUENCIES = [
+  { id: "sync", label: "After every sync" },
+  { id: "hourly", label: "Hourly" },
+  { id: "daily", label: "Daily" },
+];
+
+const HOURS = Array.from({ length: 24 }, (_, h) => ({
+  value: h,
+  label: new Date(2000, 0, 1, h).toLocaleTimeString(undefined, { hour: "numeric" }),
+}));
+
+const DEFAULTS = {
+  enabled: false,
+  frequency: "daily",
+  dailyHour: 8,
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+  quietHours: null,
+  onlySavedSearches: false,
+};
+
+function newUnsubscribeToken() {
+  return crypto.randomUUID().replace(/-/g, "");
+}
+
+function fmtDateTime(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  return d ? d.toLocaleString() : null;
+}
+
+export default function DigestSettings({ user }) {
+  const { showToast } = useToast();
+
+  const [settings, setSettings] = useState(DEFAULTS);
+  // Server-written status (lastSentAt, lastError) and the saved token
+  const [status, setStatus] = useState({});
+  const [busySave, setBusySave] = useState(false);
+
+  useEffect(() => {
+    const ref = doc(db, "users", user.uid, "settings", "digest");
+    return onSnapshot(ref, (snap) => {
+      if (!snap.exists()) return;
+      const data = snap.data();
+      setSettings({
+        enabled: data.enabled === true,
+        frequency: FREQUENCIES.some((f) => f.id === data.frequency) ? data.frequency : DEFAULTS.frequency,
+        dailyHour: Number.isInteger(data.dailyHour) ? data.dailyHour : DEFAULTS.dailyHour,
+        timeZone: data.timeZone || DEFAULTS.timeZone,
+        quietHours: data.quietHours || null,
+        onlySavedSearches: data.onlySavedSearches === true,
+      });
+      setStatus({
+        unsubscribeToken: data.unsubscribeToken || null,
+        lastSentAt: data.lastSentAt || null,
+        lastSentCount: data.lastSentCount ?? null,
+        lastError: data.lastError || null,
+      });
+    });
+  }, [user.uid]);
+
+  const update = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+
+  async function save({ resetToken = false } = {}) {
+    setBusySave(true);
+    try {
+      await setDoc(
+        doc(db, "users", user.uid, "settings", "digest"),
+        {
+          ...settings,
+          unsubscribeToken: resetToken || !status.unsubscribeToken ? newUnsubscribeToken() : status.unsubscribeToken,
+          updatedAt: serverTimestamp(),
+        },
+        { merge: true }
+      );
+      showToast(resetToken ? "Unsubscribe link reset" : "Digest settings saved", "success");
+    } catch (err) {
+      console.error("Save digest settings error:", err);
+      showToast("Failed to save digest settings.", "error");
+    } finally {
+      setBusySave(false);
+    }
+  }
+
+  async function copyUnsubscribeLink() {
+    try {
+      await navigator.clipboard.writeText(unsubscribeLink);
+      showToast("Link copied", "info");
+    } catch {
+      showToast("Couldn't copy the link", "error");
+    }
+  }
+
+  const unsubscribeLink = status.unsubscribeToken
+    ? functionUrl("digestUnsubscribe", { uid: user.uid, token: status.unsubscribeToken })
+    : null;
+
+  return (
+    <div className="section-grid">
+      <div>
+        <h2 className="text-base font-semibold text-gray-900 uppercase tracking-widest text-[10px] font-black">Email Digest</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Get newly found jobs by email at {user.email || "your account address"}, grouped by company.
+        </p>
+        {status.lastSentAt && (
+          <p className="mt-3 text-xs text-gray-400">
+            Last sent {fmtDateTime(status.lastSentAt)}
+            {status.lastSentCount != null && ` (${status.lastSentCount} jobs)`}
+          </p>
+        )}
+        {status.lastError && <p className="mt-1 text-xs text-red-500">Last attempt failed: {status.lastError}</p>}
+      </div>
+
+      <div className="space-y-6 md:col-span-2">
+        <label className="flex items-center gap-3 text-sm font-semibold text-gray-900">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          Send me a digest of new jobs
+        </label>
+
+        <div className={`grid grid-cols-1 gap-6 sm:grid-cols-6 ${settings.enabled ? "" : "opacity-50 pointer-events-none"}`}>
+          <div className="sm:col-span-3">
+            <label className="block text-xs font-black uppercase tracking-widest text-gray-400">Frequency</label>
+            <select
+              value={settings.frequency}
+              onChange={(e) => update({ frequency: e.target.value })}
+              className="input-standard mt-2"
+            >
+              {FREQUENCIES.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {settings.frequency === "daily" && (
+            <div className="sm:col-span-3">
+              <label className="block text-xs font-black uppercase tracking-widest text-gray-400">Send at</label>
+              <select
+                value={settings.dailyHour}
+                onChange={(e) => update({ dailyHour: Number(e.target.value) })}
+                className="input-standard mt-2"
+              >
+                {HOURS.map((h) => (
+                  <option key={h.value} value={h.value}>
+                    {h.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="sm:col-span-6">
+            <label className="flex items-center gap-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={!!settings.quietHours}
+                onChange={(e) => update({ quietHours: e.target.checked ? { start: 22, end: 7 } : null })}
+              />
+              Quiet hours (digests wait until they end)
+            </label>
+            {settings.quietHours && (
+              <div className="mt-3 flex items-center gap-3">
+                <select
+                  value={settings.quietHours.start}
+                  onChange={(e) => update({ quietHours: { ...settings.quietHours, start: Number(e.target.value) } })}
+                  className="input-standard !w-32"
+                >
+                  {HOURS.map((h) => (
+                    <option key={h.value} value={h.value}>
+                      {h.label}
+                    </option>
+                  ))}
+                </select>
+                <span className="text-xs text-gray-400">to</span>
+                <select
+                  value={settings.quietHours.end}
+                  onChange={(e) => update({ quietHours: { ...settings.quietHours, end: Number(e.target.value) } })}
+                  className="input-standard !w-32"
+                >
+                  {HOURS.map((h) => (
+                    <option key={h.value} value={h.value}>
+                      {h.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <p className="mt-2 text-[11px] text-gray-400">Times are in {settings.timeZone}.</p>
+          </div>
+
+          <label className="sm:col-span-6 flex items-center gap-3 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.onlySavedSearches}
+              onChange={(e) => update({ onlySavedSearches: e.target.checked })}
+            />
+            Only include jobs that match one of my saved searches
+          </label>
+        </div>
+
+        {unsubscribeLink && (
+          <div className="rounded-xl bg-gray-50 ring-1 ring-gray-100 p-4">
+            <p className="text-[10px] font-black uppercase tracking-widest text-gray-400">Unsubscribe link</p>
+            <p className="mt-1 break-all font-mono text-[11px] text-gray-600">{unsubscribeLink}</p>
+            <div className="mt-2 flex gap-4">
+              <button type="button" onClick={copyUnsubscribeLink} className="text-xs font-bold text-indigo-600 hover:underline">
+                Copy
+              </button>
+              <button
+                type="button"
+                onClick={() => save({ resetToken: true })}
+                disabled={busySave}
+                className="text-xs font-bold text-gray-500 hover:underline disabled:opacity-50"
+              >
+                Reset (old links stop working)
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={() => save()}
+            disabled={busySave}
+            className="btn-primary min-w-[160px] uppercase tracking-widest text-[11px] font-black"
+          >
+            {busySave ? "Saving..." : "Save Digest"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,411 @@
+// src/components/LocationPreferences.jsx
+// Settings section for users/{uid}/settings/locationPrefs.
+// The sync function applies these rules before writing jobs (see functions/lib/locationPrefs.js).
+
+import React, { useEffect, useMemo, useState } from "react";
+import { doc, onSnapshot, serverTimestamp, setDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { authHeaders, functionUrl } from "../functionsApi";
+import { useToast } from "./Toast/ToastProvider.jsx";
+import { AddButton, ChipList } from "./RuleChips.jsx";
+// Shared with the sync backend
+import GAZETTEER from "../../functions/lib/gazetteer.json";
+
+const EMPTY_SIDE = { countries: [], regions: [], metros: [], remote: [] };
+
+// Same default the backend uses when no prefs doc exists
+const DEFAULT_PREFS = {
+  include: { ...EMPTY_SIDE, countries: ["US"], remote: ["us"] },
+  exclude: { ...EMPTY_SIDE },
+};
+
+const COUNTRY_NAME = Object.fromEntries(GAZETTEER.countries.map((c) => [c.code, c.name]));
+const REGION_NAME = Object.fromEntries(GAZETTEER.regions.map((r) => [r.code, r.name]));
+const REMOTE_LABEL = Object.fromEntries(GAZETTEER.remoteScopes.map((s) => [s.id, s.label]));
+
+function withSideDefaults(side) {
+  return {
+    countries: Array.isArray(side?.countries) ? side.countries : [],
+    regions: Array.isArray(side?.regions) ? side.regions : [],
+    metros: Array.isArray(side?.metros) ? side.metros : [],
+    remote: Array.isArray(side?.remote) ? side.remote : [],
+  };
+}
+
+function ruleId(side, kind, value) {
+  return `${side}:${kind}:${value}`;
+}
+
+export default function LocationPreferences({ user, userMeta }) {
+  const { showToast } = useToast();
+
+  const [prefs, setPrefs] = useState(DEFAULT_PREFS);
+  const [hasSavedDoc, setHasSavedDoc] = useState(false);
+  const [busySave, setBusySave] = useState(false);
+  const [busyPreview, setBusyPreview] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    const ref = doc(db, "users", user.uid, "settings", "locationPrefs");
+    return onSnapshot(ref, (snap) => {
+      setHasSavedDoc(snap.exists());
+      if (!snap.exists()) return;
+      const data = snap.data();
+      setPrefs({ include: withSideDefaults(data.include), exclude: withSideDefaults(data.exclude) });
+    });
+  }, [user.uid]);
+
+  const previewCounts = useMemo(
+    () => new Map((preview?.rules || []).map((r) => [r.id, r.count])),
+    [preview]
+  );
+
+  function updateSide(side, patch) {
+    setPrefs((prev) => ({ ...prev, [side]: { ...prev[side], ...patch } }));
+    setPreview(null);
+  }
+
+  function addValue(side, key, value) {
+    if (!value) return;
+    const list = prefs[side][key];
+    if (list.includes(value)) return;
+    updateSide(side, { [key]: [...list, value] });
+  }
+
+  function removeValue(side, key, value) {
+    updateSide(side, { [key]: prefs[side][key].filter((v) => v !== value) });
+  }
+
+  function toggleRemote(side, scope) {
+    const list = prefs[side].remote;
+    updateSide(side, { remote: list.includes(scope) ? list.filter((s) => s !== scope) : [...list, scope] });
+  }
+
+  function addMetro(side, name, aliasesRaw) {
+    const cleanName = name.trim();
+    if (!cleanName) return false;
+    if (prefs[side].metros.some((m) => m.name.toLowerCase() === cleanName.toLowerCase())) {
+      showToast("That metro is already in the list.", "error");
+      return false;
+    }
+    const aliases = aliasesRaw
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean);
+    updateSide(side, { metros: [...prefs[side].metros, { name: cleanName, aliases }] });
+    return true;
+  }
+
+  function removeMetro(side, name) {
+    updateSide(side, { metros: prefs[side].metros.filter((m) => m.name !== name) });
+  }
+
+  // Seed include rules from the country / state saved in Personal Information
+  function seedFromProfile() {
+    const country = GAZETTEER.countries.find(
+      (c) => c.name.toLowerCase() === String(userMeta?.country || "").toLowerCase()
+    );
+    const regionRaw = String(userMeta?.region || "").trim().toLowerCase();
+    const region = GAZETTEER.regions.find(
+      (r) =>
+        (!country || r.country === country.code) &&
+        (r.name.toLowerCase() === regionRaw || r.abbr.toLowerCase() === regionRaw)
+    );
+
+    if (!country && !region) {
+      showToast("Add a country or state to your profile first.", "error");
+      return;
+    }
+
+    setPrefs((prev) => ({
+      ...prev,
+      include: {
+        ...prev.include,
+        countries: country && !prev.include.countries.includes(country.code)
+          ? [...prev.include.countries, country.code]
+          : prev.include.countries,
+        regions: region && !prev.include.regions.includes(region.code)
+          ? [...prev.include.regions, region.code]
+          : prev.include.regions,
+      },
+    }));
+    setPreview(null);
+  }
+
+  async function savePrefs() {
+    setBusySave(true);
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "locationPrefs"), {
+        include: prefs.include,
+        exclude: prefs.exclude,
+        updatedAt: serverTimestamp(),
+      });
+      showToast("Location preferences saved", "success");
+    } catch (err) {
+      console.error("Save location prefs error:", err);
+      showToast("Failed to save location preferences.", "error");
+    } finally {
+      setBusySave(false);
+    }
+  }
+
+  async function runPreview() {
+    setBusyPreview(true);
+    try {
+      const resp = await fetch(functionUrl("previewLocationPrefs", { userId: user.uid }), {
+        method: "POST",
+        headers: await authHeaders(user, { "content-type": "application/json" }),
+        body: JSON.stringify({ prefs }),
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        showToast(data?.error || "Preview failed (HTTP error).", "error");
+        return;
+      }
+      setPreview(data);
+    } catch (e) {
+      console.error(e);
+      showToast(e?.message || "Preview failed.", "error");
+    } finally {
+      setBusyPreview(false);
+    }
+  }
+
+  return (
+    <div className="section-grid">
+      <div>
+        <h2 className="text-[10px] font-black uppercase tracking-widest text-gray-400">Location Preferences</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Jobs are only saved when one of their locations matches an include rule and none of the exclude rules.
+        </p>
+        {!hasSavedDoc && (
+          <p className="mt-2 text-[11px] text-gray-400">
+            Not saved yet — syncs use the default (United States + Remote US).
+          </p>
+        )}
+
+        <div className="mt-6 flex flex-col gap-3">
+          <button
+            type="button"
+            onClick={seedFromProfile}
+            className="btn-secondary w-full sm:w-auto uppercase tracking-widest text-[11px] font-black"
+          >
+            Start from my profile
+          </button>
+          <button
+            type="button"
+            onClick={runPreview}
+            disabled={busyPreview}
+            className="btn-secondary w-full sm:w-auto uppercase tracking-widest text-[11px] font-black"
+          >
+            {busyPreview ? "Previewing..." : "Preview matches"}
+          </button>
+        </div>
+
+        {preview ? (
+          <div className="mt-4 rounded-xl ring-1 ring-gray-200 bg-white p-4">
+            <div className="text-[10px] font-black uppercase tracking-widest text-gray-500">
+              Last {preview.lookbackHours}h across {preview.feedsCount} feeds
+            </div>
+            <div className="mt-2 text-sm font-bold text-gray-900">
+              {Number(preview.kept || 0).toLocaleString()} of{" "}
+              {Number(preview.jobsConsidered || 0).toLocaleString()} jobs kept
+            </div>
+            {preview.failedFeeds > 0 && (
+              <div className="mt-1 text-[11px] text-amber-600">{preview.failedFeeds} feeds could not be fetched.</div>
+            )}
+          </div>
+        ) : null}
+      </div>
+
+      <div className="md:col-span-2 space-y-8">
+        {["include", "exclude"].map((side) => (
+          <RuleSide
+            key={side}
+            side={side}
+            rules={prefs[side]}
+            previewCounts={preview ? previewCounts : null}
+            onAdd={(key, value) => addValue(side, key, value)}
+            onRemove={(key, value) => removeValue(side, key, value)}
+            onToggleRemote={(scope) => toggleRemote(side, scope)}
+            onAddMetro={(name, aliases) => addMetro(side, name, aliases)}
+            onRemoveMetro={(name) => removeMetro(side, name)}
+          />
+        ))}
+
+        <div className="flex items-center justify-end">
+          <button
+            type="button"
+            onClick={savePrefs}
+            disabled={busySave}
+            className="btn-primary min-w-[160px] uppercase tracking-widest text-[11px] font-black"
+          >
+            {busySave ? "Saving..." : "Save Locations"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RuleSide({ side, rules, previewCounts, onAdd, onRemove, onToggleRemote, onAddMetro, onRemoveMetro }) {
+  const [country, setCountry] = useState("");
+  const [region, setRegion] = useState("");
+  const [metroName, setMetroName] = useState("");
+  const [metroAliases, setMetroAliases] = useState("");
+
+  const isInclude = side === "include";
+  const countFor = (kind, value) => (previewCounts ? previewCounts.get(ruleId(side, kind, value)) ?? 0 : null);
+
+  return (
+    <div className="bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+      <div
+        className={`px-6 py-4 border-b ${
+          isInclude ? "bg-indigo-50/60 border-indigo-100" : "bg-gray-50/80 border-gray-200"
+        }`}
+      >
+        <h3
+          className={`text-[10px] font-black uppercase tracking-widest ${
+            isInclude ? "text-indigo-900" : "text-gray-600"
+          }`}
+        >
+          {isInclude ? "Include" : "Exclude"}
+        </h3>
+        <p className={`text-[11px] mt-1 ${isInclude ? "text-indigo-700" : "text-gray-500"}`}>
+          {isInclude
+            ? "Keep jobs located in any of these. Leave empty to keep every location."
+            : "Drop locations matching any of these, even when an include rule matches."}
+        </p>
+      </div>
+
+      <div className="px-6 py-5 space-y-6">
+        {/* Countries */}
+        <div>
+          <label className="block text-xs font-black uppercase tracking-widest text-gray-400">Countries</label>
+          <div className="mt-2 flex gap-2">
+            <select value={country} onChange={(e) => setCountry(e.target.value)} className="input-standard">
+              <option value="">Select a country…</option>
+              {GAZETTEER.countries.map((c) => (
+                <option key={c.code} value={c.code}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+            <AddButton
+              onClick={() => {
+                onAdd("countries", country);
+                setCountry("");
+              }}
+            />
+          </div>
+          <ChipList
+            items={rules.countries.map((code) => ({
+              key: code,
+              label: COUNTRY_NAME[code] || code,
+              count: countFor("country", code),
+            }))}
+            onRemove={(code) => onRemove("countries", code)}
+          />
+        </div>
+
+        {/* States / provinces */}
+        <div>
+          <label className="block text-xs font-black uppercase tracking-widest text-gray-400">
+            States / Provinces
+          </label>
+          <div className="mt-2 flex gap-2">
+            <select value={region} onChange={(e) => setRegion(e.target.value)} className="input-standard">
+              <option value="">Select a state or province…</option>
+              {["US", "CA"].map((cc) => (
+                <optgroup key={cc} label={COUNTRY_NAME[cc]}>
+                  {GAZETTEER.regions
+                    .filter((r) => r.country === cc)
+                    .map((r) => (
+                      <option key={r.code} value={r.code}>
+                        {r.name} ({r.abbr})
+                      </option>
+                    ))}
+                </optgroup>
+              ))}
+            </select>
+            <AddButton
+              onClick={() => {
+                onAdd("regions", region);
+                setRegion("");
+              }}
+            />
+          </div>
+          <ChipList
+            items={rules.regions.map((code) => ({
+              key: code,
+              label: REGION_NAME[code] || code,
+              count: countFor("region", code),
+            }))}
+            onRemove={(code) => onRemove("regions", code)}
+          />
+        </div>
+
+        {/* Metros */}
+        <div>
+          <label className="block text-xs font-black uppercase tracking-widest text-gray-400">Metros</label>
+          <div className="mt-2 grid grid-cols-1 gap-2 sm:grid-cols-6">
+            <input
+              value={metroName}
+              onChange={(e) => setMetroName(e.target.value)}
+              className="input-standard sm:col-span-2"
+              placeholder="e.g. Bay Area"
+            />
+            <input
+              value={metroAliases}
+              onChange={(e) => setMetroAliases(e.target.value)}
+              className="input-standard sm:col-span-3"
+              placeholder="Aliases, comma separated (San Francisco, Oakland, San Jose)"
+            />
+            <AddButton
+              onClick={() => {
+                if (onAddMetro(metroName, metroAliases)) {
+                  setMetroName("");
+                  setMetroAliases("");
+                }
+              }}
+            />
+          </div>
+          <ChipList
+            items={rules.metros.map((m) => ({
+              key: m.name,
+              label: m.aliases?.length ? `${m.name} (${m.aliases.join(", ")})` : m.name,
+              count: countFor("metro", m.name),
+            }))}
+            onRemove={onRemoveMetro}
+          />
+        </div>
+
+        {/* Remote */}
+        <div>
+          <label className="block text-xs font-black uppercase tracking-widest text-gray-400">Remote</label>
+          <div className="mt-2 flex flex-wrap gap-2">
+            {GAZETTEER.remoteScopes.map((s) => {
+              const active = rules.remote.includes(s.id);
+              const count = countFor("remote", s.id);
+              return (
+                <button
+                  key={s.id}
+                  type="button"
+                  onClick={() => onToggleRemote(s.id)}
+                  className={`px-4 py-2 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
+                    active
+                      ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
+                      : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                  }`}
+                >
+                  {REMOTE_LABEL[s.id]}
+                  {active && count != null ? <span className="ml-1.5 opacity-75">{count}</span> : null}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
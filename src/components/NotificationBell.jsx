@@ -0,0 +1,202 @@
+// src/components/NotificationBell.jsx
+// TopBar notification center for users/{uid}/notifications (written by the sync:
+// new jobs on high-priority feeds, feed failures, finished syncs). Read state lives in Firestore.
+
+import React, { useEffect, useRef, useState } from "react";
+import { collection, limit, onSnapshot, orderBy, query } from "firebase/firestore";
+import { AnimatePresence, motion } from "framer-motion";
+import { useNavigate } from "react-router-dom";
+import { db } from "../firebase";
+import {
+  disablePush,
+  enablePush,
+  markAllNotificationsRead,
+  markNotificationRead,
+  onForegroundPush,
+  pushSupported,
+} from "../notifications";
+import { useToast } from "./Toast/ToastProvider.jsx";
+
+const RECENT_NOTIFICATIONS = 30;
+
+const TYPE_STYLES = {
+  new_jobs: "bg-emerald-500",
+  feed_failure: "bg-red-500",
+  sync: "bg-indigo-400",
+};
+
+function fmtSince(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  if (!d) return "";
+  const mins = Math.floor((Date.now() - d.getTime()) / (1000 * 60));
+  const hours = Math.floor(mins / 60);
+  const days = Math.floor(hours / 24);
+  if (days > 0) return `${days}d ago`;
+  if (hours > 0) return `${hours}h ago`;
+  if (mins > 0) return `${mins}m ago`;
+  return "just now";
+}
+
+export default function NotificationBell({ user }) {
+  const { showToast } = useToast();
+  const navigate = useNavigate();
+
+  const [items, setItems] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [canPush, setCanPush] = useState(false);
+  const [pushOn, setPushOn] = useState(false);
+  const [busyPush, setBusyPush] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    const q = query(
+      collection(db, "users", user.uid, "notifications"),
+      orderBy("createdAt", "desc"),
+      limit(RECENT_NOTIFICATIONS)
+    );
+    return onSnapshot(q, (snap) => setItems(snap.docs.map((d) => ({ id: d.id, ...d.data() }))));
+  }, [user.uid]);
+
+  useEffect(() => {
+    let unsubscribe = () => {};
+    let cancelled = false;
+    pushSupported().then(async (ok) => {
+      if (cancelled) return;
+      setCanPush(ok);
+      setPushOn(ok && Notification.permission === "granted");
+      // The snapshot above already adds the item; a toast makes it noticeable
+      const unsub = await onForegroundPush((data) => showToast(data.title || "New notification", "info"));
+      if (cancelled) unsub();
+      else unsubscribe = unsub;
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [showToast]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const unread = items.filter((n) => !n.read).length;
+
+  async function openItem(n) {
+    setOpen(false);
+    if (!n.read) markNotificationRead(user.uid, n.id).catch((err) => console.error("Mark read error:", err));
+    if (n.path) navigate(n.path);
+  }
+
+  async function markAll() {
+    try {
+      await markAllNotificationsRead(user.uid, items);
+    } catch (err) {
+      console.error("Mark all read error:", err);
+      showToast("Failed to update notifications.", "error");
+    }
+  }
+
+  async function togglePush() {
+    setBusyPush(true);
+    try {
+      if (pushOn) {
+        await disablePush(user.uid);
+        setPushOn(false);
+        showToast("Push notifications off for this browser", "info");
+      } else {
+        await enablePush(user.uid);
+        setPushOn(true);
+        showToast("Push notifications on for this browser", "success");
+      }
+    } catch (err) {
+      console.error("Push toggle error:", err);
+      showToast(err.message || "Couldn't change push notifications.", "error");
+    } finally {
+      setBusyPush(false);
+    }
+  }
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="relative p-2 text-gray-400 hover:text-indigo-600 transition-colors"
+        aria-label={unread ? `${unread} unread notifications` : "Notifications"}
+      >
+        <svg className="size-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.8">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            d="M14.857 17.082a23.848 23.848 0 0 0 5.454-1.31A8.967 8.967 0 0 1 18 9.75V9A6 6 0 0 0 6 9v.75a8.967 8.967 0 0 1-2.312 6.022c1.733.64 3.56 1.085 5.455 1.31m5.714 0a24.255 24.255 0 0 1-5.714 0m5.714 0a3 3 0 1 1-5.714 0"
+          />
+        </svg>
+        {unread > 0 && (
+          <span className="absolute top-1 right-1 min-w-[16px] rounded-full bg-indigo-600 px-1 text-[9px] font-black leading-4 text-white">
+            {unread > 9 ? "9+" : unread}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-80 overflow-hidden rounded-xl bg-white shadow-lg ring-1 ring-gray-200"
+          >
+            <div className="flex items-center justify-between border-b border-gray-100 px-4 py-3">
+              <h3 className="text-[10px] font-black uppercase tracking-widest text-gray-400">Notifications</h3>
+              {unread > 0 && (
+                <button type="button" onClick={markAll} className="text-[11px] font-bold text-indigo-600 hover:underline">
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            <ul className="max-h-96 divide-y divide-gray-100 overflow-y-auto">
+              {items.map((n) => (
+                <li key={n.id}>
+                  <button
+                    type="button"
+                    onClick={() => openItem(n)}
+                    className={`flex w-full gap-3 px-4 py-3 text-left hover:bg-gray-50 ${n.read ? "" : "bg-indigo-50/40"}`}
+                  >
+                    <span className={`mt-1.5 h-2 w-2 flex-shrink-0 rounded-full ${n.read ? "bg-gray-200" : TYPE_STYLES[n.type] || "bg-gray-400"}`} />
+                    <span className="min-w-0">
+                      <span className={`block text-sm ${n.read ? "text-gray-600" : "font-semibold text-gray-900"}`}>{n.title}</span>
+                      {n.body && <span className="mt-0.5 block text-xs text-gray-500 line-clamp-2">{n.body}</span>}
+                      <span className="mt-1 block text-[10px] text-gray-400">{fmtSince(n.createdAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+              {items.length === 0 && <li className="px-4 py-8 text-center text-xs text-gray-400 italic">Nothing yet.</li>}
+            </ul>
+
+            {canPush && (
+              <div className="border-t border-gray-100 px-4 py-3">
+                <button
+                  type="button"
+                  onClick={togglePush}
+                  disabled={busyPush}
+                  className="text-[11px] font-bold text-gray-500 hover:text-indigo-600 disabled:opacity-50"
+                >
+                  {pushOn ? "Turn off push on this browser" : "Get push alerts for priority companies"}
+                </button>
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
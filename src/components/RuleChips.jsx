@@ -0,0 +1,45 @@
+// src/components/RuleChips.jsx
+// Add button + removable chip list shared by the Settings rule editors.
+
+import React from "react";
+
+export function AddButton({ onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className="btn-secondary uppercase tracking-widest text-[11px] font-black whitespace-nowrap"
+    >
+      Add
+    </button>
+  );
+}
+
+export function ChipList({ items, onRemove }) {
+  if (items.length === 0) return null;
+  return (
+    <div className="mt-3 flex flex-wrap gap-2">
+      {items.map((item) => (
+        <span
+          key={item.key}
+          className="inline-flex items-center gap-2 rounded-full bg-gray-100 px-3 py-1 text-xs font-semibold text-gray-700"
+        >
+          {item.label}
+          {item.count != null && (
+            <span className="rounded-full bg-white px-1.5 text-[10px] font-black text-indigo-600">
+              {item.count.toLocaleString()}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={() => onRemove(item.key)}
+            className="text-gray-400 hover:text-red-500"
+            aria-label={`Remove ${item.label}`}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
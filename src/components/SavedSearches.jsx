@@ -0,0 +1,168 @@
+// src/components/SavedSearches.jsx
+// Jobs page sidebar for users/{uid}/savedSearches.
+// Sync adds new matches to newMatchCount (see functions/lib/savedSearches.js);
+// opening a search applies its filters and marks those matches seen.
+
+import React, { useEffect, useState } from "react";
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { useToast } from "./Toast/ToastProvider.jsx";
+
+function describeFilters(f) {
+  const parts = [];
+  if (f.titleSearch) parts.push(`“${f.titleSearch}”`);
+  if (f.companyKeys?.length) parts.push(`${f.companyKeys.length} compan${f.companyKeys.length === 1 ? "y" : "ies"}`);
+  if (f.stateCode) parts.push(f.stateCode);
+  if (f.workMode && f.workMode !== "all") parts.push(f.workMode === "remote" ? "Remote" : "On-site");
+  parts.push(f.timeframe === "all" ? "All time" : `Last ${f.timeframe}`);
+  return parts.join(" · ");
+}
+
+// Stable comparison key (field order and defaults don't matter)
+function filtersKey(f) {
+  return JSON.stringify([
+    f.timeframe || "",
+    [...(f.companyKeys || [])].sort(),
+    f.stateCode || "",
+    f.workMode || "all",
+    (f.titleSearch || "").trim().toLowerCase(),
+  ]);
+}
+
+export default function SavedSearches({ user, currentFilters, onOpen }) {
+  const { showToast } = useToast();
+
+  const [searches, setSearches] = useState([]);
+  const [name, setName] = useState("");
+  const [busySave, setBusySave] = useState(false);
+
+  const currentKey = filtersKey(currentFilters);
+
+  useEffect(() => {
+    const q = query(collection(db, "users", user.uid, "savedSearches"), orderBy("createdAt", "asc"));
+    return onSnapshot(q, (snap) => setSearches(snap.docs.map((d) => ({ id: d.id, ...d.data() }))));
+  }, [user.uid]);
+
+  async function saveCurrent(e) {
+    e.preventDefault();
+    const clean = name.trim();
+    if (!clean) {
+      showToast("Name the search first", "error");
+      return;
+    }
+
+    setBusySave(true);
+    try {
+      await addDoc(collection(db, "users", user.uid, "savedSearches"), {
+        name: clean,
+        filters: currentFilters,
+        newMatchCount: 0,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        lastSeenAt: serverTimestamp(),
+      });
+      setName("");
+      showToast(`Saved “${clean}”`, "success");
+    } catch (err) {
+      console.error("Save search error:", err);
+      showToast("Failed to save search.", "error");
+    } finally {
+      setBusySave(false);
+    }
+  }
+
+  async function openSearch(search) {
+    onOpen(search);
+    if (!search.newMatchCount) return;
+    try {
+      await updateDoc(doc(db, "users", user.uid, "savedSearches", search.id), {
+        newMatchCount: 0,
+        lastSeenAt: serverTimestamp(),
+      });
+    } catch (err) {
+      console.error("Mark search seen error:", err);
+    }
+  }
+
+  async function removeSearch(search) {
+    try {
+      await deleteDoc(doc(db, "users", user.uid, "savedSearches", search.id));
+      showToast(`Removed “${search.name}”`, "info");
+    } catch (err) {
+      console.error("Delete search error:", err);
+      showToast("Failed to remove search.", "error");
+    }
+  }
+
+  return (
+    <div className="bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+      <div className="px-4 py-3 border-b border-gray-100">
+        <h2 className="text-[10px] font-black uppercase tracking-widest text-gray-400">Saved Searches</h2>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {searches.map((s) => (
+          <li
+            key={s.id}
+            className={`group flex items-start gap-2 px-4 py-3 transition-colors ${
+              filtersKey(s.filters || {}) === currentKey ? "bg-indigo-50/60" : "hover:bg-gray-50"
+            }`}
+          >
+            <button type="button" onClick={() => openSearch(s)} className="min-w-0 flex-1 text-left">
+              <div className="flex items-center gap-2">
+                <span className="truncate text-sm font-semibold text-gray-900">{s.name}</span>
+                {s.newMatchCount > 0 && (
+                  <span className="flex-shrink-0 rounded-full bg-indigo-600 px-1.5 text-[10px] font-black text-white">
+                    {s.newMatchCount > 99 ? "99+" : s.newMatchCount}
+                  </span>
+                )}
+              </div>
+              <p className="mt-0.5 truncate text-[11px] text-gray-400">{describeFilters(s.filters || {})}</p>
+            </button>
+            <button
+              type="button"
+              onClick={() => removeSearch(s)}
+              className="text-xs text-gray-300 opacity-0 group-hover:opacity-100 hover:text-red-500"
+              aria-label={`Remove ${s.name}`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+
+        {searches.length === 0 && (
+          <li className="px-4 py-6 text-center text-xs text-gray-400 italic">
+            Save a filter combination to get new-match counts after each sync.
+          </li>
+        )}
+      </ul>
+
+      <form onSubmit={saveCurrent} className="flex gap-2 border-t border-gray-100 p-3">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="input-standard !h-9 text-xs"
+          placeholder="Name current filters"
+          maxLength={80}
+        />
+        <button
+          type="submit"
+          disabled={busySave}
+          className="btn-secondary uppercase tracking-widest text-[10px] font-black whitespace-nowrap disabled:opacity-50"
+        >
+          Save
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+// src/components/TitleRules.jsx
+// Settings section for users/{uid}/settings/titleRules.
+// The sync function applies these rules before writing jobs (see functions/lib/titleRules.js).
+
+import React, { useEffect, useState } from "react";
+import { doc, onSnapshot, serverTimestamp, setDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { useToast } from "./Toast/ToastProvider.jsx";
+import { AddButton, ChipList } from "./RuleChips.jsx";
+// Shared with the sync backend
+import SENIORITY_LEVELS from "../../functions/lib/seniorityLevels.json";
+
+const EMPTY_INCLUDE = { keywords: [], phrases: [], regex: [], departments: [], teams: [] };
+const EMPTY_EXCLUDE = { ...EMPTY_INCLUDE, seniority: [] };
+
+const TEXT_KINDS = [
+  { key: "keywords", label: "Keywords", placeholder: "e.g. engineer" },
+  { key: "phrases", label: "Phrases", placeholder: "e.g. machine learning" },
+  { key: "regex", label: "Regex", placeholder: "e.g. ^(backend|platform)\\b" },
+  { key: "departments", label: "Departments", placeholder: "e.g. Engineering" },
+  { key: "teams", label: "Teams", placeholder: "e.g. Infrastructure" },
+];
+
+function withSideDefaults(side, empty) {
+  return Object.fromEntries(
+    Object.keys(empty).map((key) => [key, Array.isArray(side?.[key]) ? side[key] : []])
+  );
+}
+
+const MAX_REGEX_LENGTH = 200;
+
+// Mirrors quantifierAt / unsafeRegexReason in functions/lib/titleRules.js: patterns that
+// can backtrack exponentially are skipped by the sync, so they're refused here first
+function quantifierAt(source, i) {
+  const ch = source[i];
+  if (ch === "*" || ch === "+") return { end: i, repeats: true, multiplies: true };
+  if (ch === "?") return { end: i, repeats: false, multiplies: false };
+  const m = ch === "{" ? source.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+  if (!m) return null;
+  const min = Number(m[1]);
+  const max = m[2] ? (m[3] === "" ? Infinity : Number(m[3])) : min;
+  return { end: i + m[0].length - 1, repeats: max > min, multiplies: max > 1 };
+}
+
+function unsafeRegexReason(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `Patterns are limited to ${MAX_REGEX_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(source)) return "Backreferences aren't supported";
+
+  const groups = [{ repeats: false, alternates: false }];
+  let lastGroup = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const quantifier = quantifierAt(source, i);
+
+    if (quantifier) {
+      if (quantifier.multiplies && lastGroup && (lastGroup.repeats || lastGroup.alternates)) {
+        return lastGroup.repeats
+          ? "Nested quantifiers like (a+)+ can take exponential time"
+          : "Repeated alternations like (a|ab)* can take exponential time";
+      }
+      if (quantifier.repeats) groups[groups.length - 1].repeats = true;
+      i = quantifier.end;
+      if (source[i + 1] === "?") i += 1;
+      lastGroup = null;
+    } else if (ch === "\\") {
+      i += 1;
+      lastGroup = null;
+    } else if (ch === "[") {
+      i += source[i + 1] === "^" ? 2 : 1;
+      if (source[i] === "]") i += 1;
+      while (i < source.length && source[i] !== "]") i += source[i] === "\\" ? 2 : 1;
+      lastGroup = null;
+    } else if (ch === "(") {
+      groups.push({ repeats: false, alternates: false });
+      lastGroup = null;
+    } else if (ch === ")" && groups.length > 1) {
+      lastGroup = groups.pop();
+      // Whatever a nested group does, its parent does too: ((a|a))* is (a|a)*
+      const parent = groups[groups.length - 1];
+      if (lastGroup.repeats) parent.repeats = true;
+      if (lastGroup.alternates) parent.alternates = true;
+    } else if (ch === "|") {
+      groups[groups.length - 1].alternates = true;
+      lastGroup = null;
+    } else {
+      lastGroup = null;
+    }
+  }
+  return null;
+}
+
+// Mirrors the backend, which skips invalid or unsafe patterns instead of failing the sync
+function regexError(source) {
+  const unsafe = unsafeRegexReason(source);
+  if (unsafe) return unsafe;
+  try {
+    new RegExp(source, "i");
+    return null;
+  } catch (e) {
+    return e?.message || "Invalid regular expression";
+  }
+}
+
+export default function TitleRules({ user }) {
+  const { showToast } = useToast();
+
+  const [rules, setRules] = useState({ include: EMPTY_INCLUDE, exclude: EMPTY_EXCLUDE });
+  const [hasSavedDoc, setHasSavedDoc] = useState(false);
+  const [busySave, setBusySave] = useState(false);
+
+  useEffect(() => {
+    const ref = doc(db, "users", user.uid, "settings", "titleRules");
+    return onSnapshot(ref, (snap) => {
+      setHasSavedDoc(snap.exists());
+      if (!snap.exists()) return;
+      const data = snap.data();
+      setRules({
+        include: withSideDefaults(data.include, EMPTY_INCLUDE),
+        exclude: withSideDefaults(data.exclude, EMPTY_EXCLUDE),
+      });
+    });
+  }, [user.uid]);
+
+  function addValue(side, key, raw) {
+    const value = String(raw || "").trim();
+    if (!value) return false;
+    if (key === "regex") {
+      const err = regexError(value);
+      if (err) {
+        showToast(err, "error");
+        return false;
+      }
+    }
+    const list = rules[side][key];
+    if (list.some((v) => v.toLowerCase() === value.toLowerCase())) return true;
+    setRules((prev) => ({ ...prev, [side]: { ...prev[side], [key]: [...list, value] } }));
+    return true;
+  }
+
+  function removeValue(side, key, value) {
+    setRules((prev) => ({ ...prev, [side]: { ...prev[side], [key]: prev[side][key].filter((v) => v !== value) } }));
+  }
+
+  function toggleSeniority(level) {
+    const list = rules.exclude.seniority;
+    setRules((prev) => ({
+      ...prev,
+      exclude: {
+        ...prev.exclude,
+        seniority: list.includes(level) ? list.filter((l) => l !== level) : [...list, level],
+      },
+    }));
+  }
+
+  async function saveRules() {
+    // Rules saved before the safety check existed can still hold a bad pattern
+    const invalid = [...rules.include.regex, ...rules.exclude.regex].find((r) => regexError(r));
+    if (invalid) {
+      showToast(`Remove the regex "${invalid}": ${regexError(invalid)}`, "error");
+      return;
+    }
+
+    setBusySave(true);
+    try {
+      await setDoc(doc(db, "users", user.uid, "settings", "titleRules"), {
+        include: rules.include,
+        exclude: rules.exclude,
+        updatedAt: serverTimestamp(),
+      });
+      showToast("Title rules saved", "success");
+    } catch (err) {
+      console.error("Save title rules error:", err);
+      showToast("Failed to save title rules.", "error");
+    } finally {
+      setBusySave(false);
+    }
+  }
+
+  return (
+    <div className="section-grid">
+      <div>
+        <h2 className="text-[10px] font-black uppercase tracking-widest text-gray-400">Title Rules</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Checked during sync, before jobs are saved. A job needs to match an include rule (when there are any) and
+          none of the exclude rules.
+        </p>
+        <p className="mt-2 text-[11px] text-gray-400">
+          Keywords and phrases match whole words in the title. Department / team rules only apply to sources that
+          report them. Dropped jobs show up as "Filtered" in History.
+        </p>
+        {!hasSavedDoc && (
+          <p className="mt-2 text-[11px] text-gray-400">Not saved yet — every title is kept.</p>
+        )}
+      </div>
+
+      <div className="md:col-span-2 space-y-8">
+        {["include", "exclude"].map((side) => (
+          <TitleRuleSide
+            key={side}
+            side={side}
+            rules={rules[side]}
+            onAdd={(key, value) => addValue(side, key, value)}
+            onRemove={(key, value) => removeValue(side, key, value)}
+            onToggleSeniority={toggleSeniority}
+          />
+        ))}
+
+        <div className="flex items-center justify-end">
+          <button
+            type="button"
+            onClick={saveRules}
+            disabled={busySave}
+            className="btn-primary min-w-[160px] uppercase tracking-widest text-[11px] font-black"
+          >
+            {busySave ? "Saving..." : "Save Title Rules"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TitleRuleSide({ side, rules, onAdd, onRemove, onToggleSeniority }) {
+  const [drafts, setDrafts] = useState({});
+  const isInclude = side === "include";
+
+  return (
+    <div className="bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+      <div
+        className={`px-6 py-4 border-b ${
+          isInclude ? "bg-indigo-50/60 border-indigo-100" : "bg-gray-50/80 border-gray-200"
+        }`}
+      >
+        <h3
+          className={`text-[10px] font-black uppercase tracking-widest ${
+            isInclude ? "text-indigo-900" : "text-gray-600"
+          }`}
+        >
+          {isInclude ? "Include" : "Exclude"}
+        </h3>
+        <p className={`text-[11px] mt-1 ${isInclude ? "text-indigo-700" : "text-gray-500"}`}>
+          {isInclude
+            ? "Keep jobs whose title matches any of these. Leave empty to keep every title."
+            : "Drop jobs matching any of these, even when an include rule matches."}
+        </p>
+      </div>
+
+      <div className="px-6 py-5 space-y-6">
+        {TEXT_KINDS.map((kind) => (
+          <div key={kind.key}>
+            <label className="block text-xs font-black uppercase tracking-widest text-gray-400">{kind.label}</label>
+            <form
+              className="mt-2 flex gap-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (onAdd(kind.key, drafts[kind.key])) setDrafts((prev) => ({ ...prev, [kind.key]: "" }));
+              }}
+            >
+              <input
+                value={drafts[kind.key] || ""}
+                onChange={(e) => setDrafts((prev) => ({ ...prev, [kind.key]: e.target.value }))}
+                className={`input-standard ${kind.key === "regex" ? "font-mono" : ""}`}
+                placeholder={kind.placeholder}
+              />
+              <AddButton
+                onClick={() => {
+                  if (onAdd(kind.key, drafts[kind.key])) setDrafts((prev) => ({ ...prev, [kind.key]: "" }));
+                }}
+              />
+            </form>
+            <ChipList
+              items={rules[kind.key].map((value) => ({ key: value, label: value, count: null }))}
+              onRemove={(value) => onRemove(kind.key, value)}
+            />
+          </div>
+        ))}
+
+        {!isInclude && (
+          <div>
+            <label className="block text-xs font-black uppercase tracking-widest text-gray-400">Seniority</label>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {SENIORITY_LEVELS.map((level) => {
+                const active = rules.seniority.includes(level.id);
+                return (
+                  <button
+                    key={level.id}
+                    type="button"
+                    onClick={() => onToggleSeniority(level.id)}
+                    title={level.terms.join(", ")}
+                    className={`px-4 py-2 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
+                      active
+                        ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
+                        : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                    }`}
+                  >
+                    {level.label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
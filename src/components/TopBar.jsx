@@ -2,6 +2,7 @@
 import React, { useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { useToast } from "./Toast/ToastProvider.jsx"; // Import the Toast hook
+import NotificationBell from "./NotificationBell.jsx";
 
 export default function TopBar({ user, userMeta, page, setPage, onLogout }) {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -32,6 +33,7 @@ export default function TopBar({ user, userMeta, page, setPage, onLogout }) {
               <div className="hidden md:flex items-center gap-1">
                 <NavButton active={page === "home"} onClick={() => setPage("home")}>Dashboard</NavButton>
                 <NavButton active={page === "jobs"} onClick={() => setPage("jobs")}>Jobs</NavButton>
+                <NavButton active={page === "applications"} onClick={() => setPage("applications")}>Applications</NavButton>
                 <NavButton active={page === "history"} onClick={() => setPage("history")}>History</NavButton>
                 <NavButton active={page === "profile"} onClick={() => setPage("profile")}>Settings</NavButton>
               </div>
@@ -41,6 +43,8 @@ export default function TopBar({ user, userMeta, page, setPage, onLogout }) {
           <div className="flex items-center gap-4">
             {user ? (
               <div className="flex items-center gap-6">
+                <NotificationBell user={user} />
+
                 <div className="hidden md:flex flex-col items-end">
                   <span className="text-sm font-semibold text-gray-900">
                     {userMeta?.fullName || "User"}
@@ -73,6 +77,7 @@ export default function TopBar({ user, userMeta, page, setPage, onLogout }) {
             <div className="space-y-1 px-4 py-4">
               <MobileNavButton active={page === "home"} onClick={() => { setPage("home"); setIsMenuOpen(false); }}>Dashboard</MobileNavButton>
               <MobileNavButton active={page === "jobs"} onClick={() => { setPage("jobs"); setIsMenuOpen(false); }}>Jobs</MobileNavButton>
+              <MobileNavButton active={page === "applications"} onClick={() => { setPage("applications"); setIsMenuOpen(false); }}>Applications</MobileNavButton>
               <MobileNavButton active={page === "history"} onClick={() => { setPage("history"); setIsMenuOpen(false); }}>History</MobileNavButton>
               <MobileNavButton active={page === "profile"} onClick={() => { setPage("profile"); setIsMenuOpen(false); }}>Settings</MobileNavButton>
               <button 
@@ -0,0 +1,275 @@
+// src/components/Webhooks.jsx
+// Settings section for users/{uid}/webhooks and their delivery log (webhookDeliveries).
+// The sync posts new jobs to every enabled webhook (see functions/lib/webhooks.js).
+
+import React, { useEffect, useState } from "react";
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { authHeaders, functionUrl } from "../functionsApi";
+import { useToast } from "./Toast/ToastProvider.jsx";
+
+const FORMATS = [
+  { id: "slack", label: "Slack" },
+  { id: "discord", label: "Discord" },
+  { id: "json", label: "JSON (signed)" },
+];
+
+const RECENT_DELIVERIES = 15;
+
+function newSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+function fmtDateTime(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  return d ? d.toLocaleString() : "—";
+}
+
+export default function Webhooks({ user }) {
+  const { showToast } = useToast();
+
+  const [hooks, setHooks] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [form, setForm] = useState({ name: "", url: "", format: "slack" });
+  const [busyAdd, setBusyAdd] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+  const [revealedId, setRevealedId] = useState(null);
+
+  useEffect(() => {
+    const q = query(collection(db, "users", user.uid, "webhooks"), orderBy("createdAt", "asc"));
+    return onSnapshot(q, (snap) => setHooks(snap.docs.map((d) => ({ id: d.id, ...d.data() }))));
+  }, [user.uid]);
+
+  useEffect(() => {
+    const q = query(
+      collection(db, "users", user.uid, "webhookDeliveries"),
+      orderBy("createdAt", "desc"),
+      limit(RECENT_DELIVERIES)
+    );
+    return onSnapshot(q, (snap) => setDeliveries(snap.docs.map((d) => ({ id: d.id, ...d.data() }))));
+  }, [user.uid]);
+
+  async function addHook(e) {
+    e.preventDefault();
+    const name = form.name.trim();
+    const url = form.url.trim();
+    if (!name || !/^https:\/\//i.test(url)) {
+      showToast("Give the webhook a name and an https:// URL", "error");
+      return;
+    }
+
+    setBusyAdd(true);
+    try {
+      await addDoc(collection(db, "users", user.uid, "webhooks"), {
+        name,
+        url,
+        format: form.format,
+        enabled: true,
+        onlySavedSearches: false,
+        secret: newSecret(),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      setForm({ name: "", url: "", format: form.format });
+      showToast(`Added “${name}”`, "success");
+    } catch (err) {
+      console.error("Add webhook error:", err);
+      showToast("Failed to add webhook.", "error");
+    } finally {
+      setBusyAdd(false);
+    }
+  }
+
+  async function patchHook(hook, patch) {
+    try {
+      await updateDoc(doc(db, "users", user.uid, "webhooks", hook.id), { ...patch, updatedAt: serverTimestamp() });
+    } catch (err) {
+      console.error("Update webhook error:", err);
+      showToast("Failed to update webhook.", "error");
+    }
+  }
+
+  async function removeHook(hook) {
+    if (!window.confirm(`Delete webhook “${hook.name}”?`)) return;
+    try {
+      await deleteDoc(doc(db, "users", user.uid, "webhooks", hook.id));
+      showToast(`Removed “${hook.name}”`, "info");
+    } catch (err) {
+      console.error("Delete webhook error:", err);
+      showToast("Failed to remove webhook.", "error");
+    }
+  }
+
+  async function sendTest(hook) {
+    setTestingId(hook.id);
+    try {
+      const res = await fetch(functionUrl("testWebhook", { userId: user.uid, webhookId: hook.id }), {
+        method: "POST",
+        headers: await authHeaders(user),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      if (data.ok) showToast(`Test delivered (HTTP ${data.status})`, "success");
+      else showToast(`Test failed: ${data.error || `HTTP ${data.status}`}`, "error");
+    } catch (err) {
+      console.error("Test webhook error:", err);
+      showToast(`Test failed: ${err.message}`, "error");
+    } finally {
+      setTestingId(null);
+    }
+  }
+
+  return (
+    <div className="section-grid">
+      <div>
+        <h2 className="text-base font-semibold text-gray-900 uppercase tracking-widest text-[10px] font-black">Webhooks</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Post newly found jobs to Slack, Discord or your own endpoint after every sync.
+        </p>
+        <p className="mt-3 text-xs text-gray-400">
+          JSON webhooks are signed: <span className="font-mono">X-JobWatch-Signature</span> is an HMAC-SHA256 of{" "}
+          <span className="font-mono">timestamp.body</span> with the webhook secret.
+        </p>
+      </div>
+
+      <div className="space-y-6 md:col-span-2">
+        <ul className="divide-y divide-gray-100 rounded-xl ring-1 ring-gray-200">
+          {hooks.map((h) => (
+            <li key={h.id} className="p-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm font-semibold text-gray-900">{h.name}</span>
+                <span className="rounded-full bg-gray-100 px-2 py-0.5 text-[10px] font-black uppercase tracking-widest text-gray-500">
+                  {FORMATS.find((f) => f.id === h.format)?.label || h.format}
+                </span>
+                <span className="truncate text-xs text-gray-400">{hostOf(h.url)}</span>
+                {h.lastDeliveryAt && (
+                  <span className={`text-[10px] font-black uppercase ${h.lastDeliveryOk ? "text-emerald-500" : "text-red-500"}`}>
+                    {h.lastDeliveryOk ? "OK" : "Failing"}
+                  </span>
+                )}
+              </div>
+
+              <div className="mt-3 flex flex-wrap items-center gap-4 text-xs">
+                <label className="flex items-center gap-2 text-gray-600">
+                  <input type="checkbox" checked={h.enabled === true} onChange={(e) => patchHook(h, { enabled: e.target.checked })} />
+                  Enabled
+                </label>
+                <label className="flex items-center gap-2 text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={h.onlySavedSearches === true}
+                    onChange={(e) => patchHook(h, { onlySavedSearches: e.target.checked })}
+                  />
+                  Saved-search matches only
+                </label>
+                <button
+                  type="button"
+                  onClick={() => sendTest(h)}
+                  disabled={testingId === h.id}
+                  className="font-bold text-indigo-600 hover:underline disabled:opacity-50"
+                >
+                  {testingId === h.id ? "Sending..." : "Send test"}
+                </button>
+                {h.format === "json" && (
+                  <button
+                    type="button"
+                    onClick={() => setRevealedId(revealedId === h.id ? null : h.id)}
+                    className="font-bold text-gray-500 hover:underline"
+                  >
+                    {revealedId === h.id ? "Hide secret" : "Show secret"}
+                  </button>
+                )}
+                <button type="button" onClick={() => removeHook(h)} className="font-bold text-red-500 hover:underline">
+                  Delete
+                </button>
+              </div>
+
+              {revealedId === h.id && (
+                <p className="mt-2 break-all rounded bg-gray-50 px-2 py-1 font-mono text-[11px] text-gray-600">{h.secret}</p>
+              )}
+              {h.lastDeliveryError && <p className="mt-2 text-xs text-red-500">{h.lastDeliveryError}</p>}
+            </li>
+          ))}
+
+          {hooks.length === 0 && <li className="p-6 text-center text-xs text-gray-400 italic">No webhooks yet.</li>}
+        </ul>
+
+        <form onSubmit={addHook} className="grid grid-cols-1 gap-3 sm:grid-cols-6">
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="input-standard sm:col-span-2"
+            placeholder="Name, e.g. #job-alerts"
+            maxLength={80}
+          />
+          <input
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            className="input-standard sm:col-span-4"
+            placeholder="https://hooks.slack.com/services/..."
+          />
+          <select
+            value={form.format}
+            onChange={(e) => setForm({ ...form, format: e.target.value })}
+            className="input-standard sm:col-span-2"
+          >
+            {FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <div className="sm:col-span-4 flex justify-end">
+            <button type="submit" disabled={busyAdd} className="btn-secondary uppercase tracking-widest text-[11px] font-black disabled:opacity-50">
+              {busyAdd ? "Adding..." : "Add Webhook"}
+            </button>
+          </div>
+        </form>
+
+        {deliveries.length > 0 && (
+          <div>
+            <h3 className="text-[10px] font-black uppercase tracking-widest text-gray-400">Recent deliveries</h3>
+            <ul className="mt-2 divide-y divide-gray-100 text-xs">
+              {deliveries.map((d) => (
+                <li key={d.id} className="flex flex-wrap items-center gap-x-3 gap-y-1 py-2">
+                  <span className={`font-black uppercase ${d.ok ? "text-emerald-500" : "text-red-500"}`}>
+                    {d.ok ? "OK" : "Failed"}
+                  </span>
+                  <span className="font-semibold text-gray-900">{d.webhookName}</span>
+                  <span className="text-gray-400">
+                    {d.event === "test" ? "test" : `${d.jobCount} job${d.jobCount === 1 ? "" : "s"}`}
+                  </span>
+                  <span className="text-gray-400">
+                    {d.status ? `HTTP ${d.status}` : "no response"} · {d.attempts} attempt{d.attempts === 1 ? "" : "s"}
+                  </span>
+                  <span className="ml-auto text-gray-400">{fmtDateTime(d.createdAt)}</span>
+                  {d.error && <span className="w-full truncate text-red-400">{d.error}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+// src/feedSchedule.js
+// Per-feed cadence for the Home page. The rules are functions/lib/feedSchedule.js itself
+// (the module the scheduler uses, bundled for the browser by vite.config.js), so the
+// "next poll" shown here can't drift from when the backend actually syncs a feed.
+
+import SCHEDULE from "../functions/lib/feedSchedule.json";
+import backendSchedule from "../functions/lib/feedSchedule.js";
+
+export const FEED_TIERS = SCHEDULE.tiers;
+export const POLL_INTERVALS = SCHEDULE.intervals;
+export const { TICK_MINUTES, feedPollIntervalMinutes, feedTier, tierDefaultInterval } = backendSchedule;
+
+// -> Date of the next scheduled check, or null when it's due on the next tick
+export function feedNextDueDate(feed) {
+  const ms = backendSchedule.feedNextDueMs(feed);
+  return ms ? new Date(ms) : null;
+}
+
+export function formatInterval(minutes) {
+  if (minutes % 1440 === 0) return minutes === 1440 ? "Daily" : `Every ${minutes / 1440} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? "Hourly" : `Every ${minutes / 60}h`;
+  return `Every ${minutes}m`;
+}
@@ -0,0 +1,18 @@
+// src/functionsApi.js
+// URLs for the Gen2 HTTP (onRequest) functions in functions/index.js.
+
+export function functionUrl(name, params = {}) {
+  const projectId = import.meta.env.VITE_FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw new Error("Missing project id env. Add VITE_FIREBASE_PROJECT_ID.");
+  }
+
+  const qs = new URLSearchParams(params).toString();
+  return `https://us-central1-${projectId}.cloudfunctions.net/${name}${qs ? `?${qs}` : ""}`;
+}
+
+// The HTTP functions verify a Firebase ID token for the userId they act on
+export async function authHeaders(user, headers = {}) {
+  const token = await user.getIdToken();
+  return { ...headers, Authorization: `Bearer ${token}` };
+}
@@ -0,0 +1,85 @@
+// src/jobsQuery.js
+// Paged jobs query over any number of companies.
+// Firestore's "in" filter takes at most IN_QUERY_LIMIT values, so a larger company
+// selection is split into chunks, each queried with its own cursor, and the pages
+// are merged by sourceUpdatedTs (newest first). A chunk's buffer keeps what was
+// fetched but not shown yet, so infinite scroll never skips or repeats a job.
+
+import { getDocs, limit, orderBy, query, startAfter, where } from "firebase/firestore";
+
+export const IN_QUERY_LIMIT = 30;
+
+function chunkKeys(keys) {
+  if (keys.length === 0) return [null];
+  const chunks = [];
+  for (let i = 0; i < keys.length; i += IN_QUERY_LIMIT) chunks.push(keys.slice(i, i + IN_QUERY_LIMIT));
+  return chunks;
+}
+
+function updatedMs(snap) {
+  const ts = snap.get("sourceUpdatedTs");
+  return ts?.toMillis ? ts.toMillis() : 0;
+}
+
+/**
+ * Pager state for a company selection (empty = all companies, one unfiltered chunk).
+ */
+export function createJobsPager(companyKeys) {
+  return {
+    chunks: chunkKeys(companyKeys).map((keys) => ({ keys, cursor: null, buffer: [], exhausted: false })),
+  };
+}
+
+export function pagerHasMore(pager) {
+  return pager.chunks.some((c) => c.buffer.length > 0 || !c.exhausted);
+}
+
+async function refill(jobsCol, chunk, constraints, pageSize) {
+  const q = query(
+    jobsCol,
+    ...(chunk.keys ? [where("companyKey", "in", chunk.keys)] : []),
+    ...constraints,
+    orderBy("sourceUpdatedTs", "desc"),
+    limit(pageSize),
+    ...(chunk.cursor ? [startAfter(chunk.cursor)] : [])
+  );
+  const snap = await getDocs(q);
+  return {
+    ...chunk,
+    cursor: snap.docs[snap.docs.length - 1] || chunk.cursor,
+    buffer: [...chunk.buffer, ...snap.docs],
+    exhausted: snap.docs.length < pageSize,
+  };
+}
+
+/**
+ * Next page of doc snapshots in sourceUpdatedTs order.
+ * constraints: extra where() filters shared by every chunk.
+ * -> { docs, pager } (pager is a new object; keep it for the next call)
+ */
+export async function fetchJobsPage(jobsCol, pager, { constraints = [], pageSize }) {
+  // Every chunk that could still hold the next-newest job needs at least one buffered doc
+  let chunks = await Promise.all(
+    pager.chunks.map((c) => (c.buffer.length === 0 && !c.exhausted ? refill(jobsCol, c, constraints, pageSize) : c))
+  );
+
+  const docs = [];
+  while (docs.length < pageSize) {
+    let best = -1;
+    chunks.forEach((c, i) => {
+      if (c.buffer.length > 0 && (best < 0 || updatedMs(c.buffer[0]) > updatedMs(chunks[best].buffer[0]))) best = i;
+    });
+    if (best < 0) break;
+
+    const [head, ...rest] = chunks[best].buffer;
+    docs.push(head);
+    chunks = chunks.map((c, i) => (i === best ? { ...c, buffer: rest } : c));
+
+    if (rest.length === 0 && !chunks[best].exhausted) {
+      const refilled = await refill(jobsCol, chunks[best], constraints, pageSize);
+      chunks = chunks.map((c, i) => (i === best ? refilled : c));
+    }
+  }
+
+  return { docs, pager: { chunks } };
+}
@@ -0,0 +1,94 @@
+// src/notifications.js
+// Web push registration (FCM) and notification-center helpers.
+// Each browser stores its token in users/{uid}/pushTokens/{sha256(token)}; the sync pushes
+// new jobs on high-priority feeds to every stored token (functions/lib/notifications.js).
+
+import {
+  collection,
+  deleteDoc,
+  doc,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from "firebase/firestore";
+import { deleteToken, getMessaging, getToken, isSupported, onMessage } from "firebase/messaging";
+import { app, db } from "./firebase";
+
+const SW_PATH = "/firebase-messaging-sw.js";
+
+// The service worker can't read import.meta.env, so its Firebase config rides on the URL
+function serviceWorkerUrl() {
+  const o = app.options;
+  const params = new URLSearchParams({
+    apiKey: o.apiKey || "",
+    projectId: o.projectId || "",
+    messagingSenderId: o.messagingSenderId || "",
+    appId: o.appId || "",
+  });
+  return `${SW_PATH}?${params}`;
+}
+
+async function tokenDocId(token) {
+  const bytes = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token)));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function pushSupported() {
+  return "Notification" in window && "serviceWorker" in navigator && (await isSupported());
+}
+
+async function currentToken() {
+  const registration = await navigator.serviceWorker.register(serviceWorkerUrl());
+  return getToken(getMessaging(app), {
+    vapidKey: import.meta.env.VITE_FIREBASE_VAPID_KEY,
+    serviceWorkerRegistration: registration,
+  });
+}
+
+/**
+ * Asks for permission and registers this browser. Throws with a user-facing message.
+ */
+export async function enablePush(uid) {
+  if (!(await pushSupported())) throw new Error("This browser doesn't support push notifications.");
+  if (!import.meta.env.VITE_FIREBASE_VAPID_KEY) throw new Error("Missing VAPID key env. Add VITE_FIREBASE_VAPID_KEY.");
+
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error("Notifications are blocked for this site.");
+
+  const token = await currentToken();
+  await setDoc(
+    doc(db, "users", uid, "pushTokens", await tokenDocId(token)),
+    { token, userAgent: navigator.userAgent.slice(0, 300), createdAt: serverTimestamp(), updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+export async function disablePush(uid) {
+  if (!(await pushSupported()) || Notification.permission !== "granted") return;
+  const token = await currentToken();
+  await deleteDoc(doc(db, "users", uid, "pushTokens", await tokenDocId(token)));
+  await deleteToken(getMessaging(app));
+}
+
+/**
+ * Pushes that arrive while a tab is focused aren't shown by the browser.
+ * -> unsubscribe function
+ */
+export async function onForegroundPush(handler) {
+  if (!(await pushSupported()) || Notification.permission !== "granted") return () => {};
+  return onMessage(getMessaging(app), (payload) => handler(payload.data || {}));
+}
+
+export async function markNotificationRead(uid, id) {
+  await updateDoc(doc(db, "users", uid, "notifications", id), { read: true });
+}
+
+export async function markAllNotificationsRead(uid, notifications) {
+  const batch = writeBatch(db);
+  const col = collection(db, "users", uid, "notifications");
+  for (const n of notifications) {
+    if (!n.read) batch.update(doc(col, n.id), { read: true });
+  }
+  await batch.commit();
+}
@@ -0,0 +1,349 @@
+// src/pages/Applications.jsx
+// Kanban board for users/{uid}/applications (see src/applications.js).
+// Cards are dragged between status columns; clicking one opens its notes,
+// contacts, next-action reminder and status history.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { collection, onSnapshot, orderBy, query, Timestamp } from "firebase/firestore";
+import { AnimatePresence, motion } from "framer-motion";
+import { db } from "../firebase";
+import {
+  APPLICATION_STATUSES,
+  MAX_CONTACTS,
+  deleteApplication,
+  isActionDue,
+  setApplicationStatus,
+  statusLabel,
+  updateApplication,
+} from "../applications";
+import { useToast } from "../components/Toast/ToastProvider.jsx";
+
+function fmtDate(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  if (!d || Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+}
+
+// Timestamp <-> <input type="date"> value (local date)
+function toDateInput(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  if (!d) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function fromDateInput(value) {
+  if (!value) return null;
+  const d = new Date(`${value}T09:00:00`);
+  return Number.isNaN(d.getTime()) ? null : Timestamp.fromDate(d);
+}
+
+export default function Applications({ user }) {
+  const { showToast } = useToast();
+
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openId, setOpenId] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+
+  useEffect(() => {
+    const q = query(collection(db, "users", user.uid, "applications"), orderBy("updatedAt", "desc"));
+    return onSnapshot(
+      q,
+      (snap) => {
+        setApplications(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Load applications error:", err);
+        setLoading(false);
+      }
+    );
+  }, [user.uid]);
+
+  const columns = useMemo(
+    () =>
+      APPLICATION_STATUSES.map((s) => ({
+        ...s,
+        items: applications.filter((a) => (a.status || "interested") === s.id),
+      })),
+    [applications]
+  );
+
+  const dueCount = applications.filter((a) => isActionDue(a)).length;
+  const openApp = applications.find((a) => a.id === openId) || null;
+
+  const moveTo = async (application, status) => {
+    try {
+      await setApplicationStatus(user.uid, application, status);
+    } catch (err) {
+      console.error("Update status error:", err);
+      showToast("Failed to update status.", "error");
+    }
+  };
+
+  const onDrop = (e, status) => {
+    e.preventDefault();
+    setDragOver(null);
+    const app = applications.find((a) => a.id === e.dataTransfer.getData("text/plain"));
+    if (app) moveTo(app, status);
+  };
+
+  return (
+    <div className="py-10 px-4 md:px-0 min-h-screen" style={{ fontFamily: "Ubuntu, sans-serif" }}>
+      <div className="mb-10 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-black text-gray-900 tracking-tight">Applications</h1>
+          <p className="text-sm text-gray-500 mt-2 font-medium">
+            Track jobs from the Jobs page, then drag them through your pipeline.
+          </p>
+        </div>
+        {dueCount > 0 && (
+          <span className="rounded-full bg-amber-50 px-3 py-1 text-[11px] font-black uppercase tracking-widest text-amber-600">
+            {dueCount} follow-up{dueCount === 1 ? "" : "s"} due
+          </span>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-400 animate-pulse">Loading applications...</p>
+      ) : applications.length === 0 ? (
+        <div className="rounded-2xl bg-white py-24 text-center shadow-sm ring-1 ring-gray-200">
+          <p className="text-sm font-bold text-gray-400 uppercase tracking-widest">Nothing tracked yet</p>
+          <p className="text-xs text-gray-300 mt-2">Use “Track” on a job to add it here.</p>
+        </div>
+      ) : (
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map((col) => (
+            <div
+              key={col.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOver(col.id);
+              }}
+              onDragLeave={() => setDragOver((cur) => (cur === col.id ? null : cur))}
+              onDrop={(e) => onDrop(e, col.id)}
+              className={`flex w-64 flex-shrink-0 flex-col rounded-xl p-3 ring-1 transition-colors ${
+                dragOver === col.id ? "bg-indigo-50 ring-indigo-200" : "bg-gray-50 ring-gray-200"
+              }`}
+            >
+              <div className="mb-3 flex items-center justify-between px-1">
+                <h2 className="text-[10px] font-black uppercase tracking-widest text-gray-500">{col.label}</h2>
+                <span className="text-[10px] font-black text-gray-400">{col.items.length}</span>
+              </div>
+
+              <div className="space-y-2 min-h-[80px]">
+                {col.items.map((a) => (
+                  <button
+                    key={a.id}
+                    type="button"
+                    draggable
+                    onDragStart={(e) => e.dataTransfer.setData("text/plain", a.id)}
+                    onClick={() => setOpenId(a.id)}
+                    className="block w-full rounded-lg bg-white p-3 text-left shadow-sm ring-1 ring-gray-200 hover:ring-indigo-300 transition"
+                  >
+                    <span className="block text-[10px] font-bold uppercase tracking-tight text-indigo-600 truncate">
+                      {a.companyName || "Unknown"}
+                    </span>
+                    <span className="mt-0.5 block text-sm font-semibold text-gray-900 line-clamp-2">{a.title}</span>
+                    {a.nextAction?.text && (
+                      <span
+                        className={`mt-2 block truncate text-[11px] font-medium ${
+                          isActionDue(a) ? "text-amber-600" : "text-gray-400"
+                        }`}
+                      >
+                        {isActionDue(a) ? "Due: " : "Next: "}
+                        {a.nextAction.text}
+                        {a.nextAction.dueAt && ` · ${fmtDate(a.nextAction.dueAt)}`}
+                      </span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <AnimatePresence>
+        {openApp && (
+          <ApplicationPanel
+            key={openApp.id}
+            user={user}
+            application={openApp}
+            onMove={(status) => moveTo(openApp, status)}
+            onClose={() => setOpenId(null)}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+function ApplicationPanel({ user, application, onMove, onClose }) {
+  const { showToast } = useToast();
+
+  const [notes, setNotes] = useState(application.notes || "");
+  const [contacts, setContacts] = useState(application.contacts || []);
+  const [actionText, setActionText] = useState(application.nextAction?.text || "");
+  const [actionDue, setActionDue] = useState(toDateInput(application.nextAction?.dueAt));
+  const [busy, setBusy] = useState(false);
+
+  const updateContact = (i, key, value) =>
+    setContacts((prev) => prev.map((c, j) => (j === i ? { ...c, [key]: value } : c)));
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      const cleanContacts = contacts
+        .map((c) => ({ name: (c.name || "").trim(), role: (c.role || "").trim(), email: (c.email || "").trim() }))
+        .filter((c) => c.name || c.email);
+      const text = actionText.trim();
+      await updateApplication(user.uid, application.id, {
+        notes,
+        contacts: cleanContacts,
+        nextAction: text ? { text, dueAt: fromDateInput(actionDue) } : null,
+      });
+      showToast("Application saved", "success");
+    } catch (err) {
+      console.error("Save application error:", err);
+      showToast("Failed to save application.", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Stop tracking “${application.title}”? Notes and history are deleted.`)) return;
+    try {
+      await deleteApplication(user.uid, application.id);
+      showToast("Application removed", "info");
+      onClose();
+    } catch (err) {
+      console.error("Delete application error:", err);
+      showToast("Failed to remove application.", "error");
+    }
+  };
+
+  const history = [...(application.statusHistory || [])].reverse();
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex justify-end bg-gray-900/30"
+      onClick={onClose}
+    >
+      <motion.aside
+        initial={{ x: 40 }}
+        animate={{ x: 0 }}
+        exit={{ x: 40 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+        className="h-full w-full max-w-md overflow-y-auto bg-white p-6 shadow-xl"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            <p className="text-xs font-bold uppercase tracking-tight text-indigo-600">{application.companyName}</p>
+            <h2 className="mt-1 text-lg font-bold text-gray-900">{application.title}</h2>
+            {application.locationName && <p className="text-xs text-gray-400">{application.locationName}</p>}
+            {application.url && (
+              <a href={application.url} target="_blank" rel="noreferrer" className="mt-1 inline-block text-xs font-semibold text-indigo-600 hover:underline">
+                View posting &rarr;
+              </a>
+            )}
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-700" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <label className="mt-6 block text-[10px] font-black uppercase tracking-widest text-gray-400">Status</label>
+        <select value={application.status} onChange={(e) => onMove(e.target.value)} className="input-standard mt-1">
+          {APPLICATION_STATUSES.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+
+        <label className="mt-6 block text-[10px] font-black uppercase tracking-widest text-gray-400">Next action</label>
+        <div className="mt-1 flex gap-2">
+          <input
+            value={actionText}
+            onChange={(e) => setActionText(e.target.value)}
+            className="input-standard"
+            placeholder="e.g. Follow up with recruiter"
+            maxLength={200}
+          />
+          <input type="date" value={actionDue} onChange={(e) => setActionDue(e.target.value)} className="input-standard !w-40" />
+        </div>
+
+        <label className="mt-6 block text-[10px] font-black uppercase tracking-widest text-gray-400">Notes</label>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={5}
+          maxLength={10000}
+          className="input-standard mt-1 !h-auto py-2"
+        />
+
+        <div className="mt-6 flex items-center justify-between">
+          <span className="text-[10px] font-black uppercase tracking-widest text-gray-400">Contacts</span>
+          {contacts.length < MAX_CONTACTS && (
+            <button
+              type="button"
+              onClick={() => setContacts((prev) => [...prev, { name: "", role: "", email: "" }])}
+              className="text-xs font-bold text-indigo-600 hover:underline"
+            >
+              + Add
+            </button>
+          )}
+        </div>
+        <div className="mt-2 space-y-2">
+          {contacts.map((c, i) => (
+            <div key={i} className="grid grid-cols-[1fr_1fr_auto] gap-2">
+              <input value={c.name} onChange={(e) => updateContact(i, "name", e.target.value)} className="input-standard !h-9 text-xs" placeholder="Name" />
+              <input value={c.role} onChange={(e) => updateContact(i, "role", e.target.value)} className="input-standard !h-9 text-xs" placeholder="Role" />
+              <button
+                type="button"
+                onClick={() => setContacts((prev) => prev.filter((_, j) => j !== i))}
+                className="row-span-2 text-xs text-gray-300 hover:text-red-500"
+                aria-label="Remove contact"
+              >
+                ✕
+              </button>
+              <input
+                value={c.email}
+                onChange={(e) => updateContact(i, "email", e.target.value)}
+                className="input-standard col-span-2 !h-9 text-xs"
+                placeholder="Email"
+                type="email"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6 flex items-center gap-3">
+          <button type="button" onClick={save} disabled={busy} className="btn-primary disabled:opacity-50">
+            {busy ? "Saving..." : "Save"}
+          </button>
+          <button type="button" onClick={remove} className="text-xs font-bold text-red-500 hover:underline">
+            Stop tracking
+          </button>
+        </div>
+
+        <h3 className="mt-8 text-[10px] font-black uppercase tracking-widest text-gray-400">History</h3>
+        <ol className="mt-2 space-y-1.5 border-l border-gray-100 pl-4">
+          {history.map((h, i) => (
+            <li key={i} className="text-xs text-gray-600">
+              <span className="font-semibold text-gray-900">{statusLabel(h.status)}</span>
+              <span className="text-gray-400"> · {fmtDate(h.at)}</span>
+            </li>
+          ))}
+        </ol>
+      </motion.aside>
+    </motion.div>
+  );
+}
@@ -69,10 +69,25 @@ export default function FetchHistory({ user }) {
     // Key numbers users actually need
     const scanned = Number(r.scanned ?? 0);
     const fetched = Number(r.jobsFetched ?? 0);
+    // Feeds skipped by conditional fetching (304 / identical body) vs re-processed
+    const feedsUnchanged = Number(r.feedsUnchanged ?? 0);
+    const feedsRefreshed = Number(r.feedsRefreshed ?? r.feedsProcessed ?? 0);
+    // Feeds skipped because their circuit breaker is open
+    const feedsPaused = Number(r.feedsPaused ?? 0);
+    // Scheduled runs skip feeds whose poll interval hasn't elapsed
+    const feedsNotDue = Number(r.feedsNotDue ?? 0);
     const written = Number(r.jobsWritten ?? r.updated ?? 0);
+    // Runs before lifecycle tracking only have jobsWritten
+    const added = Number(r.jobsNew ?? written);
+    const closed = Number(r.jobsClosed ?? 0);
+    // Recent / tracked jobs dropped by the user's title rules
+    const filteredByRules = Number(r.jobsFilteredByRules ?? 0);
     const keptRecent = Number(r.jobsKeptRecent ?? 0);
     const durationMs = Number(r.durationMs ?? 0);
+    // Earliest per-feed cursor cutoff covered by this run (see cursorRanges on the run doc)
     const recentCutoffIso = r.recentCutoffIso ? new Date(r.recentCutoffIso) : null;
+    const cursorFeeds = r.cursorRanges ? Object.keys(r.cursorRanges).length : 0;
+    const backfilledFeeds = Number(r.backfilledFeeds ?? 0);
 
     return (
       <li
@@ -102,7 +117,7 @@ export default function FetchHistory({ user }) {
               <span className="text-gray-300">|</span>
               <span className="text-[10px] font-black uppercase text-gray-400 tracking-tight">
                 Jobs Added{" "}
-                <span className="text-gray-900">{written.toLocaleString()}</span>
+                <span className="text-gray-900">{added.toLocaleString()}</span>
               </span>
             </div>
 
@@ -170,12 +185,52 @@ export default function FetchHistory({ user }) {
 
                   <span className="text-gray-300">•</span>
 
+                  <div>
+                    <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                      Feeds
+                    </span>
+                    <span className="font-bold">
+                      {feedsRefreshed.toLocaleString()} refreshed / {feedsUnchanged.toLocaleString()} unchanged
+                      {feedsPaused > 0 && ` / ${feedsPaused.toLocaleString()} paused`}
+                      {feedsNotDue > 0 && ` / ${feedsNotDue.toLocaleString()} not due`}
+                    </span>
+                  </div>
+
+                  <span className="text-gray-300">•</span>
+
                   <div>
                     <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
                       Kept Recent
                     </span>
                     <span className="font-bold">{keptRecent.toLocaleString()}</span>
                   </div>
+
+                  <span className="text-gray-300">•</span>
+
+                  <div>
+                    <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                      Written
+                    </span>
+                    <span className="font-bold">{written.toLocaleString()}</span>
+                  </div>
+
+                  <span className="text-gray-300">•</span>
+
+                  <div>
+                    <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                      Closed
+                    </span>
+                    <span className="font-bold">{closed.toLocaleString()}</span>
+                  </div>
+
+                  <span className="text-gray-300">•</span>
+
+                  <div>
+                    <span className="text-gray-400 font-black uppercase text-[9px] tracking-widest mr-1.5">
+                      Filtered
+                    </span>
+                    <span className="font-bold">{filteredByRules.toLocaleString()}</span>
+                  </div>
                 </div>
 
                 {/* Secondary detail tiles (still useful, minimal) */}
@@ -189,11 +244,17 @@ export default function FetchHistory({ user }) {
 
                   <div className="bg-white p-4 rounded-xl ring-1 ring-inset ring-gray-200 shadow-sm">
                     <div className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-2">
-                      Recent Cutoff
+                      Covered Since
                     </div>
                     <div className="text-sm font-bold text-gray-800">
                       {recentCutoffIso ? fmtDateTimeFull(recentCutoffIso) : "—"}
                     </div>
+                    {cursorFeeds > 0 && (
+                      <div className="mt-1 text-[11px] text-gray-400 font-medium">
+                        {cursorFeeds.toLocaleString()} feed cursor{cursorFeeds === 1 ? "" : "s"}
+                        {backfilledFeeds > 0 ? ` • ${backfilledFeeds.toLocaleString()} backfilled` : ""}
+                      </div>
+                    )}
                   </div>
                 </div>
 
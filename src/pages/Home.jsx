@@ -4,7 +4,8 @@
 //   https://us-central1-<PROJECT_ID>.cloudfunctions.net/runSyncNow?userId=<UID>
 //
 // NOTE: This uses `fetch` directly because runSyncNow is an HTTP onRequest endpoint
-// (not a callable function). So we don’t use httpsCallable here.
+// (not a callable function). So we don’t use httpsCallable here; the ID token goes
+// in the Authorization header instead.
 
 import React, { useEffect, useMemo, useState } from "react";
 import {
@@ -18,38 +19,116 @@ import {
   updateDoc,
 } from "firebase/firestore";
 import { db } from "../firebase";
+import {
+  FEED_TIERS,
+  POLL_INTERVALS,
+  feedNextDueDate,
+  feedPollIntervalMinutes,
+  feedTier,
+  formatInterval,
+  tierDefaultInterval,
+} from "../feedSchedule";
+import { authHeaders, functionUrl } from "../functionsApi";
 import { useToast } from "../components/Toast/ToastProvider.jsx";
+// Source catalog shared with the sync backend (functions/sources/catalog.json)
+import SOURCE_CATALOG from "../../functions/sources/catalog.json";
+
+const DEFAULT_SOURCE = "greenhouse";
+
+function applyUrlNormalization(rule, u) {
+  let clean = u.trim();
+  if (rule.normalize === "lowercase") clean = clean.toLowerCase();
+  for (const [key, value] of Object.entries(rule.requiredQuery || {})) {
+    const present = new RegExp(`[?&]${key}=${value}\\b`, "i").test(clean);
+    if (!present) clean = `${clean}${clean.includes("?") ? "&" : "?"}${key}=${value}`;
+  }
+  return clean;
+}
 
-const URL_RULES = {
-  greenhouse: {
-    label: "Greenhouse API Endpoint",
-    placeholder: "https://boards-api.greenhouse.io/v1/boards/<company>/jobs",
-    isValid: (u) =>
-      /^https:\/\/boards-api\.greenhouse\.io\/v1\/boards\/[^/]+\/jobs(?:\?.*)?$/i.test(
-        u
-      ),
-    normalize: (u) => u.trim().toLowerCase(),
-  },
-  ashby: {
-    label: "AshbyHQ Job Board Endpoint",
-    placeholder: "https://api.ashbyhq.com/posting-api/job-board/<company>",
-    isValid: (u) =>
-      /^https:\/\/api\.ashbyhq\.com\/posting-api\/job-board\/[^/?#]+(?:\?.*)?$/i.test(
-        u
-      ),
-    normalize: (u) => u.trim(),
-  },
-};
+const URL_RULES = Object.fromEntries(
+  Object.entries(SOURCE_CATALOG).map(([id, rule]) => {
+    const regex = new RegExp(rule.pattern, "i");
+    return [
+      id,
+      {
+        label: rule.endpointLabel,
+        placeholder: rule.placeholder,
+        detect: rule.detect,
+        isValid: (u) => regex.test(u),
+        normalize: (u) => applyUrlNormalization(rule, u),
+      },
+    ];
+  })
+);
+
+const SOURCE_IDS = Object.keys(URL_RULES);
 
 function detectSourceFromUrl(raw) {
   const u = (raw || "").trim().toLowerCase();
-  if (u.includes("boards-api.greenhouse.io/v1/boards/")) return "greenhouse";
-  if (u.includes("api.ashbyhq.com/posting-api/job-board/")) return "ashby";
-  return "greenhouse";
+  const hit = SOURCE_IDS.find((id) => u.includes(URL_RULES[id].detect));
+  return hit || DEFAULT_SOURCE;
 }
 
 function prettySourceLabel(source) {
-  return source === "ashby" ? "AshbyHQ" : "Greenhouse";
+  return (SOURCE_CATALOG[source] || SOURCE_CATALOG[DEFAULT_SOURCE]).label;
+}
+
+function formatTimestamp(ts) {
+  const d = ts?.toDate ? ts.toDate() : null;
+  return d ? d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "—";
+}
+
+// feed.breaker is written by the sync (functions/lib/circuitBreaker.js); null means healthy
+function FeedHealth({ feed }) {
+  const breaker = feed.breaker;
+  if (!breaker && !feed.lastError) return null;
+
+  const paused = breaker?.state === "open";
+  const failures = breaker?.consecutiveFailures || 0;
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-2 text-[11px]">
+      {paused ? (
+        <span className="rounded-full px-2 py-0.5 text-[10px] font-black uppercase tracking-widest bg-red-50 text-red-700">
+          Paused
+        </span>
+      ) : failures > 0 ? (
+        <span className="rounded-full px-2 py-0.5 text-[10px] font-black uppercase tracking-widest bg-amber-50 text-amber-700">
+          Failing
+        </span>
+      ) : null}
+      {failures > 0 && (
+        <span className="text-gray-500">
+          {failures} failure{failures === 1 ? "" : "s"} in a row
+          {breaker.lastStatus ? ` (HTTP ${breaker.lastStatus})` : ""}
+        </span>
+      )}
+      {paused && <span className="text-gray-500">· next retry {formatTimestamp(breaker.nextProbeAt)}</span>}
+      {feed.lastError && (
+        <span className="truncate max-w-md text-red-600" title={feed.lastError}>
+          {feed.lastError}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// "next check in 23m" from lastCheckedAt + the feed's poll interval (src/feedSchedule.js)
+function formatNextCheck(feed) {
+  const next = feedNextDueDate(feed);
+  const mins = next ? Math.ceil((next.getTime() - Date.now()) / (1000 * 60)) : 0;
+  if (mins <= 0) return "due on the next sync";
+  if (mins < 60) return `next check in ${mins}m`;
+  return `next check ${next.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}`;
+}
+
+function FeedCadence({ feed }) {
+  return (
+    <p className="mt-1 text-[11px] text-gray-400">
+      {formatInterval(feedPollIntervalMinutes(feed))}
+      {feed.breaker?.state === "open" ? " · paused" : ` · ${formatNextCheck(feed)}`}
+    </p>
+  );
 }
 
 function validateUrlForSource(source, rawUrl) {
@@ -58,14 +137,11 @@ function validateUrlForSource(source, rawUrl) {
   if (!/^https:\/\//i.test(cleanUrl))
     return { ok: false, error: "Please use a valid https:// URL." };
 
-  const rules = URL_RULES[source] || URL_RULES.greenhouse;
+  const rules = URL_RULES[source] || URL_RULES[DEFAULT_SOURCE];
   if (!rules.isValid(cleanUrl)) {
     return {
       ok: false,
-      error:
-        source === "ashby"
-          ? "Ashby URL should look like: https://api.ashbyhq.com/posting-api/job-board/<company>"
-          : "Greenhouse URL should look like: https://boards-api.greenhouse.io/v1/boards/<company>/jobs",
+      error: `${prettySourceLabel(source)} URL should look like: ${rules.placeholder}`,
     };
   }
   return { ok: true, normalizedUrl: rules.normalize(cleanUrl) };
@@ -142,28 +218,17 @@ export default function Home({ user }) {
     setLastRunSummary(null);
 
     try {
-      const projectId =
-        import.meta?.env?.VITE_FIREBASE_PROJECT_ID ||
-        process.env?.REACT_APP_FIREBASE_PROJECT_ID;
-
-      if (!projectId) {
-        showToast(
-          "Missing project id env. Add VITE_FIREBASE_PROJECT_ID (Vite) or REACT_APP_FIREBASE_PROJECT_ID (CRA).",
-          "error"
-        );
-        return;
-      }
-
-      const endpoint = `https://us-central1-${projectId}.cloudfunctions.net/runSyncNow?userId=${encodeURIComponent(
-        user.uid
-      )}`;
-
-      const resp = await fetch(endpoint, { method: "GET" });
+      // functionUrl throws (shown below) when VITE_FIREBASE_PROJECT_ID is missing
+      const resp = await fetch(functionUrl("runSyncNow", { userId: user.uid }), {
+        method: "GET",
+        headers: await authHeaders(user),
+      });
       const data = await resp.json().catch(() => ({}));
 
       if (!resp.ok) {
+        // 429: manual syncs are rate limited per user
         const msg = data?.error || "Manual run failed (HTTP error).";
-        showToast(msg, "error");
+        showToast(msg, resp.status === 429 ? "info" : "error");
         return;
       }
 
@@ -196,6 +261,57 @@ export default function Home({ user }) {
     }
   }
 
+  // Full content mode: descriptions + salary go to users/{uid}/jobDetails on the next sync
+  async function toggleFullContent(feed) {
+    setBusyArchiveId(feed.id);
+    try {
+      await updateDoc(doc(db, "users", user.uid, "feeds", feed.id), {
+        fullContent: !feed.fullContent,
+      });
+      showToast(
+        feed.fullContent ? "Full content disabled for this feed" : "Full content enabled from the next sync",
+        "info"
+      );
+    } catch (err) {
+      console.error(err);
+      showToast("Error updating feed", "error");
+    } finally {
+      setBusyArchiveId(null);
+    }
+  }
+
+  // patch: { priority } and/or { pollIntervalMinutes } (null = tier default).
+  // High-priority feeds also notify (and push) as soon as a sync finds new jobs.
+  async function updateSchedule(feed, patch) {
+    setBusyArchiveId(feed.id);
+    try {
+      await updateDoc(doc(db, "users", user.uid, "feeds", feed.id), patch);
+      const next = { ...feed, ...patch };
+      showToast(`${feed.company || "Feed"}: ${formatInterval(feedPollIntervalMinutes(next))}, ${feedTier(next)} priority`, "info");
+    } catch (err) {
+      console.error(err);
+      showToast("Error updating feed", "error");
+    } finally {
+      setBusyArchiveId(null);
+    }
+  }
+
+  // Closes the circuit breaker: the next sync fetches the feed again
+  async function resumeFeed(feedId) {
+    setBusyArchiveId(feedId);
+    try {
+      await updateDoc(doc(db, "users", user.uid, "feeds", feedId), {
+        breaker: null,
+      });
+      showToast("Feed resumed — it will be fetched on the next sync", "success");
+    } catch (err) {
+      console.error(err);
+      showToast("Error resuming feed", "error");
+    } finally {
+      setBusyArchiveId(null);
+    }
+  }
+
   async function restoreFeed(feedId) {
     setBusyArchiveId(feedId);
     try {
@@ -219,8 +335,14 @@ export default function Home({ user }) {
             Job Board Sources
           </h2>
           <p className="mt-1 text-sm text-gray-500">
-            Connect <span className="font-semibold">Greenhouse</span> and{" "}
-            <span className="font-semibold">AshbyHQ</span> job boards.
+            Connect{" "}
+            {SOURCE_IDS.map((id, i) => (
+              <React.Fragment key={id}>
+                {i > 0 ? (i === SOURCE_IDS.length - 1 ? " and " : ", ") : null}
+                <span className="font-semibold">{prettySourceLabel(id)}</span>
+              </React.Fragment>
+            ))}{" "}
+            job boards.
           </p>
 
           <div className="mt-6 flex flex-col gap-3 sm:flex-row sm:items-center">
@@ -276,22 +398,16 @@ export default function Home({ user }) {
                   value={url}
                   onChange={(e) => setUrl(e.target.value)}
                   className="input-standard mt-2"
-                  placeholder={
-                    detectedSource === "ashby"
-                      ? URL_RULES.ashby.placeholder
-                      : URL_RULES.greenhouse.placeholder
-                  }
+                  placeholder={(URL_RULES[detectedSource] || URL_RULES[DEFAULT_SOURCE]).placeholder}
                 />
                 <p className="mt-2 text-[11px] text-gray-400">
-                  Greenhouse:{" "}
-                  <span className="font-mono">
-                    https://boards-api.greenhouse.io/v1/boards/&lt;company&gt;/jobs
-                  </span>
-                  <br />
-                  AshbyHQ:{" "}
-                  <span className="font-mono">
-                    https://api.ashbyhq.com/posting-api/job-board/&lt;company&gt;
-                  </span>
+                  {SOURCE_IDS.map((id) => (
+                    <React.Fragment key={id}>
+                      {prettySourceLabel(id)}:{" "}
+                      <span className="font-mono">{URL_RULES[id].placeholder}</span>
+                      <br />
+                    </React.Fragment>
+                  ))}
                 </p>
               </div>
             </div>
@@ -336,15 +452,72 @@ export default function Home({ user }) {
                     </span>
                   </div>
                   <p className="mt-1 truncate text-xs text-gray-500 font-mono">{feed.url}</p>
+                  <FeedHealth feed={feed} />
+                  <FeedCadence feed={feed} />
                 </div>
 
-                <button
-                  onClick={() => archiveFeed(feed.id)}
-                  disabled={busyArchiveId === feed.id}
-                  className="text-[10px] font-black uppercase tracking-widest text-amber-600 hover:text-amber-800 disabled:opacity-50"
-                >
-                  Archive
-                </button>
+                <div className="flex items-center gap-4 flex-shrink-0">
+                  {feed.breaker?.state === "open" && (
+                    <button
+                      onClick={() => resumeFeed(feed.id)}
+                      disabled={busyArchiveId === feed.id}
+                      title="Clear the failure count and fetch this feed on the next sync"
+                      className="text-[10px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                    >
+                      Resume
+                    </button>
+                  )}
+                  <select
+                    value={feedTier(feed)}
+                    onChange={(e) => updateSchedule(feed, { priority: e.target.value })}
+                    disabled={busyArchiveId === feed.id}
+                    title="High priority feeds default to a 10 minute cadence and notify you about new jobs"
+                    className={`bg-transparent text-[10px] font-black uppercase tracking-widest disabled:opacity-50 ${
+                      feedTier(feed) === "high" ? "text-amber-600" : "text-gray-400"
+                    }`}
+                  >
+                    {FEED_TIERS.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.label} priority
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={POLL_INTERVALS.includes(feed.pollIntervalMinutes) ? feed.pollIntervalMinutes : ""}
+                    onChange={(e) =>
+                      updateSchedule(feed, { pollIntervalMinutes: e.target.value ? Number(e.target.value) : null })
+                    }
+                    disabled={busyArchiveId === feed.id}
+                    title="How often the scheduler checks this feed"
+                    className="bg-transparent text-[10px] font-black uppercase tracking-widest text-gray-400 disabled:opacity-50"
+                  >
+                    <option value="">Auto ({formatInterval(tierDefaultInterval(feedTier(feed)))})</option>
+                    {POLL_INTERVALS.map((m) => (
+                      <option key={m} value={m}>
+                        {formatInterval(m)}
+                      </option>
+                    ))}
+                  </select>
+                  {SOURCE_CATALOG[feed.source || detectSourceFromUrl(feed.url)]?.fullContent && (
+                    <button
+                      onClick={() => toggleFullContent(feed)}
+                      disabled={busyArchiveId === feed.id}
+                      title="Store descriptions, salary and employment type for this feed's jobs"
+                      className={`text-[10px] font-black uppercase tracking-widest disabled:opacity-50 ${
+                        feed.fullContent ? "text-indigo-600 hover:text-indigo-800" : "text-gray-400 hover:text-gray-600"
+                      }`}
+                    >
+                      {feed.fullContent ? "Full content: on" : "Full content: off"}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => archiveFeed(feed.id)}
+                    disabled={busyArchiveId === feed.id}
+                    className="text-[10px] font-black uppercase tracking-widest text-amber-600 hover:text-amber-800 disabled:opacity-50"
+                  >
+                    Archive
+                  </button>
+                </div>
               </li>
             ))}
 
@@ -3,41 +3,82 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import {
   collection,
   doc,
+  getDoc,
   getDocs,
   limit,
+  onSnapshot,
   orderBy,
   query,
-  startAfter,
+  setDoc,
   updateDoc,
   where,
   Timestamp,
 } from "firebase/firestore";
 import { AnimatePresence, motion } from "framer-motion";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { db } from "../firebase";
+import { statusLabel, trackJob } from "../applications";
+import { authHeaders, functionUrl } from "../functionsApi";
+import { createJobsPager, fetchJobsPage, pagerHasMore } from "../jobsQuery";
 import { useToast } from "../components/Toast/ToastProvider.jsx";
+import SavedSearches from "../components/SavedSearches.jsx";
+import GAZETTEER from "../../functions/lib/gazetteer.json";
 
 const PAGE_SIZE = 50;
-
-const US_STATES = [
-  { code: "AL", name: "Alabama" }, { code: "AK", name: "Alaska" }, { code: "AZ", name: "Arizona" },
-  { code: "AR", name: "Arkansas" }, { code: "CA", name: "California" }, { code: "CO", name: "Colorado" },
-  { code: "CT", name: "Connecticut" }, { code: "DE", name: "Delaware" }, { code: "FL", name: "Florida" },
-  { code: "GA", name: "Georgia" }, { code: "HI", name: "Hawaii" }, { code: "ID", name: "Idaho" },
-  { code: "IL", name: "Illinois" }, { code: "IN", name: "Indiana" }, { code: "IA", name: "Iowa" },
-  { code: "KS", name: "Kansas" }, { code: "KY", name: "Kentucky" }, { code: "LA", name: "Louisiana" },
-  { code: "ME", name: "Maine" }, { code: "MD", name: "Maryland" }, { code: "MA", name: "Massachusetts" },
-  { code: "MI", name: "Michigan" }, { code: "MN", name: "Minnesota" }, { code: "MS", name: "Mississippi" },
-  { code: "MO", name: "Missouri" }, { code: "MT", name: "Montana" }, { code: "NE", name: "Nebraska" },
-  { code: "NV", name: "Nevada" }, { code: "NH", name: "New Hampshire" }, { code: "NJ", name: "New Jersey" },
-  { code: "NM", name: "New Mexico" }, { code: "NY", name: "New York" }, { code: "NC", name: "North Carolina" },
-  { code: "ND", name: "North Dakota" }, { code: "OH", name: "Ohio" }, { code: "OK", name: "Oklahoma" },
-  { code: "OR", name: "Oregon" }, { code: "PA", name: "Pennsylvania" }, { code: "RI", name: "Rhode Island" },
-  { code: "SC", name: "South Carolina" }, { code: "SD", name: "South Dakota" }, { code: "TN", name: "Tennessee" },
-  { code: "TX", name: "Texas" }, { code: "UT", name: "Utah" }, { code: "VT", name: "Vermont" },
-  { code: "VA", name: "Virginia" }, { code: "WA", name: "Washington" }, { code: "WV", name: "West Virginia" },
-  { code: "WI", name: "Wisconsin" }, { code: "WY", name: "Wyoming" }, { code: "DC", name: "DC" },
+// Keep paging until at least this many jobs are loaded (or the query runs out)
+const MIN_VISIBLE_JOBS = 20;
+const SEARCH_PAGE_SIZE = 25;
+// Search runs server-side (searchJobs) once the query has this many characters
+const SEARCH_MIN_CHARS = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+// searchJobs returns these as ISO strings
+const SEARCH_TIMESTAMP_FIELDS = ["sourceUpdatedTs", "firstSeenAt", "fetchedAt", "lastSeenAt", "closedAt"];
+
+// Mirrors TTL_DAYS in functions/index.js (unpinned jobs expire this long after their last sync)
+const JOB_TTL_DAYS = 3;
+// "New" badge window, based on firstSeenAt
+const NEW_BADGE_HOURS = 24;
+
+const US_STATES = GAZETTEER.regions
+  .filter((r) => r.country === "US")
+  .map((r) => ({ code: r.abbr, name: r.abbr === "DC" ? "DC" : r.name }));
+
+const TIMEFRAMES = ["all", "24h", "12h", "6h", "1h"];
+const DEFAULT_TIMEFRAME = "1h";
+
+const WORK_MODES = [
+  { id: "all", label: "Any" },
+  { id: "onsite", label: "On-site" },
+  { id: "remote", label: "Remote" },
 ];
 
+/**
+ * Filters <-> query string, so /jobs?t=24h&companies=a,b&state=CA&q=engineer
+ * can be shared and survives a refresh. Defaults are left out of the URL.
+ */
+function filtersFromSearchParams(params) {
+  const t = params.get("t");
+  const state = String(params.get("state") || "").toUpperCase();
+  const mode = params.get("mode");
+  return {
+    timeframe: TIMEFRAMES.includes(t) ? t : DEFAULT_TIMEFRAME,
+    companyKeys: String(params.get("companies") || "").split(",").filter(Boolean),
+    stateCode: US_STATES.some((s) => s.code === state) ? state : "",
+    workMode: WORK_MODES.some((m) => m.id === mode) ? mode : "all",
+    titleSearch: params.get("q") || "",
+  };
+}
+
+function filtersToSearchParams({ timeframe, companyKeys, stateCode, workMode, titleSearch }) {
+  const params = {};
+  if (timeframe !== DEFAULT_TIMEFRAME) params.t = timeframe;
+  if (companyKeys.length > 0) params.companies = companyKeys.join(",");
+  if (stateCode) params.state = stateCode;
+  if (workMode !== "all") params.mode = workMode;
+  if (titleSearch.trim()) params.q = titleSearch.trim();
+  return params;
+}
+
 function timeAgoFromFirestore(ts) {
   if (!ts?.toDate) return "—";
   const d = ts.toDate();
@@ -72,37 +113,107 @@ function timeframeToThresholdTs(timeframe) {
   return Timestamp.fromDate(new Date(Date.now() - ms));
 }
 
-// Try to extract state codes from location tokens / string (fallback only)
-function extractStateCodesFromLocationTokens(tokensOrString) {
-  const tokens = Array.isArray(tokensOrString) ? tokensOrString : [tokensOrString].filter(Boolean);
-  const found = new Set();
-  for (const t of tokens) {
-    const upper = String(t || "").toUpperCase();
-    const matches = upper.match(/\b[A-Z]{2}\b/g) || [];
-    for (const m of matches) {
-      if (US_STATES.some((s) => s.code === m)) found.add(m);
-    }
+// "US-CO", "remote", "US-CO:onsite", ... (one array-contains on locationKeys)
+function locationFilterKey(stateCode, workMode) {
+  const mode = workMode === "all" ? null : workMode;
+  if (!stateCode) return mode;
+  return mode ? `US-${stateCode}:${mode}` : `US-${stateCode}`;
+}
+
+// Firestore doc data (or a searchJobs hit) -> row used by the list
+function toJobRow(id, path, data) {
+  const locationName =
+    data.locationName ||
+    (Array.isArray(data.locationTokens) ? data.locationTokens[0] : "") ||
+    "Remote";
+
+  // display updated = sourceUpdatedTs
+  const updatedShort =
+    data.sourceUpdatedTs?.toDate ? shortAgoFromDate(data.sourceUpdatedTs.toDate()) : "—";
+
+  return {
+    id,
+    ...data,
+
+    companyName: data.companyName || "Unknown",
+    locationName,
+
+    // link priority: jobUrl -> applyUrl -> "#"
+    absolute_url: data.jobUrl || data.applyUrl || "#",
+
+    // discovered time (prefer firstSeenAt, fallback fetchedAt)
+    firstSeenAt: data.firstSeenAt || data.fetchedAt || null,
+
+    _updatedShort: updatedShort,
+    _path: path,
+  };
+}
+
+function searchHitToRow(hit) {
+  const data = { ...hit };
+  for (const key of SEARCH_TIMESTAMP_FIELDS) {
+    data[key] = hit[key] ? Timestamp.fromDate(new Date(hit[key])) : null;
   }
-  return Array.from(found);
+  return toJobRow(hit.id, hit.path, data);
+}
+
+function formatSalary(d) {
+  if (!d || (d.salaryMin == null && d.salaryMax == null)) return null;
+  const fmt = (n) =>
+    new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: d.salaryCurrency || "USD",
+      maximumFractionDigits: 0,
+    }).format(n);
+  const range =
+    d.salaryMin != null && d.salaryMax != null && d.salaryMin !== d.salaryMax
+      ? `${fmt(d.salaryMin)} – ${fmt(d.salaryMax)}`
+      : fmt(d.salaryMax ?? d.salaryMin);
+  return d.salaryInterval ? `${range} / ${d.salaryInterval}` : range;
+}
+
+function formatEmploymentType(t) {
+  if (!t) return null;
+  return String(t).replace(/_/g, "-").replace(/^\w/, (c) => c.toUpperCase());
 }
 
 export default function Jobs({ user }) {
   const { showToast } = useToast();
 
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Read once on mount; afterwards the URL follows the filter state
+  const [initialFilters] = useState(() => filtersFromSearchParams(searchParams));
+
   const [companies, setCompanies] = useState([]);
-  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [selectedKeys, setSelectedKeys] = useState(initialFilters.companyKeys);
 
   const [jobs, setJobs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isProcessing, setIsProcessing] = useState(true);
-  const [lastDoc, setLastDoc] = useState(null);
+  // Per-chunk cursors for the company-filtered query (see src/jobsQuery.js)
+  const [pager, setPager] = useState(null);
   const [hasMore, setHasMore] = useState(true);
 
-  const [titleSearch, setTitleSearch] = useState("");
-  const [stateFilter, setStateFilter] = useState("");
-  const [timeframe, setTimeframe] = useState("1h");
+  const [titleSearch, setTitleSearch] = useState(initialFilters.titleSearch);
+  // Debounced titleSearch; non-empty switches the list to searchJobs results
+  const [searchQuery, setSearchQuery] = useState(
+    initialFilters.titleSearch.trim().length >= SEARCH_MIN_CHARS ? initialFilters.titleSearch.trim() : ""
+  );
+  const [searchCursor, setSearchCursor] = useState(null);
+  const [searchTotal, setSearchTotal] = useState(null);
+  const [stateFilter, setStateFilter] = useState(initialFilters.stateCode);
+  const [workMode, setWorkMode] = useState(initialFilters.workMode);
+  const [timeframe, setTimeframe] = useState(initialFilters.timeframe);
   const [isFilterExpanded, setIsFilterExpanded] = useState(false);
 
+  // Detail drawer (jobs synced in full content mode have users/{uid}/jobDetails/{jobId})
+  const [expandedJobId, setExpandedJobId] = useState(null);
+  const [detailsById, setDetailsById] = useState({});
+
+  // jobId -> application status, for the Track button (src/applications.js)
+  const [trackedStatus, setTrackedStatus] = useState({});
+
   const observer = useRef(null);
 
   /**
@@ -124,13 +235,64 @@ export default function Jobs({ user }) {
     return () => { cancelled = true; };
   }, [user.uid]);
 
+  useEffect(() => {
+    return onSnapshot(collection(db, "users", user.uid, "applications"), (snap) => {
+      setTrackedStatus(Object.fromEntries(snap.docs.map((d) => [d.id, d.get("status")])));
+    });
+  }, [user.uid]);
+
+  useEffect(() => {
+    setSearchParams(
+      filtersToSearchParams({ timeframe, companyKeys: selectedKeys, stateCode: stateFilter, workMode, titleSearch }),
+      { replace: true }
+    );
+  }, [timeframe, selectedKeys, stateFilter, workMode, titleSearch, setSearchParams]);
+
+  useEffect(() => {
+    const term = titleSearch.trim();
+    const t = setTimeout(() => setSearchQuery(term.length >= SEARCH_MIN_CHARS ? term : ""), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [titleSearch]);
+
+  // Location filter key written by sync (locationKeys in functions/lib/locations.js)
+  const locationKey = locationFilterKey(stateFilter, workMode);
+
+  /**
+   * One search page (server-side ranking, see functions/lib/search.js)
+   * -> { rows, cursor, total }
+   */
+  const fetchSearchPage = useCallback(
+    async (cursor) => {
+      const params = { userId: user.uid, q: searchQuery, limit: String(SEARCH_PAGE_SIZE) };
+      if (cursor) params.cursor = cursor;
+      const thresholdTs = timeframeToThresholdTs(timeframe);
+      if (thresholdTs) params.updatedAfter = thresholdTs.toDate().toISOString();
+      if (selectedKeys.length > 0) params.companyKeys = selectedKeys.join(",");
+      if (locationKey) params.locationKey = locationKey;
+
+      const resp = await fetch(functionUrl("searchJobs", params), { headers: await authHeaders(user) });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data?.error || "Search failed (HTTP error).");
+
+      return {
+        rows: (data.results || []).map(searchHitToRow),
+        cursor: data.nextCursor || null,
+        total: Number(data.total || 0),
+      };
+    },
+    [user, searchQuery, timeframe, selectedKeys, locationKey]
+  );
+
   /**
    * Fetch jobs
    *
-   * Updated to match your new Firestore schema:
-   * - collection: users/{uid}/jobs
-   * - sort/filter: sourceUpdatedTs
-   * - company filter: companyKey
+   * Every filter runs in the query (no client-side filtering, so a page never
+   * comes back empty while matches sit further down):
+   * - collection: users/{uid}/jobs, sorted by sourceUpdatedTs
+   * - timeframe: sourceUpdatedTs >=
+   * - state / work mode: locationKeys array-contains
+   * - companies: companyKey in (chunked, src/jobsQuery.js)
+   * Keeps paging until MIN_VISIBLE_JOBS are loaded or the query is exhausted.
    */
   const fetchJobs = useCallback(
     async (isFirstPage = true) => {
@@ -138,71 +300,47 @@ export default function Jobs({ user }) {
       setIsProcessing(true);
 
       try {
-        const jobsCol = collection(db, "users", user.uid, "jobs");
-        const constraints = [];
-
-        if (selectedKeys.length > 0) {
-          constraints.push(where("companyKey", "in", selectedKeys.slice(0, 10)));
-        }
-
-        // ✅ canonical sort field from index.js
-        constraints.push(orderBy("sourceUpdatedTs", "desc"));
-
-        if (timeframe !== "all") {
-          const thresholdTs = timeframeToThresholdTs(timeframe);
-          if (thresholdTs) constraints.push(where("sourceUpdatedTs", ">=", thresholdTs));
+        const rows = [];
+
+        if (searchQuery) {
+          let cursor = isFirstPage ? null : searchCursor;
+          let total = null;
+          do {
+            const page = await fetchSearchPage(cursor);
+            rows.push(...page.rows);
+            cursor = page.cursor;
+            total = page.total;
+          } while (cursor && rows.length < MIN_VISIBLE_JOBS);
+
+          setSearchCursor(cursor);
+          setSearchTotal(total);
+          setHasMore(!!cursor);
+        } else {
+          const jobsCol = collection(db, "users", user.uid, "jobs");
+          const constraints = [];
+
+          if (timeframe !== "all") {
+            const thresholdTs = timeframeToThresholdTs(timeframe);
+            if (thresholdTs) constraints.push(where("sourceUpdatedTs", ">=", thresholdTs));
+          }
+          if (locationKey) constraints.push(where("locationKeys", "array-contains", locationKey));
+
+          // Company selections of any size: chunked "in" queries merged by sourceUpdatedTs
+          let current = isFirstPage || !pager ? createJobsPager(selectedKeys) : pager;
+          do {
+            const page = await fetchJobsPage(jobsCol, current, { constraints, pageSize: PAGE_SIZE });
+            rows.push(...page.docs.map((d) => toJobRow(d.id, d.ref.path, d.data())));
+            current = page.pager;
+          } while (pagerHasMore(current) && rows.length < MIN_VISIBLE_JOBS);
+
+          setPager(current);
+          setHasMore(pagerHasMore(current));
         }
 
-        constraints.push(limit(PAGE_SIZE));
-        if (!isFirstPage && lastDoc) constraints.push(startAfter(lastDoc));
-
-        const qJobs = query(jobsCol, ...constraints);
-        const snap = await getDocs(qJobs);
-
-        const docs = snap.docs.map((d) => {
-          const data = d.data();
-
-          const locationName =
-            data.locationName ||
-            (Array.isArray(data.locationTokens) ? data.locationTokens[0] : "") ||
-            "Remote";
-
-          const companyName = data.companyName || "Unknown";
-
-          const stateCodes =
-            Array.isArray(data.stateCodes) && data.stateCodes.length > 0
-              ? data.stateCodes
-              : extractStateCodesFromLocationTokens(data.locationTokens || locationName);
-
-          // display updated = sourceUpdatedTs
-          const updatedShort =
-            data.sourceUpdatedTs?.toDate ? shortAgoFromDate(data.sourceUpdatedTs.toDate()) : "—";
-
-          return {
-            id: d.id,
-            ...data,
-
-            companyName,
-            locationName,
-            stateCodes,
-
-            // link priority: jobUrl -> applyUrl -> "#"
-            absolute_url: data.jobUrl || data.applyUrl || "#",
-
-            // discovered time (prefer firstSeenAt, fallback fetchedAt)
-            firstSeenAt: data.firstSeenAt || data.fetchedAt || null,
-
-            _updatedShort: updatedShort,
-            _path: d.ref.path,
-          };
-        });
-
-        setJobs((prev) => (isFirstPage ? docs : [...prev, ...docs]));
-        setLastDoc(snap.docs[snap.docs.length - 1] || null);
-        setHasMore(snap.docs.length === PAGE_SIZE);
+        setJobs((prev) => (isFirstPage ? rows : [...prev, ...rows]));
       } catch (err) {
         console.error("Fetch jobs error:", err);
-        showToast("Error loading jobs. Check Firestore indexes.", "error");
+        showToast(searchQuery ? err.message || "Search failed." : "Error loading jobs. Check Firestore indexes.", "error");
         setHasMore(false);
       } finally {
         setTimeout(() => {
@@ -211,16 +349,18 @@ export default function Jobs({ user }) {
         }, 150);
       }
     },
-    [user.uid, selectedKeys, lastDoc, timeframe, showToast]
+    [user.uid, selectedKeys, pager, timeframe, locationKey, searchQuery, searchCursor, fetchSearchPage, showToast]
   );
 
   useEffect(() => {
-    setLastDoc(null);
+    setPager(null);
+    setSearchCursor(null);
+    setSearchTotal(null);
     setJobs([]);
     setHasMore(true);
     fetchJobs(true);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedKeys, timeframe]);
+  }, [selectedKeys, timeframe, locationKey, searchQuery]);
 
   const lastElementRef = useCallback(
     (node) => {
@@ -239,6 +379,24 @@ export default function Jobs({ user }) {
     [loading, hasMore, fetchJobs]
   );
 
+  // Same shape as the URL filters; stored as savedSearches/{id}.filters
+  const currentFilters = {
+    timeframe,
+    companyKeys: selectedKeys,
+    stateCode: stateFilter,
+    workMode,
+    titleSearch: titleSearch.trim(),
+  };
+
+  const openSavedSearch = (search) => {
+    const f = search.filters || {};
+    setTimeframe(TIMEFRAMES.includes(f.timeframe) ? f.timeframe : DEFAULT_TIMEFRAME);
+    setSelectedKeys(Array.isArray(f.companyKeys) ? f.companyKeys : []);
+    setStateFilter(US_STATES.some((st) => st.code === f.stateCode) ? f.stateCode : "");
+    setWorkMode(WORK_MODES.some((m) => m.id === f.workMode) ? f.workMode : "all");
+    setTitleSearch(f.titleSearch || "");
+  };
+
   const toggleCompany = (key) => {
     setSelectedKeys((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
   };
@@ -249,8 +407,16 @@ export default function Jobs({ user }) {
 
     setJobs((prev) => prev.map((j) => (j.id === job.id ? { ...j, saved: newState } : j)));
 
+    // Pinned jobs are exempt from TTL deletion; unpinning restarts the clock
+    const expireAt = newState
+      ? null
+      : Timestamp.fromDate(new Date(Date.now() + JOB_TTL_DAYS * 24 * 60 * 60 * 1000));
+
     try {
-      await updateDoc(doc(db, job._path), { saved: newState });
+      await updateDoc(doc(db, job._path), { saved: newState, expireAt });
+      if (job.hasDetails) {
+        await setDoc(doc(db, "users", user.uid, "jobDetails", job.id), { expireAt }, { merge: true });
+      }
       showToast(newState ? "Job pinned" : "Pin removed", "info");
     } catch (err) {
       console.error("Bookmark update error:", err);
@@ -259,44 +425,61 @@ export default function Jobs({ user }) {
     }
   };
 
-  /**
-   * Client-side filters:
-   * - titleSearch
-   * - stateFilter (stateCodes preferred)
-   */
-  const filteredJobs = useMemo(() => {
-    const titleTerm = titleSearch.trim().toLowerCase();
-
-    return jobs.filter((j) => {
-      if (titleTerm && !j.title?.toLowerCase().includes(titleTerm)) return false;
+  const trackApplication = async (e, job) => {
+    e.preventDefault();
+    if (trackedStatus[job.id]) {
+      navigate("/applications");
+      return;
+    }
+    try {
+      await trackJob(user.uid, job);
+      showToast("Added to Applications", "success");
+    } catch (err) {
+      console.error("Track job error:", err);
+      showToast("Failed to track job.", "error");
+    }
+  };
 
-      if (stateFilter) {
-        if (Array.isArray(j.stateCodes)) {
-          if (!j.stateCodes.includes(stateFilter)) return false;
-        } else {
-          const location = (j.locationName || "").trim().toUpperCase();
-          const stateRegex = new RegExp(`(?:^|[^A-Z])${stateFilter}(?:$|[^A-Z])`);
-          if (!stateRegex.test(location)) return false;
-        }
-      }
+  const toggleDetails = async (e, job) => {
+    e.preventDefault();
+    if (expandedJobId === job.id) {
+      setExpandedJobId(null);
+      return;
+    }
+    setExpandedJobId(job.id);
+    if (detailsById[job.id]?.data) return;
 
-      return true;
-    });
-  }, [jobs, titleSearch, stateFilter]);
+    setDetailsById((prev) => ({ ...prev, [job.id]: { loading: true } }));
+    try {
+      const snap = await getDoc(doc(db, "users", user.uid, "jobDetails", job.id));
+      setDetailsById((prev) => ({ ...prev, [job.id]: { data: snap.exists() ? snap.data() : null } }));
+    } catch (err) {
+      console.error("Load job details error:", err);
+      setDetailsById((prev) => ({ ...prev, [job.id]: { error: true } }));
+      showToast("Error loading job details", "error");
+    }
+  };
 
   const { bookmarkedJobs, regularJobs } = useMemo(() => {
-    const showPinnedSeparately = selectedKeys.length === 0 && timeframe === "all";
+    // Search results stay in ranked order
+    const showPinnedSeparately = selectedKeys.length === 0 && timeframe === "all" && !searchQuery;
     if (showPinnedSeparately) {
       return {
-        bookmarkedJobs: filteredJobs.filter((j) => j.saved),
-        regularJobs: filteredJobs.filter((j) => !j.saved),
+        bookmarkedJobs: jobs.filter((j) => j.saved),
+        regularJobs: jobs.filter((j) => !j.saved),
       };
     }
-    return { bookmarkedJobs: [], regularJobs: filteredJobs };
-  }, [filteredJobs, selectedKeys, timeframe]);
+    return { bookmarkedJobs: [], regularJobs: jobs };
+  }, [jobs, selectedKeys, timeframe, searchQuery]);
 
   const renderJobItem = (job) => {
     const updatedShort = job._updatedShort || "—";
+    const isClosed = !!job.closedAt;
+    const isExpanded = expandedJobId === job.id;
+    const isNew =
+      !isClosed &&
+      job.firstSeenAt?.toDate &&
+      Date.now() - job.firstSeenAt.toDate().getTime() < NEW_BADGE_HOURS * 60 * 60 * 1000;
 
     return (
       <li
@@ -318,12 +501,33 @@ export default function Jobs({ user }) {
               </span>
             </div>
 
-            <h3 className="text-base font-semibold text-gray-900 group-hover:text-indigo-600 transition-colors truncate">
-              {job.title}
-            </h3>
+            <div className="flex items-center gap-2 min-w-0">
+              <h3
+                className={`text-base font-semibold group-hover:text-indigo-600 transition-colors truncate ${
+                  isClosed ? "text-gray-400 line-through" : "text-gray-900"
+                }`}
+              >
+                {job.title}
+              </h3>
+              {isNew && (
+                <span className="flex-shrink-0 rounded-full px-2 py-0.5 text-[10px] font-black uppercase tracking-widest bg-emerald-50 text-emerald-600">
+                  New
+                </span>
+              )}
+              {isClosed && (
+                <span className="flex-shrink-0 rounded-full px-2 py-0.5 text-[10px] font-black uppercase tracking-widest bg-red-50 text-red-500">
+                  Taken down
+                </span>
+              )}
+            </div>
 
             <div className="mt-1 text-xs text-gray-400 flex flex-wrap items-center gap-x-3 gap-y-1">
               <span>Discovered {timeAgoFromFirestore(job.firstSeenAt)}</span>
+              {isClosed ? (
+                <span>Closed {timeAgoFromFirestore(job.closedAt)}</span>
+              ) : job.lastSeenAt ? (
+                <span>Last seen {timeAgoFromFirestore(job.lastSeenAt)}</span>
+              ) : null}
               <span className="sm:hidden inline-flex items-center gap-1">
                 <span className="text-gray-300">•</span>
                 <span>
@@ -334,6 +538,38 @@ export default function Jobs({ user }) {
           </a>
 
           <div className="flex items-center gap-4 flex-shrink-0">
+            {job.hasDetails && (
+              <button
+                onClick={(e) => toggleDetails(e, job)}
+                className={`p-2 rounded-full transition-colors ${
+                  isExpanded ? "text-indigo-600 bg-indigo-50" : "text-gray-300 hover:bg-gray-100 hover:text-gray-500"
+                }`}
+                aria-label={isExpanded ? "Hide details" : "Show details"}
+                aria-expanded={isExpanded}
+              >
+                <svg
+                  className={`size-5 transition-transform duration-300 ${isExpanded ? "rotate-180" : ""}`}
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" d="m19.5 8.25-7.5 7.5-7.5-7.5" />
+                </svg>
+              </button>
+            )}
+
+            <button
+              onClick={(e) => trackApplication(e, job)}
+              className={`rounded-full px-3 py-1 text-[10px] font-black uppercase tracking-widest transition-colors ${
+                trackedStatus[job.id]
+                  ? "bg-indigo-50 text-indigo-600 hover:bg-indigo-100"
+                  : "text-gray-400 ring-1 ring-gray-200 hover:text-indigo-600 hover:ring-indigo-200"
+              }`}
+            >
+              {trackedStatus[job.id] ? statusLabel(trackedStatus[job.id]) : "Track"}
+            </button>
+
             <button
               onClick={(e) => toggleBookmark(e, job)}
               className={`p-2 rounded-full transition-colors ${
@@ -364,10 +600,74 @@ export default function Jobs({ user }) {
             </div>
           </div>
         </div>
+
+        <AnimatePresence>
+          {isExpanded && (
+            <motion.div
+              initial={{ height: 0, opacity: 0 }}
+              animate={{ height: "auto", opacity: 1 }}
+              exit={{ height: 0, opacity: 0 }}
+              transition={{ duration: 0.3, ease: "easeInOut" }}
+              className="overflow-hidden"
+            >
+              {renderDetails(detailsById[job.id])}
+            </motion.div>
+          )}
+        </AnimatePresence>
       </li>
     );
   };
 
+  const renderDetails = (entry) => {
+    if (!entry || entry.loading) {
+      return (
+        <div className="mt-4 space-y-2 animate-pulse">
+          <div className="h-3 w-1/3 bg-gray-100 rounded" />
+          <div className="h-3 w-2/3 bg-gray-100 rounded" />
+        </div>
+      );
+    }
+    if (entry.error || !entry.data) {
+      return <p className="mt-4 text-xs text-gray-400 italic">No stored details for this job.</p>;
+    }
+
+    const d = entry.data;
+    const salary = formatSalary(d);
+    const employmentType = formatEmploymentType(d.employmentType);
+
+    return (
+      <div className="mt-4 rounded-xl bg-gray-50 ring-1 ring-gray-100 p-5">
+        {(salary || employmentType) && (
+          <div className="mb-4 flex flex-wrap items-center gap-2">
+            {salary && (
+              <span className="rounded-full px-2.5 py-1 text-[11px] font-bold bg-emerald-50 text-emerald-700">
+                {salary}
+                {d.salarySource === "description" && <span className="ml-1 font-medium text-emerald-500">(from posting)</span>}
+              </span>
+            )}
+            {employmentType && (
+              <span className="rounded-full px-2.5 py-1 text-[11px] font-bold bg-gray-100 text-gray-600">
+                {employmentType}
+              </span>
+            )}
+          </div>
+        )}
+
+        {d.descriptionHtml ? (
+          // Sanitized server-side (functions/lib/jobContent.js) before it is stored
+          <div
+            className="max-h-[60vh] overflow-y-auto text-sm leading-relaxed text-gray-700 [&_p]:mb-3 [&_ul]:mb-3 [&_ul]:list-disc [&_ul]:pl-5 [&_ol]:mb-3 [&_ol]:list-decimal [&_ol]:pl-5 [&_h1]:font-bold [&_h2]:font-bold [&_h3]:font-bold [&_h3]:mt-4 [&_h3]:mb-2 [&_a]:text-indigo-600 [&_a]:underline"
+            dangerouslySetInnerHTML={{ __html: d.descriptionHtml }}
+          />
+        ) : d.descriptionText ? (
+          <p className="max-h-[60vh] overflow-y-auto whitespace-pre-line text-sm leading-relaxed text-gray-700">
+            {d.descriptionText}
+          </p>
+        ) : null}
+      </div>
+    );
+  };
+
   const renderSkeleton = () => (
     <div className="px-6 py-8 border-b border-gray-100 animate-pulse">
       <div className="h-3 w-24 bg-gray-200 rounded mb-3" />
@@ -377,230 +677,263 @@ export default function Jobs({ user }) {
   );
 
   return (
-    <div className="py-8 px-4 md:px-0 min-h-screen" style={{ fontFamily: "Ubuntu, sans-serif" }}>
-      {/* HEADER */}
-      <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-4 text-center md:text-left">
-        <div>
-          <h1 className="text-2xl font-bold text-gray-900 tracking-tight">Opportunities</h1>
-          <p className="text-sm text-gray-500 mt-1">
-            {selectedKeys.length === 0 ? "Viewing all companies" : `Filtering ${selectedKeys.length} company(ies)`}
-          </p>
-        </div>
+    <div
+      className="py-8 px-4 md:px-0 min-h-screen lg:grid lg:grid-cols-[240px_minmax(0,1fr)] lg:gap-8 lg:items-start"
+      style={{ fontFamily: "Ubuntu, sans-serif" }}
+    >
+      <aside className="mb-6 lg:mb-0 lg:sticky lg:top-24">
+        <SavedSearches user={user} currentFilters={currentFilters} onOpen={openSavedSearch} />
+      </aside>
+
+      <div className="min-w-0">
+        {/* HEADER */}
+        <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-4 text-center md:text-left">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 tracking-tight">Opportunities</h1>
+            <p className="text-sm text-gray-500 mt-1">
+              {searchQuery && searchTotal != null
+                ? `${searchTotal} match${searchTotal === 1 ? "" : "es"} for “${searchQuery}”`
+                : selectedKeys.length === 0
+                  ? "Viewing all companies"
+                  : `Filtering ${selectedKeys.length} company(ies)`}
+            </p>
+          </div>
 
-        <div className="flex justify-center w-full md:w-auto overflow-hidden">
-          <div className="inline-flex p-1 bg-gray-100 rounded-xl overflow-x-auto no-scrollbar scroll-smooth">
-            {["all", "24h", "12h", "6h", "1h"].map((id) => (
-              <button
-                key={id}
-                onClick={() => setTimeframe(id)}
-                className={`px-4 py-1.5 text-[11px] font-bold rounded-lg transition-all whitespace-nowrap min-w-fit ${
-                  timeframe === id ? "bg-white text-indigo-600 shadow-sm" : "text-gray-500 hover:text-gray-700"
-                }`}
-              >
-                {id === "all" ? "All Jobs" : `Last ${id}`}
-              </button>
-            ))}
+          <div className="flex justify-center w-full md:w-auto overflow-hidden">
+            <div className="inline-flex p-1 bg-gray-100 rounded-xl overflow-x-auto no-scrollbar scroll-smooth">
+              {TIMEFRAMES.map((id) => (
+                <button
+                  key={id}
+                  onClick={() => setTimeframe(id)}
+                  className={`px-4 py-1.5 text-[11px] font-bold rounded-lg transition-all whitespace-nowrap min-w-fit ${
+                    timeframe === id ? "bg-white text-indigo-600 shadow-sm" : "text-gray-500 hover:text-gray-700"
+                  }`}
+                >
+                  {id === "all" ? "All Jobs" : `Last ${id}`}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
-      </div>
 
-      {/* SEARCH + TOGGLE */}
-      <div className="flex flex-wrap items-center gap-4 p-4 mb-6 bg-white rounded-xl ring-1 ring-gray-200 shadow-sm">
-        <div className="min-w-[240px] flex-1 flex items-end gap-3 h-fit">
-          <div className="flex-1">
-            <label className="caps-label mb-2 block px-1 text-gray-400 uppercase tracking-widest text-[10px] font-black">
-              Job Title Search
-            </label>
-            <input
-              placeholder="e.g. Software Engineer"
-              className="input-standard !bg-gray-50 border-transparent focus:!bg-white h-11 w-full"
-              value={titleSearch}
-              onChange={(e) => setTitleSearch(e.target.value)}
-            />
-          </div>
+        {/* SEARCH + TOGGLE */}
+        <div className="flex flex-wrap items-center gap-4 p-4 mb-6 bg-white rounded-xl ring-1 ring-gray-200 shadow-sm">
+          <div className="min-w-[240px] flex-1 flex items-end gap-3 h-fit">
+            <div className="flex-1">
+              <label className="caps-label mb-2 block px-1 text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                Search
+              </label>
+              <input
+                placeholder="Title, company, location, department…"
+                className="input-standard !bg-gray-50 border-transparent focus:!bg-white h-11 w-full"
+                value={titleSearch}
+                onChange={(e) => setTitleSearch(e.target.value)}
+              />
+            </div>
 
-          <button
-            onClick={() => setIsFilterExpanded(!isFilterExpanded)}
-            className={`h-11 w-11 flex items-center justify-center rounded-xl border transition-all ${
-              isFilterExpanded
-                ? "bg-indigo-50 border-indigo-200 text-indigo-600 shadow-inner"
-                : "bg-white border-gray-200 text-gray-400 hover:bg-gray-50"
-            }`}
-            aria-label={isFilterExpanded ? "Hide filters" : "Show filters"}
-          >
-            <svg viewBox="0 0 20 20" fill="currentColor" className="size-5 transition-transform duration-300">
-              <path d="M2.628 1.601C5.028 1.206 7.49 1 10 1s4.973.206 7.372.601a.75.75 0 0 1 .628.74v2.288a2.25 2.25 0 0 1-.659 1.59l-4.682 4.683a2.25 2.25 0 0 0-.659 1.59v3.037c0 .684-.31 1.33-.844 1.757l-1.937 1.55A.75.75 0 0 1 8 18.25v-5.757a2.25 2.25 0 0 0-.659-1.591L2.659 6.22A2.25 2.25 0 0 1 2 4.629V2.34a.75.75 0 0 1 .628-.74Z" />
-            </svg>
-          </button>
-        </div>
+            <button
+              onClick={() => setIsFilterExpanded(!isFilterExpanded)}
+              className={`h-11 w-11 flex items-center justify-center rounded-xl border transition-all ${
+                isFilterExpanded
+                  ? "bg-indigo-50 border-indigo-200 text-indigo-600 shadow-inner"
+                  : "bg-white border-gray-200 text-gray-400 hover:bg-gray-50"
+              }`}
+              aria-label={isFilterExpanded ? "Hide filters" : "Show filters"}
+            >
+              <svg viewBox="0 0 20 20" fill="currentColor" className="size-5 transition-transform duration-300">
+                <path d="M2.628 1.601C5.028 1.206 7.49 1 10 1s4.973.206 7.372.601a.75.75 0 0 1 .628.74v2.288a2.25 2.25 0 0 1-.659 1.59l-4.682 4.683a2.25 2.25 0 0 0-.659 1.59v3.037c0 .684-.31 1.33-.844 1.757l-1.937 1.55A.75.75 0 0 1 8 18.25v-5.757a2.25 2.25 0 0 0-.659-1.591L2.659 6.22A2.25 2.25 0 0 1 2 4.629V2.34a.75.75 0 0 1 .628-.74Z" />
+              </svg>
+            </button>
+          </div>
 
-        <div className="pt-6">
-          <button
-            onClick={() => {
-              setTitleSearch("");
-              setStateFilter("");
-              setTimeframe("1h");
-              setSelectedKeys([]);
-            }}
-            className="text-xs font-bold text-gray-400 hover:text-indigo-600 px-2"
-          >
-            Reset All
-          </button>
+          <div className="pt-6">
+            <button
+              onClick={() => {
+                setTitleSearch("");
+                setStateFilter("");
+                setWorkMode("all");
+                setTimeframe(DEFAULT_TIMEFRAME);
+                setSelectedKeys([]);
+              }}
+              className="text-xs font-bold text-gray-400 hover:text-indigo-600 px-2"
+            >
+              Reset All
+            </button>
+          </div>
         </div>
-      </div>
 
-      {/* FILTER PANEL */}
-      <AnimatePresence>
-        {isFilterExpanded && (
-          <motion.div
-            initial={{ height: 0, opacity: 0 }}
-            animate={{ height: "auto", opacity: 1 }}
-            exit={{ height: 0, opacity: 0 }}
-            transition={{ duration: 0.3, ease: "easeInOut" }}
-            className="overflow-hidden mb-8"
-          >
-            <div className="space-y-8 py-4 px-1">
-              {/* State */}
-              <div className="space-y-4">
-                <div className="flex items-center gap-2 px-1">
-                  <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
-                    Filter by State
-                  </label>
-                  <span className="bg-gray-100 text-gray-500 text-[10px] font-bold px-1.5 py-0.5 rounded-full">
-                    {US_STATES.length}
-                  </span>
-                </div>
+        {/* FILTER PANEL */}
+        <AnimatePresence>
+          {isFilterExpanded && (
+            <motion.div
+              initial={{ height: 0, opacity: 0 }}
+              animate={{ height: "auto", opacity: 1 }}
+              exit={{ height: 0, opacity: 0 }}
+              transition={{ duration: 0.3, ease: "easeInOut" }}
+              className="overflow-hidden mb-8"
+            >
+              <div className="space-y-8 py-4 px-1">
+                {/* Work mode */}
+                <div className="space-y-4">
+                  <div className="flex items-center gap-2 px-1">
+                    <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                      Work Mode
+                    </label>
+                  </div>
 
-                <div className="flex w-full overflow-hidden">
-                  <div className="inline-flex p-1 bg-gray-50 rounded-xl overflow-x-auto no-scrollbar scroll-smooth gap-1">
-                    <button
-                      onClick={() => setStateFilter("")}
-                      className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
-                        stateFilter === ""
-                          ? "bg-white text-indigo-600 shadow-sm ring-1 ring-gray-200"
-                          : "text-gray-500 hover:text-gray-700"
-                      }`}
-                    >
-                      All States
-                    </button>
-
-                    {US_STATES.map((s) => (
+                  <div className="inline-flex p-1 bg-gray-50 rounded-xl gap-1">
+                    {WORK_MODES.map((m) => (
                       <button
-                        key={s.code}
-                        onClick={() => setStateFilter(s.code)}
+                        key={m.id}
+                        onClick={() => setWorkMode(m.id)}
                         className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
-                          stateFilter === s.code
-                            ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
-                            : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                          workMode === m.id
+                            ? "bg-white text-indigo-600 shadow-sm ring-1 ring-gray-200"
+                            : "text-gray-500 hover:text-gray-700"
                         }`}
                       >
-                        {s.code} - {s.name}
+                        {m.label}
                       </button>
                     ))}
                   </div>
                 </div>
-              </div>
 
-              {/* Company */}
-              <div className="space-y-4">
-                <div className="flex items-center gap-2 px-1">
-                  <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
-                    Filter by Company (A-Z)
-                  </label>
-                  <span className="bg-gray-100 text-gray-500 text-[10px] font-bold px-1.5 py-0.5 rounded-full">
-                    {companies.length}
-                  </span>
-                </div>
+                {/* State */}
+                <div className="space-y-4">
+                  <div className="flex items-center gap-2 px-1">
+                    <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                      Filter by State
+                    </label>
+                    <span className="bg-gray-100 text-gray-500 text-[10px] font-bold px-1.5 py-0.5 rounded-full">
+                      {US_STATES.length}
+                    </span>
+                  </div>
+
+                  <div className="flex w-full overflow-hidden">
+                    <div className="inline-flex p-1 bg-gray-50 rounded-xl overflow-x-auto no-scrollbar scroll-smooth gap-1">
+                      <button
+                        onClick={() => setStateFilter("")}
+                        className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
+                          stateFilter === ""
+                            ? "bg-white text-indigo-600 shadow-sm ring-1 ring-gray-200"
+                            : "text-gray-500 hover:text-gray-700"
+                        }`}
+                      >
+                        All States
+                      </button>
 
-                <div className="flex w-full overflow-hidden">
-                  <div className="inline-flex p-1 bg-gray-50 rounded-xl overflow-x-auto no-scrollbar scroll-smooth gap-1">
-                    <button
-                      onClick={() => setSelectedKeys([])}
-                      className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
-                        selectedKeys.length === 0
-                          ? "bg-white text-indigo-600 shadow-sm ring-1 ring-gray-200"
-                          : "text-gray-500 hover:text-gray-700"
-                      }`}
-                    >
-                      All Companies
-                    </button>
-
-                    {companies.map((c) => {
-                      const label = c.companyName || "Unknown";
-                      return (
+                      {US_STATES.map((s) => (
                         <button
-                          key={c.id}
-                          onClick={() => toggleCompany(c.id)}
+                          key={s.code}
+                          onClick={() => setStateFilter(s.code)}
                           className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
-                            selectedKeys.includes(c.id)
+                            stateFilter === s.code
                               ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
                               : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
                           }`}
                         >
-                          {label}
+                          {s.code} - {s.name}
                         </button>
-                      );
-                    })}
+                      ))}
+                    </div>
                   </div>
                 </div>
 
-                {selectedKeys.length > 10 && (
-                  <div className="px-2 text-xs text-amber-600 font-semibold">
-                    Firestore "in" filter supports max 10 companies at a time. Only first 10 are applied.
+                {/* Company */}
+                <div className="space-y-4">
+                  <div className="flex items-center gap-2 px-1">
+                    <label className="caps-label text-gray-400 uppercase tracking-widest text-[10px] font-black">
+                      Filter by Company (A-Z)
+                    </label>
+                    <span className="bg-gray-100 text-gray-500 text-[10px] font-bold px-1.5 py-0.5 rounded-full">
+                      {companies.length}
+                    </span>
                   </div>
-                )}
+
+                  <div className="flex w-full overflow-hidden">
+                    <div className="inline-flex p-1 bg-gray-50 rounded-xl overflow-x-auto no-scrollbar scroll-smooth gap-1">
+                      <button
+                        onClick={() => setSelectedKeys([])}
+                        className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
+                          selectedKeys.length === 0
+                            ? "bg-white text-indigo-600 shadow-sm ring-1 ring-gray-200"
+                            : "text-gray-500 hover:text-gray-700"
+                        }`}
+                      >
+                        All Companies
+                      </button>
+
+                      {companies.map((c) => {
+                        const label = c.companyName || "Unknown";
+                        return (
+                          <button
+                            key={c.id}
+                            onClick={() => toggleCompany(c.id)}
+                            className={`px-5 py-2.5 rounded-lg text-xs font-bold transition-all whitespace-nowrap ${
+                              selectedKeys.includes(c.id)
+                                ? "bg-indigo-600 text-white shadow-md shadow-indigo-100"
+                                : "bg-white text-gray-500 ring-1 ring-inset ring-gray-200 hover:bg-gray-50"
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                </div>
               </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* LIST */}
+        <div className="bg-white shadow-sm ring-1 ring-gray-200 rounded-2xl overflow-hidden flex flex-col min-h-[500px] transition-all">
+          {(loading || isProcessing) && jobs.length === 0 ? (
+            <div className="flex-grow divide-y divide-gray-100">
+              {Array.from({ length: 6 }).map((_, i) => (
+                <React.Fragment key={i}>{renderSkeleton()}</React.Fragment>
+              ))}
             </div>
-          </motion.div>
-        )}
-      </AnimatePresence>
-
-      {/* LIST */}
-      <div className="bg-white shadow-sm ring-1 ring-gray-200 rounded-2xl overflow-hidden flex flex-col min-h-[500px] transition-all">
-        {(loading || isProcessing) && jobs.length === 0 ? (
-          <div className="flex-grow divide-y divide-gray-100">
-            {Array.from({ length: 6 }).map((_, i) => (
-              <React.Fragment key={i}>{renderSkeleton()}</React.Fragment>
-            ))}
-          </div>
-        ) : filteredJobs.length === 0 ? (
-          <div className="flex-grow flex flex-col items-center justify-center py-32 text-center bg-gray-50/10">
-            <p className="text-sm font-semibold text-gray-900 tracking-tight">No positions found</p>
-            <p className="text-xs text-gray-400 mt-1 max-w-[200px] leading-relaxed">Adjust filters to see more roles.</p>
-          </div>
-        ) : (
-          <div className="flex-grow">
-            {bookmarkedJobs.length > 0 && (
-              <div className="bg-amber-50/30">
-                <div className="px-6 py-3 border-b border-amber-100/50 flex items-center gap-2">
-                  <span className="text-[10px] font-black uppercase tracking-widest text-amber-700">
-                    📌 Pinned for Review
-                  </span>
-                </div>
-                <ul className="divide-y divide-gray-100">{bookmarkedJobs.map((job) => renderJobItem(job))}</ul>
-                <div className="relative py-4 bg-white flex items-center px-6">
-                  <div className="flex-grow border-t border-dashed border-gray-200" />
-                  <span className="flex-shrink mx-4 text-[10px] font-black text-gray-300 uppercase tracking-widest">
-                    Recent Postings
-                  </span>
-                  <div className="flex-grow border-t border-dashed border-gray-200" />
+          ) : jobs.length === 0 ? (
+            <div className="flex-grow flex flex-col items-center justify-center py-32 text-center bg-gray-50/10">
+              <p className="text-sm font-semibold text-gray-900 tracking-tight">No positions found</p>
+              <p className="text-xs text-gray-400 mt-1 max-w-[200px] leading-relaxed">Adjust filters to see more roles.</p>
+            </div>
+          ) : (
+            <div className="flex-grow">
+              {bookmarkedJobs.length > 0 && (
+                <div className="bg-amber-50/30">
+                  <div className="px-6 py-3 border-b border-amber-100/50 flex items-center gap-2">
+                    <span className="text-[10px] font-black uppercase tracking-widest text-amber-700">
+                      📌 Pinned for Review
+                    </span>
+                  </div>
+                  <ul className="divide-y divide-gray-100">{bookmarkedJobs.map((job) => renderJobItem(job))}</ul>
+                  <div className="relative py-4 bg-white flex items-center px-6">
+                    <div className="flex-grow border-t border-dashed border-gray-200" />
+                    <span className="flex-shrink mx-4 text-[10px] font-black text-gray-300 uppercase tracking-widest">
+                      Recent Postings
+                    </span>
+                    <div className="flex-grow border-t border-dashed border-gray-200" />
+                  </div>
                 </div>
+              )}
+              <ul className="divide-y divide-gray-100">{regularJobs.map((job) => renderJobItem(job))}</ul>
+            </div>
+          )}
+
+          <div ref={lastElementRef} className="h-20 flex items-center justify-center border-t border-gray-50">
+            {(loading || isProcessing) && jobs.length > 0 ? (
+              <div className="flex gap-1.5">
+                <div className="w-1.5 h-1.5 bg-indigo-600 rounded-full animate-bounce [animation-delay:-0.3s]" />
+                <div className="w-1.5 h-1.5 bg-indigo-600 rounded-full animate-bounce [animation-delay:-0.15s]" />
+                <div className="w-1.5 h-1.5 bg-indigo-600 rounded-full animate-bounce" />
               </div>
-            )}
-            <ul className="divide-y divide-gray-100">{regularJobs.map((job) => renderJobItem(job))}</ul>
+            ) : !hasMore && jobs.length > 0 ? (
+              <span className="text-[10px] font-black text-gray-200 uppercase tracking-widest">End of Feed</span>
+            ) : null}
           </div>
-        )}
-
-        <div ref={lastElementRef} className="h-20 flex items-center justify-center border-t border-gray-50">
-          {(loading || isProcessing) && jobs.length > 0 ? (
-            <div className="flex gap-1.5">
-              <div className="w-1.5 h-1.5 bg-indigo-600 rounded-full animate-bounce [animation-delay:-0.3s]" />
-              <div className="w-1.5 h-1.5 bg-indigo-600 rounded-full animate-bounce [animation-delay:-0.15s]" />
-              <div className="w-1.5 h-1.5 bg-indigo-600 rounded-full animate-bounce" />
-            </div>
-          ) : !hasMore && jobs.length > 0 ? (
-            <span className="text-[10px] font-black text-gray-200 uppercase tracking-widest">End of Feed</span>
-          ) : null}
         </div>
       </div>
     </div>
@@ -0,0 +1,265 @@
+/**
+ * test/firestore.rules.test.js
+ *
+ * firestore.rules against the Firestore emulator (npm run test:rules). Every
+ * collection gets the writes the UI makes (allowed) and the ones only the
+ * sync functions may make or nobody may make (denied). Skipped without
+ * FIRESTORE_EMULATOR_HOST.
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test'
+import { readFileSync } from 'node:fs'
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing'
+import { Timestamp, addDoc, collection, deleteDoc, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore'
+
+const EMULATED = !!process.env.FIRESTORE_EMULATOR_HOST
+const OWNER = 'alice'
+const OTHER = 'bob'
+const NOW = Timestamp.fromDate(new Date('2026-03-10T15:30:00Z'))
+
+// Docs the sync functions would have written, seeded with the rules off
+const SEED = {
+  [`users/${OWNER}`]: { email: 'alice@example.com' },
+  [`users/${OWNER}/feeds/f1`]: { company: 'Acme', url: 'https://boards.greenhouse.io/acme', source: 'greenhouse', archivedAt: null, lastCheckedAt: NOW, lastError: null },
+  [`users/${OWNER}/feeds/paused`]: { company: 'Initech', url: 'https://jobs.ashbyhq.com/initech', source: 'ashby', archivedAt: null, breaker: { state: 'open', consecutiveFailures: 5, openedAt: NOW, lastFailureAt: NOW, lastStatus: 503, nextProbeAt: NOW } },
+  [`users/${OWNER}/jobs/j1`]: { title: 'Engineer', companyName: 'Acme', saved: false, expireAt: NOW },
+  [`users/${OWNER}/jobDetails/j1`]: { content: '<p>Build things</p>', expireAt: NOW },
+  [`users/${OWNER}/settings/titleRules`]: { include: [], exclude: [] },
+  [`users/${OWNER}/savedSearches/s1`]: { name: 'Remote', filters: { remote: true }, newMatchCount: 4 },
+  [`users/${OWNER}/applications/j1`]: { jobId: 'j1', title: 'Engineer', companyName: 'Acme', status: 'applied', statusHistory: [] },
+  [`users/${OWNER}/notifications/n1`]: { title: '3 new jobs', read: false },
+  [`users/${OWNER}/pushTokens/t1`]: { token: 'fcm-token', userAgent: 'test' },
+  [`users/${OWNER}/webhooks/w1`]: { name: 'Slack', url: 'https://hooks.example.com/x', format: 'slack', enabled: true, secret: 'a'.repeat(32), lastStatus: 200 },
+  [`users/${OWNER}/webhookDeliveries/d1`]: { webhookId: 'w1', status: 200 },
+  [`users/${OWNER}/syncRuns/r1`]: { status: 'DONE' },
+  [`users/${OWNER}/companies/acme`]: { companyName: 'Acme' },
+  [`users/${OWNER}/private/rateLimits`]: { runSyncNow: NOW },
+  [`users/${OWNER}/digestQueue/q1`]: { jobId: 'j1' },
+  'adminAudit/a1': { action: 'purgeJobs', userId: OWNER },
+}
+
+const validFeed = { company: 'Globex', url: 'https://jobs.lever.co/globex', source: 'lever', createdAt: NOW, archivedAt: null, fullContent: false, priority: 'high', pollIntervalMinutes: 60 }
+const validApplication = { jobId: 'j2', title: 'Designer', companyName: 'Globex', url: 'https://example.com/j2', status: 'interested', statusHistory: [], contacts: [], nextAction: null, createdAt: NOW, updatedAt: NOW }
+const validWebhook = { name: 'Discord', url: 'https://discord.example.com/hook', format: 'discord', enabled: true, secret: 'b'.repeat(16), onlySavedSearches: false, createdAt: NOW, updatedAt: NOW }
+
+describe('firestore.rules', { skip: EMULATED ? false : 'needs the Firestore emulator (npm run test:rules)' }, () => {
+  let env
+  let owner
+  let other
+  let anon
+
+  before(async () => {
+    env = await initializeTestEnvironment({
+      projectId: 'demo-job-watch',
+      firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    })
+  })
+
+  beforeEach(async () => {
+    await env.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.firestore()
+      for (const [path, data] of Object.entries(SEED)) await setDoc(doc(db, path), data)
+    })
+    owner = env.authenticatedContext(OWNER).firestore()
+    other = env.authenticatedContext(OTHER).firestore()
+    anon = env.unauthenticatedContext().firestore()
+  })
+
+  afterEach(() => env.clearFirestore())
+  after(() => env.cleanup())
+
+  const ref = (db, path) => doc(db, path)
+  const userPath = (sub) => `users/${OWNER}/${sub}`
+
+  describe('users/{uid}', () => {
+    it('lets the owner read and edit their profile', async () => {
+      await assertSucceeds(getDoc(ref(owner, `users/${OWNER}`)))
+      await assertSucceeds(updateDoc(ref(owner, `users/${OWNER}`), { firstName: 'Alice', fullName: 'Alice', city: 'Berlin', updatedAt: NOW }))
+      await assertSucceeds(setDoc(ref(other, `users/${OTHER}`), { email: 'bob@example.com', firstName: 'Bob', lastName: '', fullName: 'Bob', createdAt: NOW, lastFetchAt: null }))
+    })
+
+    it('denies fields outside the profile form', async () => {
+      await assertFails(updateDoc(ref(owner, `users/${OWNER}`), { admin: true }))
+      await assertFails(setDoc(ref(owner, `users/${OWNER}`), { plan: 'pro' }, { merge: true }))
+      await assertFails(setDoc(ref(other, `users/${OTHER}`), { email: 'bob@example.com', lastFetchAt: NOW }))
+    })
+
+    it('keeps other users and signed-out clients out, and nobody deletes', async () => {
+      await assertFails(getDoc(ref(other, `users/${OWNER}`)))
+      await assertFails(getDoc(ref(anon, `users/${OWNER}`)))
+      await assertFails(updateDoc(ref(other, `users/${OWNER}`), { firstName: 'Bob' }))
+      await assertFails(deleteDoc(ref(owner, `users/${OWNER}`)))
+    })
+  })
+
+  describe('feeds', () => {
+    it('allows creating, editing, resuming and deleting a feed', async () => {
+      await assertSucceeds(getDoc(ref(owner, userPath('feeds/f1'))))
+      await assertSucceeds(setDoc(ref(owner, userPath('feeds/f2')), validFeed))
+      await assertSucceeds(updateDoc(ref(owner, userPath('feeds/f1')), { priority: 'low', pollIntervalMinutes: 1440, archivedAt: NOW }))
+      await assertSucceeds(updateDoc(ref(owner, userPath('feeds/paused')), { breaker: null }))
+      await assertSucceeds(deleteDoc(ref(owner, userPath('feeds/f1'))))
+    })
+
+    it('denies sync-owned fields, invalid values and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('feeds/f2')), { ...validFeed, lastCheckedAt: NOW }))
+      await assertFails(setDoc(ref(owner, userPath('feeds/f2')), { ...validFeed, httpCache: { etag: 'x' } }))
+      await assertFails(setDoc(ref(owner, userPath('feeds/f2')), { ...validFeed, pollIntervalMinutes: 5 }))
+      await assertFails(setDoc(ref(owner, userPath('feeds/f2')), { ...validFeed, url: '' }))
+      await assertFails(updateDoc(ref(owner, userPath('feeds/f1')), { lastError: null }))
+      await assertFails(updateDoc(ref(owner, userPath('feeds/paused')), { breaker: { state: 'closed', consecutiveFailures: 0 } }))
+      await assertFails(getDoc(ref(other, userPath('feeds/f1'))))
+      await assertFails(setDoc(ref(other, userPath('feeds/f2')), validFeed))
+    })
+  })
+
+  describe('jobs', () => {
+    it('allows pinning and annotating a job', async () => {
+      await assertSucceeds(getDoc(ref(owner, userPath('jobs/j1'))))
+      await assertSucceeds(updateDoc(ref(owner, userPath('jobs/j1')), { saved: true, expireAt: null, notes: 'Apply Monday', tags: ['backend'] }))
+    })
+
+    it('denies creating, deleting, editing synced fields and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('jobs/j2')), { title: 'Fake', saved: true }))
+      await assertFails(deleteDoc(ref(owner, userPath('jobs/j1'))))
+      await assertFails(updateDoc(ref(owner, userPath('jobs/j1')), { title: 'Staff Engineer' }))
+      await assertFails(updateDoc(ref(owner, userPath('jobs/j1')), { saved: 'yes' }))
+      await assertFails(updateDoc(ref(owner, userPath('jobs/j1')), { tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }))
+      await assertFails(getDoc(ref(other, userPath('jobs/j1'))))
+    })
+  })
+
+  describe('jobDetails', () => {
+    it('allows following the job pin', async () => {
+      await assertSucceeds(getDoc(ref(owner, userPath('jobDetails/j1'))))
+      await assertSucceeds(updateDoc(ref(owner, userPath('jobDetails/j1')), { expireAt: null }))
+    })
+
+    it('denies any other write and other users', async () => {
+      await assertFails(updateDoc(ref(owner, userPath('jobDetails/j1')), { content: '<script></script>' }))
+      await assertFails(setDoc(ref(owner, userPath('jobDetails/j2')), { expireAt: null }))
+      await assertFails(deleteDoc(ref(owner, userPath('jobDetails/j1'))))
+      await assertFails(getDoc(ref(other, userPath('jobDetails/j1'))))
+    })
+  })
+
+  describe('settings', () => {
+    it('allows the settings the UI edits', async () => {
+      await assertSucceeds(getDoc(ref(owner, userPath('settings/titleRules'))))
+      await assertSucceeds(setDoc(ref(owner, userPath('settings/locationPrefs')), { include: [{ country: 'US' }], exclude: [], updatedAt: NOW }))
+      await assertSucceeds(setDoc(ref(owner, userPath('settings/titleRules')), { include: ['engineer'], exclude: [], updatedAt: NOW }))
+      await assertSucceeds(setDoc(ref(owner, userPath('settings/digest')), { enabled: true, frequency: 'daily', dailyHour: 8, timeZone: 'UTC', quietHours: null, onlySavedSearches: false, unsubscribeToken: 'c'.repeat(32), updatedAt: NOW }))
+    })
+
+    it('denies unknown settings docs, server-written fields and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('settings/admin')), { isAdmin: true }))
+      await assertFails(setDoc(ref(owner, userPath('settings/locationPrefs')), { include: [], exclude: [], countries: ['US'] }))
+      await assertFails(updateDoc(ref(owner, userPath('settings/titleRules')), { regexCache: {} }))
+      await assertFails(setDoc(ref(owner, userPath('settings/digest')), { enabled: true, lastSentAt: NOW }, { merge: true }))
+      await assertFails(getDoc(ref(other, userPath('settings/titleRules'))))
+      await assertFails(setDoc(ref(other, userPath('settings/titleRules')), { include: [] }))
+    })
+  })
+
+  describe('savedSearches', () => {
+    it('allows saving, renaming, resetting the match count and deleting', async () => {
+      await assertSucceeds(setDoc(ref(owner, userPath('savedSearches/s2')), { name: 'Berlin', filters: { city: 'Berlin' }, newMatchCount: 0, createdAt: NOW }))
+      await assertSucceeds(updateDoc(ref(owner, userPath('savedSearches/s1')), { name: 'Remote US', newMatchCount: 0, lastSeenAt: NOW }))
+      await assertSucceeds(deleteDoc(ref(owner, userPath('savedSearches/s1'))))
+    })
+
+    it('denies raising the match count, unknown fields and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('savedSearches/s2')), { name: 'Berlin', filters: {}, newMatchCount: 3 }))
+      await assertFails(setDoc(ref(owner, userPath('savedSearches/s2')), { name: 'Berlin', filters: {}, matchedJobIds: [] }))
+      await assertFails(updateDoc(ref(owner, userPath('savedSearches/s1')), { name: '' }))
+      await assertFails(updateDoc(ref(owner, userPath('savedSearches/s1')), { newMatchCount: 5 }))
+      await assertFails(getDoc(ref(other, userPath('savedSearches/s1'))))
+    })
+  })
+
+  describe('applications', () => {
+    it('allows tracking a job and moving it through the pipeline', async () => {
+      await assertSucceeds(setDoc(ref(owner, userPath('applications/j2')), validApplication))
+      await assertSucceeds(updateDoc(ref(owner, userPath('applications/j1')), { status: 'onsite', statusHistory: [{ status: 'onsite', at: NOW }], updatedAt: NOW }))
+      await assertSucceeds(deleteDoc(ref(owner, userPath('applications/j1'))))
+    })
+
+    it('denies unknown statuses, editing the job snapshot and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('applications/j2')), { ...validApplication, status: 'hired' }))
+      await assertFails(setDoc(ref(owner, userPath('applications/j2')), { ...validApplication, salary: 1 }))
+      await assertFails(updateDoc(ref(owner, userPath('applications/j1')), { title: 'Principal Engineer' }))
+      await assertFails(getDoc(ref(other, userPath('applications/j1'))))
+      await assertFails(setDoc(ref(other, userPath('applications/j2')), validApplication))
+    })
+  })
+
+  describe('notifications', () => {
+    it('allows marking read and dismissing', async () => {
+      await assertSucceeds(getDoc(ref(owner, userPath('notifications/n1'))))
+      await assertSucceeds(updateDoc(ref(owner, userPath('notifications/n1')), { read: true }))
+      await assertSucceeds(deleteDoc(ref(owner, userPath('notifications/n1'))))
+    })
+
+    it('denies creating, editing the message and other users', async () => {
+      await assertFails(addDoc(collection(owner, userPath('notifications')), { title: 'Fake', read: false }))
+      await assertFails(updateDoc(ref(owner, userPath('notifications/n1')), { title: 'Edited' }))
+      await assertFails(updateDoc(ref(owner, userPath('notifications/n1')), { read: 'yes' }))
+      await assertFails(getDoc(ref(other, userPath('notifications/n1'))))
+    })
+  })
+
+  describe('pushTokens', () => {
+    it("allows registering and removing this browser's token", async () => {
+      await assertSucceeds(setDoc(ref(owner, userPath('pushTokens/t2')), { token: 'fcm-2', userAgent: 'Firefox', createdAt: NOW, updatedAt: NOW }))
+      await assertSucceeds(deleteDoc(ref(owner, userPath('pushTokens/t1'))))
+    })
+
+    it('denies unknown fields, non-string tokens and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('pushTokens/t2')), { token: 'fcm-2', uid: OTHER }))
+      await assertFails(setDoc(ref(owner, userPath('pushTokens/t2')), { token: 42 }))
+      await assertFails(getDoc(ref(other, userPath('pushTokens/t1'))))
+      await assertFails(setDoc(ref(other, userPath('pushTokens/t2')), { token: 'fcm-2' }))
+    })
+  })
+
+  describe('webhooks', () => {
+    it('allows adding, editing and deleting a webhook', async () => {
+      await assertSucceeds(setDoc(ref(owner, userPath('webhooks/w2')), validWebhook))
+      await assertSucceeds(updateDoc(ref(owner, userPath('webhooks/w1')), { enabled: false, updatedAt: NOW }))
+      await assertSucceeds(deleteDoc(ref(owner, userPath('webhooks/w1'))))
+    })
+
+    it('denies plain http, short secrets, delivery status and other users', async () => {
+      await assertFails(setDoc(ref(owner, userPath('webhooks/w2')), { ...validWebhook, url: 'http://example.com/hook' }))
+      await assertFails(setDoc(ref(owner, userPath('webhooks/w2')), { ...validWebhook, secret: 'short' }))
+      await assertFails(setDoc(ref(owner, userPath('webhooks/w2')), { ...validWebhook, format: 'teams' }))
+      await assertFails(updateDoc(ref(owner, userPath('webhooks/w1')), { lastStatus: 500 }))
+      await assertFails(getDoc(ref(other, userPath('webhooks/w1'))))
+    })
+  })
+
+  describe('read-only collections', () => {
+    for (const path of ['syncRuns/r1', 'companies/acme', 'webhookDeliveries/d1']) {
+      it(`${path.split('/')[0]} can be read by the owner only and written by nobody`, async () => {
+        await assertSucceeds(getDoc(ref(owner, userPath(path))))
+        await assertFails(getDoc(ref(other, userPath(path))))
+        await assertFails(setDoc(ref(owner, userPath(path)), { status: 'DONE' }))
+        await assertFails(updateDoc(ref(owner, userPath(path)), { status: 'FAILED' }))
+        await assertFails(deleteDoc(ref(owner, userPath(path))))
+      })
+    }
+  })
+
+  describe('server-only collections', () => {
+    for (const path of [userPath('private/rateLimits'), userPath('digestQueue/q1'), 'adminAudit/a1']) {
+      it(`${path} is closed to every client`, async () => {
+        const admin = env.authenticatedContext('root', { admin: true }).firestore()
+        for (const db of [owner, other, anon, admin]) {
+          await assertFails(getDoc(ref(db, path)))
+          await assertFails(setDoc(ref(db, path), { forged: true }))
+          await assertFails(deleteDoc(ref(db, path)))
+        }
+      })
+    }
+  })
+})
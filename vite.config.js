@@ -1,7 +1,31 @@
+import { resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { build } from 'esbuild'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Backend CommonJS modules the UI imports as-is, so both run one implementation
+const ROOT = fileURLToPath(new URL('.', import.meta.url))
+const SHARED_BACKEND_MODULES = [resolve(ROOT, 'functions/lib/feedSchedule.js')]
+
+// Vite only converts CommonJS inside node_modules; these are bundled (with the
+// JSON they require) into an ESM module whose default export is module.exports
+function sharedBackendModules() {
+  return {
+    name: 'shared-backend-modules',
+    enforce: 'pre',
+    async load(id) {
+      const file = id.split('?')[0]
+      if (!SHARED_BACKEND_MODULES.includes(file)) return null
+      const result = await build({ entryPoints: [file], absWorkingDir: ROOT, bundle: true, format: 'esm', platform: 'neutral', metafile: true, write: false, logLevel: 'silent' })
+      // Edits to the module or its JSON reload the page in dev
+      for (const input of Object.keys(result.metafile.inputs)) this.addWatchFile(resolve(ROOT, input))
+      return result.outputFiles[0].text
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [sharedBackendModules(), react(), tailwindcss()],
 })